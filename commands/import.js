@@ -0,0 +1,33 @@
+import { importPostmanCollection } from "../lib/postmanImporter.js";
+
+export function registerImportCommand(program) {
+  program
+    .command("import")
+    .description("Generate tool modules from a Postman Collection v2.1 file")
+    .argument("<collection>", "Path to the exported collection JSON")
+    .option(
+      "-e, --environment <file...>",
+      "Postman environment files used to resolve {{variables}}"
+    )
+    .option("-w, --workspace <name>", "Workspace directory under tools/", "local-workspace")
+    .option("-f, --force", "Overwrite tool modules that were edited by hand")
+    .action((collection, { environment = [], workspace, force }) => {
+      const result = importPostmanCollection({
+        collectionFile: collection,
+        environmentFiles: environment,
+        workspace,
+        force,
+      });
+
+      for (const [label, paths] of [
+        ["Created", result.created],
+        ["Updated", result.updated],
+        ["Unchanged", result.unchanged],
+        ["Skipped (edited by hand, use --force to overwrite)", result.skipped],
+      ]) {
+        if (paths.length === 0) continue;
+        console.log(`${label}:`);
+        paths.forEach((toolPath) => console.log(`  tools/${toolPath}`));
+      }
+    });
+}
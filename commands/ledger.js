@@ -0,0 +1,32 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { bookingsToCsv, getLedgerDir, listBookings } from "../lib/ledger.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export function registerLedgerCommand(program) {
+  const ledger = program
+    .command("ledger")
+    .description("Inspect the local booking ledger");
+
+  ledger
+    .command("export")
+    .description("Export recorded bookings as CSV, oldest first")
+    .option("-o, --output <file>", "Write the CSV to a file instead of stdout")
+    .option("--status <status>", "Only bookings with this status (active or cancelled)")
+    .option("--kind <kind>", "Only flight-order or hotel-order bookings")
+    .option("--since <date>", "Only bookings made on or after this date (YYYY-MM-DD)")
+    .action(({ output, status, kind, since }) => {
+      dotenv.config({ path: path.join(ROOT_DIR, ".env") });
+      const bookings = listBookings({ status, kind, since }).reverse();
+      const csv = bookingsToCsv(bookings);
+      if (output) {
+        fs.writeFileSync(output, csv);
+        console.error(`Exported ${bookings.length} bookings from ${getLedgerDir()} to ${output}`);
+      } else {
+        process.stdout.write(csv);
+      }
+    });
+}
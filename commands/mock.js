@@ -0,0 +1,14 @@
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+
+export function registerMockCommand(program) {
+  program
+    .command("mock")
+    .description("Run a local mock of the Amadeus API for offline development")
+    .option("-p, --port <port>", "Port to listen on", "4010")
+    .option("--host <host>", "Host to bind", "127.0.0.1")
+    .action(async ({ port, host }) => {
+      const mock = await startMockAmadeus({ port: Number(port), host });
+      console.log(`Mock Amadeus API running at ${mock.url}`);
+      console.log(`Point the server at it with AMADEUS_BASE_URL=${mock.url}`);
+    });
+}
@@ -1,65 +1,228 @@
-import { discoverTools } from "../lib/tools.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { discoverTools, getToolCollection, lintApiTool, loadTools, runTool } from "../lib/tools.js";
+import { validateToolArguments } from "../lib/validation.js";
+import { serializeError } from "../lib/errors.js";
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const CLI_SESSION_ID = "cli";
+
+function summarizeTool(tool) {
+  const { name, description, parameters, outputSchema } = tool.definition.function;
+  return {
+    name,
+    description,
+    path: tool.path,
+    collection: getToolCollection(tool),
+    parameters,
+    ...(outputSchema && { outputSchema }),
+  };
+}
+
+async function findTool(command, name) {
+  const tools = await discoverTools();
+  const tool = tools.find((t) => t.definition.function.name === name);
+  if (!tool) {
+    const names = tools.map((t) => t.definition.function.name).join(", ");
+    command.error(`error: unknown tool '${name}'. Available tools: ${names}`);
+  }
+  return tool;
+}
+
+/**
+ * Parses `key=value` pairs from the command line. Values are read as JSON
+ * when possible, so `adults=2` and `nonStop=true` keep their types.
+ * @param {Array<string>} pairs - Raw `key=value` strings
+ * @returns {Object} Arguments object
+ */
+function parseInlineArgs(pairs) {
+  const args = {};
+  for (const pair of pairs) {
+    const index = pair.indexOf("=");
+    if (index < 1) {
+      throw new Error(`Invalid argument "${pair}". Expected key=value`);
+    }
+    const value = pair.slice(index + 1);
+    try {
+      args[pair.slice(0, index)] = JSON.parse(value);
+    } catch {
+      args[pair.slice(0, index)] = value;
+    }
+  }
+  return args;
+}
+
+function printToolList(tools) {
+  if (tools.length === 0) {
+    console.log("No tools found. Tools should be organized as:");
+    console.log("tools/workspace/collection/request.js\n");
+    return;
+  }
+
+  console.log("\nAvailable Tools:\n");
+
+  // Group tools by workspace/collection
+  const groupedTools = tools.reduce((acc, tool) => {
+    // Extract workspace and collection from the path below tools/
+    const parts = tool.path.split("/");
+    const workspace = parts.length > 2 ? parts[0] : "Unknown Workspace";
+    const collection = parts.length > 2 ? parts[1] : "Unknown Collection";
+
+    if (!acc[workspace]) acc[workspace] = {};
+    if (!acc[workspace][collection]) acc[workspace][collection] = [];
+
+    acc[workspace][collection].push(tool);
+    return acc;
+  }, {});
+
+  // Print tools in a hierarchical structure
+  for (const [workspace, collections] of Object.entries(groupedTools)) {
+    console.log(`Workspace: ${workspace}`);
+    for (const [collection, tools] of Object.entries(collections)) {
+      console.log(`  Collection: ${collection}`);
+      tools.forEach(
+        ({
+          definition: {
+            function: { name, description, parameters },
+          },
+        }) => {
+          console.log(`    ${name}`);
+          console.log(
+            `      Description: ${description || "No description provided"}`
+          );
+          if (parameters?.properties) {
+            console.log("      Parameters:");
+            Object.entries(parameters.properties).forEach(
+              ([name, details]) => {
+                console.log(
+                  `        - ${name}: ${
+                    details.description || "No description"
+                  }`
+                );
+              }
+            );
+          }
+          console.log("");
+        }
+      );
+    }
+    console.log("");
+  }
+}
 
 export function registerToolsCommand(program) {
-  program
+  const tools = program
     .command("tools")
+    .description("List, inspect, call and validate API tools");
+
+  tools
+    .command("list", { isDefault: true })
     .description("List all available API tools")
-    .action(async () => {
-      const tools = await discoverTools();
-      if (tools.length === 0) {
-        console.log("No tools found. Tools should be organized as:");
-        console.log("tools/workspace/collection/request.js\n");
+    .option("--json", "Print the tools as JSON")
+    .action(async ({ json }) => {
+      const discovered = await discoverTools();
+      if (json) {
+        console.log(JSON.stringify(discovered.map(summarizeTool), null, 2));
         return;
       }
+      printToolList(discovered);
+    });
 
-      console.log("\nAvailable Tools:\n");
-
-      // Group tools by workspace/collection
-      const groupedTools = tools.reduce((acc, tool) => {
-        // Extract workspace and collection from path
-        const parts = tool.path.split("/");
-        const workspace = parts[1] || "Unknown Workspace";
-        const collection = parts[2] || "Unknown Collection";
-
-        if (!acc[workspace]) acc[workspace] = {};
-        if (!acc[workspace][collection]) acc[workspace][collection] = [];
-
-        acc[workspace][collection].push(tool);
-        return acc;
-      }, {});
-
-      // Print tools in a hierarchical structure
-      for (const [workspace, collections] of Object.entries(groupedTools)) {
-        console.log(`Workspace: ${workspace}`);
-        for (const [collection, tools] of Object.entries(collections)) {
-          console.log(`  Collection: ${collection}`);
-          tools.forEach(
-            ({
-              definition: {
-                function: { name, description, parameters },
-              },
-            }) => {
-              console.log(`    ${name}`);
-              console.log(
-                `      Description: ${description || "No description provided"}`
-              );
-              if (parameters?.properties) {
-                console.log("      Parameters:");
-                Object.entries(parameters.properties).forEach(
-                  ([name, details]) => {
-                    console.log(
-                      `        - ${name}: ${
-                        details.description || "No description"
-                      }`
-                    );
-                  }
-                );
-              }
-              console.log("");
-            }
+  tools
+    .command("show")
+    .description("Print a tool's full definition, including its schemas")
+    .argument("<name>", "Tool name")
+    .action(async (name, options, command) => {
+      const tool = await findTool(command, name);
+      console.log(JSON.stringify(summarizeTool(tool), null, 2));
+    });
+
+  tools
+    .command("call")
+    .description(
+      "Run a tool locally, validating its arguments the same way the server does"
+    )
+    .argument("<name>", "Tool name")
+    .option("--args <file>", "JSON file with the tool arguments ('-' for stdin)")
+    .option("-a, --arg <key=value...>", "Inline arguments; values are parsed as JSON when possible")
+    .option("--mock", "Send Amadeus requests to the built-in mock API")
+    .option("--dry-run", "Simulate bookings instead of sending them")
+    .action(async (name, { args: argsFile, arg = [], mock, dryRun }, command) => {
+      dotenv.config({ path: path.join(ROOT_DIR, ".env") });
+      if (dryRun) {
+        process.env.AMADEUS_DRY_RUN = "true";
+      }
+
+      let mockServer;
+      if (mock) {
+        mockServer = await startMockAmadeus();
+        process.env.AMADEUS_BASE_URL = mockServer.url;
+        process.env.AMADEUS_CLIENT_ID ||= "mock-client-id";
+        process.env.AMADEUS_CLIENT_SECRET ||= "mock-client-secret";
+      }
+
+      try {
+        const tool = await findTool(command, name);
+        let rawArgs = {};
+        if (argsFile) {
+          rawArgs = JSON.parse(
+            fs.readFileSync(argsFile === "-" ? 0 : argsFile, "utf8")
           );
         }
-        console.log("");
+        rawArgs = { ...rawArgs, ...parseInlineArgs(arg) };
+        const toolArgs = validateToolArguments(tool, rawArgs);
+        const result = await runTool(tool, toolArgs, { sessionId: CLI_SESSION_ID });
+        console.log(JSON.stringify(result, null, 2));
+      } catch (error) {
+        console.error(JSON.stringify(serializeError(error), null, 2));
+        process.exitCode = 1;
+      } finally {
+        await mockServer?.close();
+      }
+    });
+
+  tools
+    .command("validate")
+    .description(
+      "Check every tool definition for load errors, missing descriptions, untyped arrays and duplicate names"
+    )
+    .option("--json", "Print the report as JSON")
+    .action(async ({ json }) => {
+      const { tools: loaded, skipped } = await loadTools();
+      const report = [
+        ...skipped.map(({ path: toolPath, errors }) => ({
+          path: toolPath,
+          level: "error",
+          messages: errors,
+        })),
+        ...loaded
+          .map((tool) => ({
+            path: tool.path,
+            name: tool.definition.function.name,
+            level: "warning",
+            messages: lintApiTool(tool),
+          }))
+          .filter((entry) => entry.messages.length > 0),
+      ];
+
+      if (json) {
+        console.log(JSON.stringify({ tools: loaded.length, problems: report }, null, 2));
+      } else {
+        for (const entry of report) {
+          const label = entry.name ? `${entry.path} (${entry.name})` : entry.path;
+          console.log(`${entry.level === "error" ? "✖" : "⚠"} ${label}`);
+          entry.messages.forEach((message) => console.log(`    ${message}`));
+        }
+        const errors = report.filter((entry) => entry.level === "error").length;
+        console.log(
+          `\n${loaded.length} tools loaded, ${errors} modules skipped, ${report.length - errors} with warnings`
+        );
+      }
+      if (report.length > 0) {
+        process.exitCode = 1;
       }
     });
-}
\ No newline at end of file
+}
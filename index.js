@@ -1,9 +1,15 @@
 import { Command } from "commander";
 import { registerToolsCommand } from "./commands/tools.js";
+import { registerMockCommand } from "./commands/mock.js";
+import { registerImportCommand } from "./commands/import.js";
+import { registerLedgerCommand } from "./commands/ledger.js";
 
 const program = new Command();
 
 // Register commands
 registerToolsCommand(program);
+registerMockCommand(program);
+registerImportCommand(program);
+registerLedgerCommand(program);
 
 program.parse(process.argv);
@@ -0,0 +1,151 @@
+import { createHash, timingSafeEqual } from "crypto";
+import fs from "fs";
+import { logger } from "./logger.js";
+
+/**
+ * Loads HTTP access control settings. Keys come from the JSON file named by
+ * MCP_AUTH_CONFIG (`{ "keys": [...], "corsOrigins": [...] }`) or from a JSON
+ * array in MCP_API_KEYS. Each key is `{ name, key, tools?, admin? }`, where
+ * `tools` is an allowlist of tool names ("*" or omitted allows every tool)
+ * and `admin` grants access to the /admin endpoints.
+ * CORS_ORIGINS (comma-separated) overrides the configured origins.
+ * @returns {{keys: Array<Object>, corsOrigins: Array<string>|string}} Access control config
+ */
+export function loadAuthConfig() {
+  let config = {};
+  if (process.env.MCP_AUTH_CONFIG) {
+    config = JSON.parse(fs.readFileSync(process.env.MCP_AUTH_CONFIG, "utf8"));
+  }
+  if (process.env.MCP_API_KEYS) {
+    config.keys = JSON.parse(process.env.MCP_API_KEYS);
+  }
+
+  const keys = (config.keys || []).map((entry, index) => {
+    if (!entry.key) {
+      throw new Error(`Auth key #${index + 1} is missing a "key" value`);
+    }
+    return {
+      name: entry.name || `key-${index + 1}`,
+      digest: digest(entry.key),
+      tools: entry.tools || ["*"],
+      admin: entry.admin === true,
+    };
+  });
+
+  let corsOrigins = config.corsOrigins || "*";
+  if (process.env.CORS_ORIGINS) {
+    corsOrigins = process.env.CORS_ORIGINS.split(",").map((origin) =>
+      origin.trim()
+    );
+  }
+  return { keys, corsOrigins };
+}
+
+function digest(value) {
+  return createHash("sha256").update(value).digest();
+}
+
+/**
+ * Extracts the credential from `Authorization: Bearer <token>` or `X-API-Key`
+ * @param {import("express").Request} req - Incoming request
+ * @returns {string|undefined} Presented credential
+ */
+function getPresentedKey(req) {
+  const authorization = req.headers.authorization;
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+  return req.headers["x-api-key"];
+}
+
+/**
+ * Writes an audit record (`audit: true`) for an access control decision
+ * @param {string} event - Event name, e.g. "auth.denied"
+ * @param {import("express").Request|null} req - Request the decision applies to, if any
+ * @param {Object} [details] - Additional fields to record
+ */
+export function auditLog(event, req, details = {}) {
+  logger.info(event, {
+    audit: true,
+    ...(req && { ip: req.ip, method: req.method, path: req.path }),
+    ...details,
+  });
+}
+
+/**
+ * Checks that a request comes from the principal that opened a session, so
+ * one key cannot post messages into another key's session
+ * @param {Object|null} owner - Principal that created the session
+ * @param {Object|null} principal - Principal of the current request
+ * @returns {boolean} Whether the request may use the session
+ */
+export function isSessionOwner(owner, principal) {
+  return (owner?.name ?? null) === (principal?.name ?? null);
+}
+
+/**
+ * Checks whether a principal may call a tool. A null principal means
+ * authentication is disabled and every tool is allowed.
+ * @param {Object|null} principal - Authenticated key, as set on `req.principal`
+ * @param {string} toolName - Tool name
+ * @returns {boolean} Whether the call is allowed
+ */
+export function isToolAllowed(principal, toolName) {
+  if (!principal) return true;
+  return principal.tools.includes("*") || principal.tools.includes(toolName);
+}
+
+/**
+ * Checks whether a principal may use the admin endpoints. Only keys with
+ * `admin: true` may, so the endpoints are closed while authentication is
+ * disabled.
+ * @param {Object|null} principal - Authenticated key, as set on `req.principal`
+ * @returns {boolean} Whether the principal is an admin
+ */
+export function isAdmin(principal) {
+  return principal?.admin === true;
+}
+
+/**
+ * Creates Express middleware that authenticates requests by API key or bearer
+ * token and sets `req.principal`. When no keys are configured authentication
+ * is disabled and `req.principal` is null.
+ * @param {{keys: Array<Object>}} config - Access control config
+ * @param {Object} [options]
+ * @param {Array<string>} [options.publicPaths] - Paths that skip authentication
+ * @returns {import("express").RequestHandler} Middleware
+ */
+export function createAuthMiddleware(config, options = {}) {
+  const publicPaths = new Set(options.publicPaths || []);
+
+  return (req, res, next) => {
+    req.principal = null;
+    if (config.keys.length === 0 || publicPaths.has(req.path)) {
+      return next();
+    }
+
+    const presented = getPresentedKey(req);
+    if (!presented) {
+      auditLog("auth.missing_credentials", req);
+      res.set("WWW-Authenticate", "Bearer");
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const presentedDigest = digest(presented);
+    const principal = config.keys.find((key) =>
+      timingSafeEqual(key.digest, presentedDigest)
+    );
+    if (!principal) {
+      auditLog("auth.invalid_credentials", req);
+      res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+
+    req.principal = {
+      name: principal.name,
+      tools: principal.tools,
+      admin: principal.admin,
+    };
+    next();
+  };
+}
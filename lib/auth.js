@@ -0,0 +1,120 @@
+import { amadeusUrl } from "./config.js";
+import { AmadeusApiError } from "./errors.js";
+import { httpFetch } from "./httpClient.js";
+
+// Refresh this many milliseconds before the token actually expires
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+let cachedToken = null;
+let expiresAt = 0;
+let pendingRefresh = null;
+
+/**
+ * Reads the Amadeus client credentials from the environment
+ * @returns {{clientId: string, clientSecret: string}} Client credentials
+ */
+function getCredentials() {
+  const clientId = process.env.AMADEUS_CLIENT_ID || process.env.AMADEUS_API_KEY;
+  const clientSecret =
+    process.env.AMADEUS_CLIENT_SECRET || process.env.AMADEUS_API_SECRET;
+
+  if (!clientId || !clientSecret) {
+    throw new Error(
+      "Missing Amadeus credentials. Please set AMADEUS_CLIENT_ID and AMADEUS_CLIENT_SECRET"
+    );
+  }
+  return { clientId, clientSecret };
+}
+
+/**
+ * @returns {boolean} Whether Amadeus client credentials are configured
+ */
+export function hasCredentials() {
+  try {
+    getCredentials();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function requestToken() {
+  const { clientId, clientSecret } = getCredentials();
+  const body = new URLSearchParams({
+    client_id: clientId,
+    client_secret: clientSecret,
+    grant_type: "client_credentials",
+  });
+
+  // Requesting a token has no side effects, so it may be retried
+  const response = await httpFetch(amadeusUrl("/v1/security/oauth2/token"), {
+    method: "POST",
+    idempotent: true,
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: body.toString(),
+  });
+
+  if (!response.ok) {
+    throw await AmadeusApiError.fromResponse(response);
+  }
+
+  const data = await response.json();
+  cachedToken = data.access_token;
+  expiresAt = Date.now() + (data.expires_in || 0) * 1000 - EXPIRY_MARGIN_MS;
+  return cachedToken;
+}
+
+/**
+ * Returns a cached Amadeus access token, refreshing it shortly before it
+ * expires. Concurrent callers share a single in-flight refresh.
+ * @returns {Promise<string>} Bearer access token
+ */
+export async function getAccessToken() {
+  if (cachedToken && Date.now() < expiresAt) {
+    return cachedToken;
+  }
+  if (!pendingRefresh) {
+    pendingRefresh = requestToken().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+}
+
+/**
+ * Drops the cached token so the next call to getAccessToken() refreshes it
+ */
+export function invalidateAccessToken() {
+  cachedToken = null;
+  expiresAt = 0;
+}
+
+/**
+ * Performs a fetch with an Amadeus bearer token attached, through the shared
+ * rate-limited HTTP client. If the API answers 401 the token is refreshed and
+ * the request is retried once.
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options, plus `idempotent` and `timeoutMs` (see lib/httpClient.js)
+ * @returns {Promise<Response>} fetch response
+ */
+export async function fetchWithAuth(url, options = {}) {
+  const send = async () => {
+    const accessToken = await getAccessToken();
+    return httpFetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+  };
+
+  const response = await send();
+  if (response.status !== 401) {
+    return response;
+  }
+  invalidateAccessToken();
+  return send();
+}
@@ -0,0 +1,263 @@
+import { randomBytes } from "crypto";
+import { ToolArgumentsError } from "./errors.js";
+
+const DEFAULT_CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+const pendingConfirmations = new Map();
+
+/**
+ * Returns whether bookings are simulated instead of sent to Amadeus. Enabled
+ * with AMADEUS_DRY_RUN=true or the server's `--dry-run` flag.
+ * @returns {boolean} Whether dry-run mode is active
+ */
+export function isDryRun() {
+  return ["1", "true", "yes"].includes(
+    (process.env.AMADEUS_DRY_RUN || "").toLowerCase()
+  );
+}
+
+/**
+ * Returns the default booking remarks, ticketing agreement and travel agent
+ * email, configurable through AMADEUS_BOOKING_REMARK,
+ * AMADEUS_TICKETING_OPTION, AMADEUS_TICKETING_DELAY and
+ * AMADEUS_TRAVEL_AGENT_EMAIL
+ * @returns {{remark: string|undefined, ticketingAgreement: Object, travelAgentEmail: string|undefined}} Booking defaults
+ */
+export function getBookingDefaults() {
+  const option = process.env.AMADEUS_TICKETING_OPTION || "DELAY_TO_CANCEL";
+  return {
+    remark: process.env.AMADEUS_BOOKING_REMARK || undefined,
+    ticketingAgreement: {
+      option,
+      ...(option.startsWith("DELAY") && {
+        delay: process.env.AMADEUS_TICKETING_DELAY || "6D",
+      }),
+    },
+    travelAgentEmail: process.env.AMADEUS_TRAVEL_AGENT_EMAIL || undefined,
+  };
+}
+
+/**
+ * Checks a booking request for problems Amadeus would only report after the
+ * order call: unpriced offers, travelers without a matching traveler pricing
+ * and contacts that cannot be reached.
+ * @param {string} toolName - Tool name used in error messages
+ * @param {{flightOffers: Array<Object>, travelers: Array<Object>, contacts: Array<Object>}} request
+ * @throws {ToolArgumentsError} When the request is not bookable
+ */
+export function validateBookingRequest(toolName, { flightOffers, travelers, contacts }) {
+  const errors = [];
+
+  const pricedTravelerIds = new Set();
+  flightOffers.forEach((offer, index) => {
+    const field = `flightOfferPriceData.${index}`;
+    if (offer.type !== "flight-offer" || !Array.isArray(offer.itineraries)) {
+      errors.push({ field, message: "must be a flight offer returned by get_flight_offers_pricing" });
+      return;
+    }
+    if (!offer.price?.grandTotal && !offer.price?.total) {
+      errors.push({ field: `${field}.price`, message: "must contain a priced total" });
+    }
+    for (const pricing of offer.travelerPricings || []) {
+      pricedTravelerIds.add(String(pricing.travelerId));
+    }
+  });
+
+  const travelerIds = new Set();
+  travelers.forEach((traveler, index) => {
+    const id = String(traveler.id);
+    if (travelerIds.has(id)) {
+      errors.push({ field: `travelers.${index}.id`, message: `duplicates traveler id ${id}` });
+    }
+    travelerIds.add(id);
+    if (pricedTravelerIds.size > 0 && !pricedTravelerIds.has(id)) {
+      errors.push({ field: `travelers.${index}.id`, message: `has no traveler pricing in the priced offer` });
+    }
+  });
+  for (const id of pricedTravelerIds) {
+    if (!travelerIds.has(id)) {
+      errors.push({ field: "travelers", message: `is missing traveler ${id} from the priced offer` });
+    }
+  }
+
+  contacts.forEach((contact, index) => {
+    if (!contact.emailAddress && !contact.phones?.length) {
+      errors.push({ field: `contacts.${index}`, message: "must have an emailAddress or phones" });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ToolArgumentsError(toolName, errors);
+  }
+}
+
+/**
+ * Builds a short human-readable summary of a flight order request
+ * @param {Object} data - The `data` block of a flight order request
+ * @returns {Object} Summary of itineraries, price, travelers and options
+ */
+export function summarizeFlightOrder(data) {
+  return {
+    itineraries: data.flightOffers.flatMap((offer) =>
+      offer.itineraries.map((itinerary) => {
+        const segments = itinerary.segments || [];
+        const first = segments[0];
+        const last = segments[segments.length - 1];
+        return {
+          from: first?.departure?.iataCode,
+          to: last?.arrival?.iataCode,
+          departure: first?.departure?.at,
+          arrival: last?.arrival?.at,
+          flights: segments.map((segment) => `${segment.carrierCode}${segment.number}`),
+        };
+      })
+    ),
+    price: data.flightOffers.map((offer) => ({
+      total: offer.price?.grandTotal || offer.price?.total,
+      currency: offer.price?.currency,
+    })),
+    travelers: data.travelers.map((traveler) =>
+      [traveler.name?.firstName, traveler.name?.lastName].filter(Boolean).join(" ")
+    ),
+    remarks: data.remarks?.general?.map((remark) => remark.text) || [],
+    ticketingAgreement: data.ticketingAgreement,
+  };
+}
+
+/**
+ * Checks a hotel order request against the re-checked offer: availability,
+ * the number of guests, the main guest's contact details and the payment
+ * card.
+ * @param {string} toolName - Tool name used in error messages
+ * @param {Object} data - The `data` block of a hotel order request
+ * @param {Object} offer - The offer as returned by the hotel offer endpoint (`data`)
+ * @throws {ToolArgumentsError} When the request is not bookable
+ */
+export function validateHotelBookingRequest(toolName, data, offer) {
+  const errors = [];
+  const [room] = offer.offers || [];
+  if (offer.available === false || !room) {
+    errors.push({ field: "hotelOfferId", message: "is no longer available; search again with search_hotel_offers" });
+  }
+
+  const adults = room?.guests?.adults;
+  if (adults && data.guests.length > adults) {
+    errors.push({ field: "guests", message: `has ${data.guests.length} guests but the offer is for ${adults} adults` });
+  }
+  const [mainGuest] = data.guests;
+  if (!mainGuest?.email || !mainGuest?.phone) {
+    errors.push({ field: "guests.0", message: "must have an email and a phone" });
+  }
+  if (!data.travelAgent?.contact?.email) {
+    errors.push({ field: "travelAgentEmail", message: "is required unless AMADEUS_TRAVEL_AGENT_EMAIL is set" });
+  }
+
+  const card = data.payment.paymentCard.paymentCardInfo;
+  if (card.expiryDate < new Date().toISOString().slice(0, 7)) {
+    errors.push({ field: "payment.expiryDate", message: "is in the past" });
+  }
+  const acceptedCards = [room?.policies?.prepay, room?.policies?.guarantee]
+    .flatMap((policy) => policy?.acceptedPayments?.creditCards || []);
+  if (acceptedCards.length > 0 && !acceptedCards.includes(card.vendorCode)) {
+    errors.push({ field: "payment.vendorCode", message: `must be one of the accepted cards: ${acceptedCards.join(", ")}` });
+  }
+
+  if (errors.length > 0) {
+    throw new ToolArgumentsError(toolName, errors);
+  }
+}
+
+/**
+ * Builds a short human-readable summary of a hotel order request. The card
+ * number is reduced to its last four digits.
+ * @param {Object} data - The `data` block of a hotel order request
+ * @param {Object} offer - The re-checked offer (`data` of the hotel offer endpoint)
+ * @returns {Object} Summary of the hotel, stay, price, policies, guests and payment
+ */
+export function summarizeHotelOrder(data, offer) {
+  const [room] = offer.offers;
+  const card = data.payment.paymentCard.paymentCardInfo;
+  return {
+    hotel: { hotelId: offer.hotel.hotelId, name: offer.hotel.name, cityCode: offer.hotel.cityCode },
+    checkInDate: room.checkInDate,
+    checkOutDate: room.checkOutDate,
+    room: room.room?.description?.text,
+    boardType: room.boardType,
+    price: { total: room.price?.total, currency: room.price?.currency },
+    cancellation: (room.policies?.cancellations || []).map(({ deadline, amount, description }) => ({
+      ...(deadline && { deadline }),
+      ...(amount && { amount }),
+      ...(description?.text && { description: description.text }),
+    })),
+    paymentType: room.policies?.paymentType,
+    guests: data.guests.map((guest) => [guest.firstName, guest.lastName].filter(Boolean).join(" ")),
+    payment: `${card.vendorCode} card ending ${card.cardNumber.slice(-4)}`,
+  };
+}
+
+/**
+ * Stores a validated request with side effects (an order, a cancellation)
+ * and returns a short-lived, single-use token that must be presented to
+ * actually send it. Tokens can only be redeemed by the tool that issued them,
+ * in the same session and with the same API key.
+ * @param {string} toolName - Tool that will redeem the token
+ * @param {Object} request - Request to send once confirmed
+ * @param {Object} [context] - Call context of the tool
+ * @param {string} [context.sessionId] - Session asking for the confirmation
+ * @param {string} [context.principal] - API key asking for the confirmation
+ * @returns {{confirmationToken: string, expiresAt: string}} Confirmation token
+ */
+export function createConfirmation(toolName, request, { sessionId, principal } = {}) {
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expiresAt <= now) pendingConfirmations.delete(token);
+  }
+
+  const ttl =
+    Number(process.env.AMADEUS_CONFIRMATION_TTL_MS) || DEFAULT_CONFIRMATION_TTL_MS;
+  const confirmationToken = randomBytes(12).toString("base64url");
+  const expiresAt = now + ttl;
+  pendingConfirmations.set(confirmationToken, {
+    toolName,
+    request,
+    sessionId: sessionId ?? null,
+    principal: principal ?? null,
+    expiresAt,
+  });
+  return { confirmationToken, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Redeems a confirmation token, returning the stored request. Each token can
+ * only be used once.
+ * @param {string} toolName - Tool redeeming the token, also used in error messages
+ * @param {string} confirmationToken - Token returned by createConfirmation()
+ * @param {Object} [context] - Call context of the tool
+ * @param {string} [context.sessionId] - Session redeeming the token
+ * @param {string} [context.principal] - API key redeeming the token
+ * @returns {Object} The stored request
+ * @throws {ToolArgumentsError} When the token is unknown, expired, or was issued by another
+ *   tool, session or API key
+ */
+export function consumeConfirmation(toolName, confirmationToken, { sessionId, principal } = {}) {
+  let pending = pendingConfirmations.get(confirmationToken);
+  // A token presented by another tool, session or key stays valid for its owner
+  if (
+    pending?.toolName !== toolName ||
+    pending.sessionId !== (sessionId ?? null) ||
+    pending.principal !== (principal ?? null)
+  ) {
+    pending = undefined;
+  } else {
+    pendingConfirmations.delete(confirmationToken);
+  }
+  if (!pending || pending.expiresAt <= Date.now()) {
+    throw new ToolArgumentsError(toolName, [
+      {
+        field: "confirmationToken",
+        message: "is unknown, already used or expired; request a new confirmation",
+      },
+    ]);
+  }
+  return pending.request;
+}
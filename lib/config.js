@@ -0,0 +1,64 @@
+/**
+ * Known Amadeus API hosts, keyed by environment name
+ */
+export const AMADEUS_HOSTS = {
+  test: "https://test.api.amadeus.com",
+  production: "https://api.amadeus.com",
+};
+
+/**
+ * Resolves the active Amadeus environment from AMADEUS_ENV and
+ * AMADEUS_BASE_URL. AMADEUS_ENV names the environment the credentials belong
+ * to; AMADEUS_BASE_URL optionally overrides the host, e.g. with a local mock.
+ * @returns {{name: string, baseUrl: string, custom: boolean}} Environment config
+ */
+export function getAmadeusConfig() {
+  const name = (process.env.AMADEUS_ENV || "test").toLowerCase();
+  if (!(name in AMADEUS_HOSTS)) {
+    throw new Error(
+      `Invalid AMADEUS_ENV "${name}". Expected one of: ${Object.keys(
+        AMADEUS_HOSTS
+      ).join(", ")}`
+    );
+  }
+
+  const override = process.env.AMADEUS_BASE_URL;
+  const baseUrl = (override || AMADEUS_HOSTS[name]).replace(/\/+$/, "");
+  return { name, baseUrl, custom: Boolean(override) };
+}
+
+/**
+ * Builds an absolute Amadeus API URL for the active environment
+ * @param {string} pathname - API path, e.g. "/v2/shopping/flight-offers"
+ * @returns {string} Absolute URL
+ */
+export function amadeusUrl(pathname) {
+  return `${getAmadeusConfig().baseUrl}${pathname}`;
+}
+
+/**
+ * Checks that the configured environment and base URL agree. Pairing
+ * production credentials with the test host (or the other way round) is
+ * rejected; custom hosts such as local mocks are accepted for any environment.
+ * @returns {{name: string, baseUrl: string, custom: boolean}} Environment config
+ */
+export function validateAmadeusConfig() {
+  const config = getAmadeusConfig();
+
+  let url;
+  try {
+    url = new URL(config.baseUrl);
+  } catch {
+    throw new Error(`Invalid AMADEUS_BASE_URL "${config.baseUrl}"`);
+  }
+
+  for (const [hostEnv, host] of Object.entries(AMADEUS_HOSTS)) {
+    if (url.host === new URL(host).host && hostEnv !== config.name) {
+      throw new Error(
+        `AMADEUS_ENV is "${config.name}" but AMADEUS_BASE_URL points to the ${hostEnv} host (${host}). ` +
+          `Refusing to start with mismatched credentials and host.`
+      );
+    }
+  }
+  return config;
+}
@@ -0,0 +1,174 @@
+/**
+ * Normalizes one entry of an Amadeus `errors[]` array
+ * @param {Object} error - Raw Amadeus error object
+ * @param {number} status - HTTP status of the response it came from
+ * @returns {Object} Error with status, code, title, detail and source
+ */
+function normalizeErrorEntry(error, status) {
+  return {
+    status: Number(error.status) || status,
+    code: error.code,
+    title: error.title,
+    detail: error.detail,
+    source: error.source,
+  };
+}
+
+/**
+ * Error raised when the Amadeus API answers with a non-2xx status. Keeps the
+ * structured `errors[]` from the response body instead of flattening it.
+ */
+export class AmadeusApiError extends Error {
+  /**
+   * @param {number} status - HTTP status returned by Amadeus
+   * @param {Array<Object>} [errors] - Normalized Amadeus error entries
+   */
+  constructor(status, errors = []) {
+    const [first = {}] = errors;
+    super(
+      [first.title, first.detail].filter(Boolean).join(": ") ||
+        `Amadeus API request failed with status ${status}`
+    );
+    this.name = "AmadeusApiError";
+    this.status = status;
+    this.errors = errors;
+  }
+
+  /**
+   * Builds an AmadeusApiError from a failed fetch response. Handles both the
+   * regular `{ errors: [...] }` body and the OAuth `{ error, error_description }` one.
+   * @param {Response} response - Failed fetch response
+   * @returns {Promise<AmadeusApiError>} Parsed error
+   */
+  static async fromResponse(response) {
+    const text = await response.text();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = null;
+    }
+
+    let errors;
+    if (Array.isArray(body?.errors)) {
+      errors = body.errors.map((error) =>
+        normalizeErrorEntry(error, response.status)
+      );
+    } else if (body?.error) {
+      errors = [
+        normalizeErrorEntry(
+          {
+            code: body.code,
+            title: body.title || body.error,
+            detail: body.error_description,
+          },
+          response.status
+        ),
+      ];
+    } else {
+      errors = [
+        normalizeErrorEntry(
+          { title: response.statusText, detail: text || undefined },
+          response.status
+        ),
+      ];
+    }
+    return new AmadeusApiError(response.status, errors);
+  }
+}
+
+/**
+ * Error raised when tool arguments do not satisfy the tool's JSON Schema
+ */
+export class ToolArgumentsError extends Error {
+  /**
+   * @param {string} toolName - Name of the tool being called
+   * @param {Array<{field: string, message: string}>} errors - Per-field errors
+   */
+  constructor(toolName, errors) {
+    super(
+      `Invalid arguments for ${toolName}: ${errors
+        .map(({ field, message }) => (field ? `${field} ${message}` : message))
+        .join("; ")}`
+    );
+    this.name = "ToolArgumentsError";
+    this.toolName = toolName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error raised when an outbound request does not answer in time, after any
+ * retries
+ */
+export class UpstreamTimeoutError extends Error {
+  /**
+   * @param {string} method - HTTP method
+   * @param {string|URL} url - Request URL
+   * @param {number} timeoutMs - Timeout that was exceeded
+   */
+  constructor(method, url, timeoutMs) {
+    super(`${method} ${new URL(url).pathname} timed out after ${timeoutMs}ms`);
+    this.name = "UpstreamTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Maps an error to the HTTP status the REST API should answer with. Amadeus
+ * client errors pass through, except 401/403, which mean the server's own
+ * credentials were rejected; those and upstream 5xx become 502. Upstream
+ * timeouts become 504.
+ * @param {Error} error - Error thrown by a tool
+ * @returns {number} HTTP status code
+ */
+export function httpStatusForError(error) {
+  if (error instanceof ToolArgumentsError) return 400;
+  if (error instanceof UpstreamTimeoutError) return 504;
+  if (!(error instanceof AmadeusApiError)) return 500;
+  if (error.status === 401 || error.status === 403 || error.status >= 500) {
+    return 502;
+  }
+  return error.status;
+}
+
+/**
+ * Serializes an error into the payload returned to MCP and REST clients
+ * @param {Error} error - Error thrown by a tool
+ * @returns {Object} JSON-serializable error payload
+ */
+export function serializeError(error) {
+  if (error instanceof AmadeusApiError) {
+    return {
+      error: {
+        type: "amadeus_api_error",
+        message: error.message,
+        status: error.status,
+        errors: error.errors,
+      },
+    };
+  }
+  if (error instanceof ToolArgumentsError) {
+    return {
+      error: {
+        type: "invalid_arguments",
+        message: error.message,
+        errors: error.errors,
+      },
+    };
+  }
+  if (error instanceof UpstreamTimeoutError) {
+    return {
+      error: {
+        type: "upstream_timeout",
+        message: error.message,
+      },
+    };
+  }
+  return {
+    error: {
+      type: "internal_error",
+      message: error.message,
+    },
+  };
+}
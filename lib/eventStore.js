@@ -0,0 +1,44 @@
+import { randomUUID } from "crypto";
+
+// Events kept per stream for resumption; older ones are dropped
+const MAX_EVENTS_PER_STREAM = 100;
+
+/**
+ * Creates an in-memory event store for Streamable HTTP resumability. Clients
+ * that reconnect with `Last-Event-ID` are replayed the events they missed.
+ * One store is created per session so its events are dropped with it.
+ * @returns {Object} EventStore implementation for StreamableHTTPServerTransport
+ */
+export function createEventStore() {
+  const streams = new Map();
+  const eventStreams = new Map();
+
+  return {
+    async storeEvent(streamId, message) {
+      const eventId = `${streamId}_${randomUUID()}`;
+      let events = streams.get(streamId);
+      if (!events) {
+        events = [];
+        streams.set(streamId, events);
+      }
+      events.push({ eventId, message });
+      eventStreams.set(eventId, streamId);
+      if (events.length > MAX_EVENTS_PER_STREAM) {
+        eventStreams.delete(events.shift().eventId);
+      }
+      return eventId;
+    },
+
+    async replayEventsAfter(lastEventId, { send }) {
+      const streamId = eventStreams.get(lastEventId);
+      if (!streamId) return "";
+
+      const events = streams.get(streamId);
+      const index = events.findIndex((event) => event.eventId === lastEventId);
+      for (const { eventId, message } of events.slice(index + 1)) {
+        await send(eventId, message);
+      }
+      return streamId;
+    },
+  };
+}
@@ -0,0 +1,136 @@
+import { createHash } from "crypto";
+import fs from "fs";
+import path from "path";
+import { getAmadeusConfig } from "./config.js";
+
+const TOKEN_PATH = "/v1/security/oauth2/token";
+
+/**
+ * Derives a stable file name for a request. Token requests are keyed on the
+ * path only, so fixtures recorded with real credentials replay with any.
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @param {string} [body] - Request body
+ * @returns {string} Fixture file name
+ */
+function fixtureName(method, url, body) {
+  const query = [...url.searchParams].sort(([a], [b]) => a.localeCompare(b));
+  const hash = createHash("sha256")
+    .update(JSON.stringify(query))
+    .update(url.pathname === TOKEN_PATH ? "" : body || "")
+    .digest("hex")
+    .slice(0, 12);
+  const slug = url.pathname.replace(/^\//, "").replace(/[^a-zA-Z0-9-]+/g, "_");
+  return `${method.toLowerCase()}_${slug}_${hash}.json`;
+}
+
+// Traveler, guest and contact fields that identify a person
+const PERSONAL_FIELDS = new Set([
+  "firstName",
+  "middleName",
+  "lastName",
+  "dateOfBirth",
+  "emailAddress",
+  "email",
+  "phone",
+  "phones",
+  "documents",
+]);
+
+// Replaces every value in a personal field, keeping its shape for replay
+function redactField(value) {
+  if (Array.isArray(value)) return value.map(redactField);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, redactField(field)]));
+  }
+  return value === null ? value : "REDACTED";
+}
+
+function redactPersonalData(value) {
+  if (Array.isArray(value)) return value.map(redactPersonalData);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      PERSONAL_FIELDS.has(key) ? redactField(field) : redactPersonalData(field),
+    ])
+  );
+}
+
+// Never write live tokens, client ids or travelers' personal data to disk
+function redact(pathname, body) {
+  if (!body || typeof body !== "object") return body;
+  if (pathname !== TOKEN_PATH) return redactPersonalData(body);
+  return {
+    ...body,
+    access_token: "recorded-access-token",
+    client_id: "recorded-client-id",
+  };
+}
+
+/**
+ * Wraps the global fetch so that Amadeus API calls are recorded to, or
+ * replayed from, JSON fixtures on disk. Requests to other hosts pass through.
+ * In replay mode a request without a recorded fixture fails instead of
+ * reaching the network.
+ * @param {Object} options
+ * @param {"record"|"replay"} options.mode - Whether to capture or serve responses
+ * @param {string} options.dir - Directory holding the fixtures
+ * @returns {() => void} Function that restores the original fetch
+ */
+export function installFixtureRecorder({ mode, dir }) {
+  if (mode !== "record" && mode !== "replay") {
+    throw new Error(`Invalid fixture mode "${mode}". Expected "record" or "replay"`);
+  }
+  const realFetch = globalThis.fetch;
+  fs.mkdirSync(dir, { recursive: true });
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(input instanceof Request ? input.url : input);
+    if (!url.href.startsWith(getAmadeusConfig().baseUrl)) {
+      return realFetch(input, init);
+    }
+
+    const method = (init.method || "GET").toUpperCase();
+    const file = path.join(dir, fixtureName(method, url, init.body));
+
+    if (mode === "replay") {
+      if (!fs.existsSync(file)) {
+        throw new Error(
+          `No recorded fixture for ${method} ${url.pathname}${url.search} (${path.basename(file)})`
+        );
+      }
+      const { response } = JSON.parse(fs.readFileSync(file, "utf8"));
+      return new Response(
+        response.body === undefined ? null : JSON.stringify(response.body),
+        {
+          status: response.status,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const response = await realFetch(input, init);
+    const text = await response.clone().text();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = text || undefined;
+    }
+    const fixture = {
+      request: {
+        method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+      },
+      response: { status: response.status, body: redact(url.pathname, body) },
+    };
+    fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+    return response;
+  };
+
+  return () => {
+    globalThis.fetch = realFetch;
+  };
+}
@@ -0,0 +1,135 @@
+import { fetchWithAuth } from "./auth.js";
+import { amadeusUrl } from "./config.js";
+import { AmadeusApiError } from "./errors.js";
+import { cachedCall } from "./responseCache.js";
+
+// Batch searches share search_flight_offers' cache entries and TTL
+const CACHE_TOOL_NAME = "search_flight_offers";
+
+/**
+ * Default weights of the "score" ranking; lower scores rank first
+ */
+export const DEFAULT_RANKING_WEIGHTS = { price: 0.6, duration: 0.3, stops: 0.1 };
+
+/**
+ * Calls the Amadeus flight offers search (GET), through the response cache
+ * @param {Object} query
+ * @param {string} query.originLocationCode - Origin IATA code
+ * @param {string} query.destinationLocationCode - Destination IATA code
+ * @param {string} query.departureDate - YYYY-MM-DD
+ * @param {string} [query.returnDate] - YYYY-MM-DD
+ * @param {number} query.adults - Number of adults
+ * @param {string} [query.travelClass] - Minimum travel class
+ * @param {boolean} [query.nonStop] - Only non-stop flights
+ * @param {number} query.max - Maximum number of offers
+ * @param {Object} [options]
+ * @param {boolean} [options.bypassCache] - Fetch fresh offers
+ * @returns {Promise<{value: Object, cache: Object}>} Amadeus response and cache status
+ * @throws {AmadeusApiError} When Amadeus rejects the search
+ */
+export function fetchFlightOffers(
+  { originLocationCode, destinationLocationCode, departureDate, returnDate, adults, travelClass, nonStop, max },
+  { bypassCache = false } = {}
+) {
+  const queryParams = new URLSearchParams({
+    originLocationCode,
+    destinationLocationCode,
+    departureDate,
+    adults: adults.toString(),
+    max: max.toString(),
+  });
+  if (returnDate) {
+    queryParams.append("returnDate", returnDate);
+  }
+  if (travelClass) {
+    queryParams.append("travelClass", travelClass);
+  }
+  if (nonStop !== undefined) {
+    queryParams.append("nonStop", String(nonStop));
+  }
+
+  // The query string is the cache key
+  return cachedCall(
+    CACHE_TOOL_NAME,
+    Object.fromEntries(queryParams),
+    async () => {
+      const response = await fetchWithAuth(`${amadeusUrl("/v2/shopping/flight-offers")}?${queryParams}`, {
+        method: "GET",
+        headers: { "Content-Type": "application/json" },
+      });
+      if (!response.ok) {
+        throw await AmadeusApiError.fromResponse(response);
+      }
+      return response.json();
+    },
+    { bypass: bypassCache }
+  );
+}
+
+/**
+ * Shifts a YYYY-MM-DD date by a number of days
+ * @param {string} date - Date
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} Shifted date
+ */
+export function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Identifies an offer's flights, so the same itinerary found by several
+ * queries (or under several fares) is only ranked once
+ * @param {Object} offer - Amadeus flight offer
+ * @returns {string} Key made of the flight numbers, departure times and traveler count
+ */
+export function itineraryKey(offer) {
+  const flights = (offer.itineraries || []).map((itinerary) =>
+    (itinerary.segments || [])
+      .map((segment) => `${segment.carrierCode}${segment.number}@${segment.departure?.at}`)
+      .join(">")
+  );
+  return `${flights.join("|")}#${offer.travelerPricings?.length ?? ""}`;
+}
+
+function normalize(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return values.map((value) => (range > 0 ? (value - min) / range : 0));
+}
+
+/**
+ * Sorts summarized offers (see lib/flightSummary.js). "score" weighs price,
+ * total duration and stops, each scaled to 0–1 across the offers, and adds
+ * a `score` to every offer. Ties go to the cheaper, then shorter, offer.
+ * @param {Array<Object>} offers - Summarized offers
+ * @param {Object} [options]
+ * @param {"price"|"duration"|"stops"|"score"} [options.rankBy] - Ranking criterion
+ * @param {Object} [options.weights] - Weights of price, duration and stops for "score"
+ * @returns {Array<Object>} Ranked offers, best first
+ */
+export function rankOffers(offers, { rankBy = "price", weights = DEFAULT_RANKING_WEIGHTS } = {}) {
+  let ranked = offers;
+  if (rankBy === "score") {
+    const { price = 0, duration = 0, stops = 0 } = weights;
+    const total = price + duration + stops || 1;
+    const prices = normalize(offers.map((offer) => offer.price));
+    const durations = normalize(offers.map((offer) => offer.totalMinutes));
+    const stopCounts = normalize(offers.map((offer) => offer.stops));
+    ranked = offers.map((offer, index) => ({
+      ...offer,
+      score: Number(((price * prices[index] + duration * durations[index] + stops * stopCounts[index]) / total).toFixed(3)),
+    }));
+  }
+
+  const criterion = {
+    price: (offer) => offer.price,
+    duration: (offer) => offer.totalMinutes,
+    stops: (offer) => offer.stops,
+    score: (offer) => offer.score,
+  }[rankBy];
+  return [...ranked].sort(
+    (a, b) => criterion(a) - criterion(b) || a.price - b.price || a.totalMinutes - b.totalMinutes
+  );
+}
@@ -0,0 +1,113 @@
+/**
+ * Converts an ISO 8601 duration such as "PT6H10M" to minutes
+ * @param {string} duration - ISO 8601 duration
+ * @returns {number} Duration in minutes
+ */
+export function parseDuration(duration) {
+  const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?/.exec(duration || "");
+  if (!match) return 0;
+  const [, days = 0, hours = 0, minutes = 0] = match;
+  return Number(days) * 24 * 60 + Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Formats minutes as "6h10m"
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Short duration
+ */
+export function formatDuration(minutes) {
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, "0")}m`;
+}
+
+function summarizeItinerary(itinerary, dictionaries) {
+  const segments = itinerary.segments || [];
+  const first = segments[0] || {};
+  const last = segments[segments.length - 1] || {};
+  const carrierCodes = [...new Set(segments.map((segment) => segment.carrierCode))];
+  return {
+    from: first.departure?.iataCode,
+    to: last.arrival?.iataCode,
+    departure: first.departure?.at,
+    arrival: last.arrival?.at,
+    duration: formatDuration(parseDuration(itinerary.duration)),
+    stops:
+      segments.length -
+      1 +
+      segments.reduce((sum, segment) => sum + (segment.numberOfStops || 0), 0),
+    via: segments.slice(0, -1).map((segment) => segment.arrival?.iataCode),
+    carriers: carrierCodes.map((code) => dictionaries.carriers?.[code] || code),
+    flights: segments.map((segment) => ({
+      flight: `${segment.carrierCode}${segment.number}`,
+      from: segment.departure?.iataCode,
+      to: segment.arrival?.iataCode,
+      departure: segment.departure?.at,
+      aircraft:
+        dictionaries.aircraft?.[segment.aircraft?.code] || segment.aircraft?.code,
+    })),
+  };
+}
+
+/**
+ * Summarizes one Amadeus flight offer into a compact, LLM-friendly row
+ * @param {Object} offer - Flight offer from the search or pricing API
+ * @param {Object} [dictionaries] - The response's `dictionaries` block
+ * @returns {Object} Offer summary
+ */
+export function summarizeFlightOffer(offer, dictionaries = {}) {
+  const itineraries = (offer.itineraries || []).map((itinerary) =>
+    summarizeItinerary(itinerary, dictionaries)
+  );
+  const totalMinutes = (offer.itineraries || []).reduce(
+    (sum, itinerary) => sum + parseDuration(itinerary.duration),
+    0
+  );
+  return {
+    offerId: offer.offerId,
+    price: Number(offer.price?.grandTotal || offer.price?.total),
+    currency: offer.price?.currency,
+    totalDuration: formatDuration(totalMinutes),
+    totalMinutes,
+    stops: itineraries.reduce((sum, itinerary) => sum + itinerary.stops, 0),
+    carriers: [...new Set(itineraries.flatMap((itinerary) => itinerary.carriers))],
+    seatsLeft: offer.numberOfBookableSeats,
+    lastTicketingDate: offer.lastTicketingDate,
+    itineraries,
+  };
+}
+
+/**
+ * Summarizes a flight offers search response, resolving carriers and
+ * aircraft from its `dictionaries` block
+ * @param {Object} response - Amadeus flight offers search response
+ * @returns {{meta: Object, offers: Array<Object>}} Compact summary
+ */
+export function summarizeFlightOffers(response) {
+  const dictionaries = response.dictionaries || {};
+  const offers = (response.data || []).map((offer) =>
+    summarizeFlightOffer(offer, dictionaries)
+  );
+  return {
+    meta: { count: offers.length, format: "summary" },
+    offers,
+  };
+}
+
+/**
+ * JSON Schema of a summarized offer, for tool output schemas
+ */
+export const FLIGHT_OFFER_SUMMARY_SCHEMA = {
+  type: "object",
+  properties: {
+    offerId: { type: "string" },
+    price: { type: "number" },
+    currency: { type: "string" },
+    totalDuration: { type: "string" },
+    totalMinutes: { type: "integer" },
+    stops: { type: "integer" },
+    carriers: { type: "array", items: { type: "string" } },
+    seatsLeft: { type: "integer" },
+    lastTicketingDate: { type: "string" },
+    itineraries: { type: "array", items: { type: "object" } },
+  },
+  required: ["offerId", "price", "currency", "totalDuration", "stops", "carriers"],
+};
@@ -0,0 +1,51 @@
+import { getAccessToken, hasCredentials } from "./auth.js";
+import { getAmadeusConfig } from "./config.js";
+
+const DEFAULT_READY_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${timeoutMs}ms`)),
+      timeoutMs
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Checks whether the server can serve tool calls: Amadeus credentials are
+ * configured and a token can be obtained from the configured base URL (which
+ * may be the local mock). A still-valid cached token counts as success, so
+ * frequent probes do not hit the token endpoint.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Upper bound for the token check, READY_TIMEOUT_MS by default
+ * @returns {Promise<{ready: boolean, checks: Object}>} Overall result and per-check details
+ */
+export async function checkReadiness({
+  timeoutMs = Number(process.env.READY_TIMEOUT_MS) || DEFAULT_READY_TIMEOUT_MS,
+} = {}) {
+  const { name, baseUrl } = getAmadeusConfig();
+  const checks = {
+    credentials: { ok: hasCredentials() },
+    token: { ok: false, environment: name, baseUrl },
+  };
+
+  if (!checks.credentials.ok) {
+    checks.credentials.error = "AMADEUS_CLIENT_ID and AMADEUS_CLIENT_SECRET are not set";
+    checks.token.error = "Skipped: no credentials";
+  } else {
+    const started = Date.now();
+    try {
+      await withTimeout(getAccessToken(), timeoutMs);
+      checks.token.ok = true;
+    } catch (error) {
+      checks.token.error = error.message;
+      if (error.status) checks.token.status = error.status;
+    }
+    checks.token.durationMs = Date.now() - started;
+  }
+
+  return { ready: Object.values(checks).every((check) => check.ok), checks };
+}
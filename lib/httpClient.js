@@ -0,0 +1,217 @@
+import { UpstreamTimeoutError } from "./errors.js";
+import { getCorrelationId, logger } from "./logger.js";
+import { counter, gauge } from "./metrics.js";
+import { createTokenBucket } from "./tokenBucket.js";
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+const DEFAULTS = {
+  requestsPerSecond: 10,
+  maxConcurrency: 5,
+  timeoutMs: 20000,
+  maxRetries: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 10000,
+};
+
+let sharedClient;
+
+const log = logger.child({ component: "http-client" });
+
+const upstreamResponses = counter(
+  "amadeus_http_responses_total",
+  "Final Amadeus responses by method and status code (\"timeout\" or \"error\" when none arrived)"
+);
+const upstreamRetries = counter("amadeus_http_retries_total", "Retried Amadeus requests");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Returns a signal that aborts with a TimeoutError after `timeoutMs`, or with
+ * the caller's reason when the caller's signal aborts first. Combined by hand
+ * because AbortSignal.any() needs Node 20.3.
+ * @param {number} timeoutMs - Timeout
+ * @param {AbortSignal} [callerSignal] - Signal passed by the caller
+ * @returns {AbortSignal} Combined signal
+ */
+function timeoutSignal(timeoutMs, callerSignal) {
+  const controller = new AbortController();
+  // Left running so it covers reading the body too, but never keeps the process alive
+  setTimeout(
+    () => controller.abort(new DOMException(`The operation timed out after ${timeoutMs}ms`, "TimeoutError")),
+    timeoutMs
+  ).unref();
+  if (callerSignal?.aborted) {
+    controller.abort(callerSignal.reason);
+  } else {
+    callerSignal?.addEventListener("abort", () => controller.abort(callerSignal.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+/**
+ * Parses a Retry-After header given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|undefined} Delay in milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Creates an HTTP client that rate limits, queues, times out and retries
+ * outbound requests. Requests are only retried when they are idempotent:
+ * GET-like methods, or any request sent with `idempotent: true`. The
+ * current correlation ID is sent as `X-Correlation-Id`.
+ * @param {Object} [options]
+ * @param {number} [options.requestsPerSecond] - Token bucket rate (and burst)
+ * @param {number} [options.maxConcurrency] - Requests in flight at once
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - First backoff delay, doubled per retry
+ * @param {number} [options.maxDelayMs] - Upper bound for a single backoff delay
+ * @returns {{fetch: (url: string|URL, options?: Object) => Promise<Response>, stats: () => Object}} Client
+ */
+export function createHttpClient(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const bucket = createTokenBucket({ ratePerSecond: config.requestsPerSecond });
+  const waiting = [];
+  let active = 0;
+
+  const acquireSlot = async () => {
+    if (active < config.maxConcurrency) {
+      active += 1;
+      return;
+    }
+    // The releasing request hands its slot straight to us
+    await new Promise((resolve) => waiting.push(resolve));
+  };
+  const releaseSlot = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active -= 1;
+  };
+
+  const backoffDelay = (attempt, response) => {
+    const retryAfter = parseRetryAfter(response?.headers.get("retry-after"));
+    const exponential = config.baseDelayMs * 2 ** attempt;
+    const delay = retryAfter ?? exponential + Math.random() * config.baseDelayMs;
+    return Math.min(delay, config.maxDelayMs);
+  };
+
+  /**
+   * Sends a request through the client
+   * @param {string|URL} url - Request URL
+   * @param {Object} [init] - fetch options, plus `idempotent` and `timeoutMs`
+   * @returns {Promise<Response>} The final response
+   */
+  const clientFetch = async (url, init = {}) => {
+    const { idempotent, timeoutMs = config.timeoutMs, ...fetchOptions } = init;
+    const method = (fetchOptions.method || "GET").toUpperCase();
+    const retryable = idempotent ?? IDEMPOTENT_METHODS.has(method);
+
+    for (let attempt = 0; ; attempt += 1) {
+      await acquireSlot();
+      let response;
+      let failure;
+      try {
+        await sleep(bucket.reserve());
+        const headers = new Headers(fetchOptions.headers);
+        const correlationId = getCorrelationId();
+        if (correlationId) headers.set("X-Correlation-Id", correlationId);
+        response = await globalThis.fetch(url, {
+          ...fetchOptions,
+          headers,
+          signal: timeoutSignal(timeoutMs, fetchOptions.signal),
+        });
+      } catch (error) {
+        failure =
+          error.name === "TimeoutError"
+            ? new UpstreamTimeoutError(method, url, timeoutMs)
+            : error;
+        // Requests cancelled by the caller are never retried
+        if (error.name === "AbortError") throw error;
+      } finally {
+        releaseSlot();
+      }
+
+      const canRetry =
+        retryable &&
+        attempt < config.maxRetries &&
+        (failure || RETRYABLE_STATUSES.has(response.status));
+      if (!canRetry) {
+        upstreamResponses.inc({
+          method,
+          status: response?.status ?? (failure instanceof UpstreamTimeoutError ? "timeout" : "error"),
+        });
+        if (failure) throw failure;
+        return response;
+      }
+
+      const delay = backoffDelay(attempt, response);
+      upstreamRetries.inc();
+      log.warn("Retrying request", {
+        method,
+        path: new URL(url).pathname,
+        ...(failure ? { error: failure.message } : { status: response.status }),
+        attempt: attempt + 1,
+        maxRetries: config.maxRetries,
+        delayMs: Math.round(delay),
+      });
+      // Free the connection before waiting
+      await response?.body?.cancel();
+      await sleep(delay);
+    }
+  };
+
+  return {
+    fetch: clientFetch,
+    stats: () => ({ active, queued: waiting.length }),
+  };
+}
+
+/**
+ * Returns the client shared by all Amadeus calls, configured from
+ * AMADEUS_RATE_LIMIT (requests per second), AMADEUS_MAX_CONCURRENCY,
+ * AMADEUS_TIMEOUT_MS and AMADEUS_MAX_RETRIES
+ * @returns {ReturnType<typeof createHttpClient>} Shared client
+ */
+export function getHttpClient() {
+  if (!sharedClient) {
+    const fromEnv = (name) =>
+      process.env[name] === undefined ? undefined : Number(process.env[name]);
+    sharedClient = createHttpClient(
+      Object.fromEntries(
+        Object.entries({
+          requestsPerSecond: fromEnv("AMADEUS_RATE_LIMIT"),
+          maxConcurrency: fromEnv("AMADEUS_MAX_CONCURRENCY"),
+          timeoutMs: fromEnv("AMADEUS_TIMEOUT_MS"),
+          maxRetries: fromEnv("AMADEUS_MAX_RETRIES"),
+        }).filter(([, value]) => value !== undefined && !Number.isNaN(value))
+      )
+    );
+    const { stats } = sharedClient;
+    gauge("amadeus_http_active_requests", "Amadeus requests in flight", () => [
+      { value: stats().active },
+    ]);
+    gauge("amadeus_http_queued_requests", "Amadeus requests waiting for a free slot", () => [
+      { value: stats().queued },
+    ]);
+  }
+  return sharedClient;
+}
+
+/**
+ * Sends a request through the shared client
+ * @param {string|URL} url - Request URL
+ * @param {Object} [options] - fetch options, plus `idempotent` and `timeoutMs`
+ * @returns {Promise<Response>} The final response
+ */
+export function httpFetch(url, options) {
+  return getHttpClient().fetch(url, options);
+}
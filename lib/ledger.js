@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "./logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_LEDGER_DIR = ".data";
+const BOOKINGS_FILE = "bookings.json";
+
+const log = logger.child({ component: "ledger" });
+
+/**
+ * Returns the directory holding the booking ledger and traveler profiles
+ * @returns {string} Absolute path of LEDGER_DIR, relative to the repository root, `.data/` by default
+ */
+export function getLedgerDir() {
+  return path.resolve(__dirname, "..", process.env.LEDGER_DIR || DEFAULT_LEDGER_DIR);
+}
+
+/**
+ * Whether bookings and profiles are kept on disk: LEDGER_BACKEND=file
+ * (default) or off
+ * @returns {boolean} True when the ledger is enabled
+ */
+export function isLedgerEnabled() {
+  const type = process.env.LEDGER_BACKEND || "file";
+  if (type !== "file" && type !== "off") {
+    throw new Error(`Invalid LEDGER_BACKEND "${type}". Expected file or off`);
+  }
+  return type === "file";
+}
+
+/**
+ * Reads a JSON file from the ledger directory
+ * @param {string} name - File name
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {*} Parsed contents
+ */
+export function readLedgerFile(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(getLedgerDir(), name), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Writes a JSON file to the ledger directory. The file is written then
+ * renamed so a crash never leaves it half-written; writes are synchronous so
+ * read-modify-write cycles cannot interleave.
+ * @param {string} name - File name
+ * @param {*} value - Value to store
+ */
+export function writeLedgerFile(name, value) {
+  const dir = getLedgerDir();
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const file = path.join(dir, name);
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(value, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
+
+function describeBooking(kind, summary) {
+  if (kind === "hotel-order") {
+    const { hotel, checkInDate, checkOutDate } = summary;
+    return {
+      travelers: summary.guests,
+      description: `${hotel.name || hotel.hotelId}, ${checkInDate} to ${checkOutDate}`,
+      total: summary.price?.total,
+      currency: summary.price?.currency,
+    };
+  }
+  const totals = summary.price.map((price) => Number(price.total)).filter((total) => !Number.isNaN(total));
+  return {
+    travelers: summary.travelers,
+    description: summary.itineraries
+      .map(({ from, to, departure }) => `${from}-${to} ${departure?.slice(0, 10) ?? ""}`.trim())
+      .join(", "),
+    total: totals.length > 0 ? totals.reduce((sum, total) => sum + total, 0).toFixed(2) : undefined,
+    currency: summary.price[0]?.currency,
+  };
+}
+
+/**
+ * Adds a newly created order to the ledger. The order already exists at
+ * Amadeus by then, so failures are returned rather than thrown, for the
+ * booking tools to pass on to the caller.
+ * @param {Object} booking
+ * @param {"flight-order"|"hotel-order"} booking.kind - Order kind
+ * @param {Object} booking.order - The order's `data` block, as returned by Amadeus
+ * @param {Object} booking.summary - The summary the user confirmed
+ * @param {string} [booking.bookedBy] - Principal that placed the order
+ * @returns {{recorded: boolean, error?: string}} Whether the booking was recorded, and why not when it failed
+ */
+export function recordBooking({ kind, order, summary, bookedBy }) {
+  try {
+    if (!isLedgerEnabled() || !order?.id) return { recorded: false };
+    const bookings = readLedgerFile(BOOKINGS_FILE, []);
+    const now = new Date().toISOString();
+    bookings.push({
+      orderId: order.id,
+      kind,
+      reference: order.associatedRecords?.[0]?.reference,
+      status: "active",
+      ...describeBooking(kind, summary),
+      ...(bookedBy && { bookedBy }),
+      summary,
+      createdAt: now,
+      updatedAt: now,
+    });
+    writeLedgerFile(BOOKINGS_FILE, bookings);
+    return { recorded: true };
+  } catch (error) {
+    log.error("Could not record booking in the ledger", { orderId: order?.id, error });
+    return { recorded: false, error: `The order was placed but could not be recorded in the booking ledger: ${error.message}` };
+  }
+}
+
+/**
+ * Updates the status of a booking in the ledger, e.g. after a cancellation.
+ * Failures are logged rather than thrown.
+ * @param {string} orderId - Amadeus order ID
+ * @param {string} status - New status
+ */
+export function updateBookingStatus(orderId, status) {
+  try {
+    if (!isLedgerEnabled()) return;
+    const bookings = readLedgerFile(BOOKINGS_FILE, []);
+    const booking = bookings.find((entry) => entry.orderId === orderId);
+    if (!booking || booking.status === status) return;
+    booking.status = status;
+    booking.updatedAt = new Date().toISOString();
+    writeLedgerFile(BOOKINGS_FILE, bookings);
+  } catch (error) {
+    log.error("Could not update booking in the ledger", { orderId, error });
+  }
+}
+
+/**
+ * Lists bookings from the ledger, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Only bookings with this status
+ * @param {string} [filters.kind] - Only "flight-order" or "hotel-order" bookings
+ * @param {string} [filters.since] - Only bookings created on or after this date
+ * @param {string} [filters.query] - Text found in the order ID, reference or a traveler's name
+ * @param {string|null} [filters.bookedBy] - Only bookings placed with this API key (principal),
+ *   `null` for those placed without one
+ * @returns {Array<Object>} Bookings
+ */
+export function listBookings({ status, kind, since, query, bookedBy } = {}) {
+  const text = query?.toUpperCase();
+  return readLedgerFile(BOOKINGS_FILE, [])
+    .filter(
+      (booking) =>
+        (!status || booking.status === status) &&
+        (!kind || booking.kind === kind) &&
+        (!since || booking.createdAt >= since) &&
+        (bookedBy === undefined || (booking.bookedBy ?? null) === bookedBy) &&
+        (!text ||
+          [booking.orderId, booking.reference, ...(booking.travelers || [])].some((value) =>
+            value?.toUpperCase().includes(text)
+          ))
+    )
+    .reverse();
+}
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "updatedAt",
+  "orderId",
+  "kind",
+  "reference",
+  "status",
+  "travelers",
+  "description",
+  "total",
+  "currency",
+  "bookedBy",
+];
+
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join("; ") : String(value ?? "");
+  // Keep spreadsheets from evaluating names such as "=HYPERLINK(…)"
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats bookings as CSV, one row per booking
+ * @param {Array<Object>} bookings - Bookings from listBookings()
+ * @returns {string} CSV with a header row
+ */
+export function bookingsToCsv(bookings) {
+  return [CSV_COLUMNS, ...bookings.map((booking) => CSV_COLUMNS.map((column) => booking[column]))]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
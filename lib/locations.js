@@ -0,0 +1,328 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { fetchWithAuth } from "./auth.js";
+import { amadeusUrl } from "./config.js";
+import { AmadeusApiError, ToolArgumentsError } from "./errors.js";
+import { logger } from "./logger.js";
+import { cachedCall } from "./responseCache.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATASET_PATH = path.resolve(__dirname, "../data/locations.json");
+
+const IATA_CODE_PATTERN = /^[A-Z]{3}$/;
+const RESOLUTION_MODES = ["offline", "auto", "off"];
+
+// Match quality, best first
+const SCORES = { code: 100, exact: 90, prefix: 60, contains: 40 };
+
+const log = logger.child({ component: "locations" });
+
+let dataset;
+
+/**
+ * Lowercases and strips accents and punctuation, so "São Paulo", "sao paulo"
+ * and "Sao-Paulo" compare equal
+ * @param {string} value - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalize(value) {
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/\p{Diacritic}/gu, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Returns the bundled airports and cities (`data/locations.json`), flattened
+ * to one entry per city and per airport, in the shape search_locations returns
+ * @returns {Array<Object>} Locations
+ */
+export function getOfflineLocations() {
+  if (!dataset) {
+    const { countries, cities } = JSON.parse(fs.readFileSync(DATASET_PATH, "utf8"));
+    dataset = cities.flatMap((city) => {
+      const shared = {
+        cityName: city.name,
+        cityCode: city.code,
+        countryCode: city.countryCode,
+        countryName: countries[city.countryCode],
+        ...(city.stateCode && { stateCode: city.stateCode }),
+      };
+      return [
+        { iataCode: city.code, subType: "CITY", name: city.name, ...shared, aliases: city.aliases || [] },
+        ...city.airports.map((airport) => ({
+          iataCode: airport.code,
+          subType: "AIRPORT",
+          name: airport.name,
+          ...shared,
+          aliases: [],
+        })),
+      ];
+    });
+  }
+  return dataset;
+}
+
+/**
+ * Splits "Portland, OR" into the place and a qualifier (country or state)
+ * @param {string} keyword - Free-text location
+ * @returns {{place: string, qualifier: string}} Normalized parts
+ */
+function parseKeyword(keyword) {
+  const index = keyword.lastIndexOf(",");
+  if (index < 0) return { place: normalize(keyword), qualifier: "" };
+  return {
+    place: normalize(keyword.slice(0, index)),
+    qualifier: normalize(keyword.slice(index + 1)),
+  };
+}
+
+function matchesQualifier(location, qualifier) {
+  if (!qualifier) return true;
+  return [
+    location.countryCode,
+    location.countryName,
+    location.stateCode,
+    location.stateCode && `${location.countryCode} ${location.stateCode}`,
+  ].some((value) => value && normalize(value) === qualifier);
+}
+
+// Scores how well a location matches a normalized place name; 0 is no match
+function scoreLocation(location, place) {
+  if (normalize(location.iataCode) === place) return SCORES.code;
+  const names = [location.cityName, location.name, ...(location.aliases || [])].map(normalize);
+  // Airports also match as "<city> <airport>", e.g. "paris orly"
+  if (location.subType === "AIRPORT") names.push(normalize(`${location.cityName} ${location.name}`));
+  if (names.some((name) => name === place)) return SCORES.exact;
+  if (names.some((name) => name.startsWith(place))) return SCORES.prefix;
+  if (place.length >= 3 && names.some((name) => name.includes(place))) return SCORES.contains;
+  return 0;
+}
+
+/**
+ * Ranks locations against a free-text keyword: IATA code, then exact city,
+ * airport or alias name, then prefix and substring matches. A trailing
+ * ", <country or state>" narrows the results, e.g. "Portland, ME".
+ * @param {Array<Object>} locations - Candidate locations
+ * @param {string} keyword - Free-text location
+ * @param {Object} [options]
+ * @param {string} [options.subType] - AIRPORT, CITY or ANY
+ * @param {string} [options.countryCode] - ISO 3166-1 alpha-2 country code
+ * @returns {Array<Object>} Matching locations, best first, each with a `score`
+ */
+export function rankLocations(locations, keyword, { subType = "ANY", countryCode } = {}) {
+  const { place, qualifier } = parseKeyword(keyword);
+  if (!place) return [];
+  return locations
+    .filter(
+      (location) =>
+        (subType === "ANY" || location.subType === subType) &&
+        (!countryCode || location.countryCode === countryCode) &&
+        matchesQualifier(location, qualifier)
+    )
+    .map((location) => ({ ...location, score: scoreLocation(location, place) }))
+    .filter((location) => location.score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        // Cities first: a city code covers all of its airports
+        (a.subType === b.subType ? 0 : a.subType === "CITY" ? -1 : 1) ||
+        a.name.localeCompare(b.name)
+    );
+}
+
+// Converts an Amadeus location to the shape of the bundled dataset
+function fromAmadeusLocation(location) {
+  const { address = {} } = location;
+  return {
+    iataCode: location.iataCode,
+    subType: location.subType,
+    name: location.name,
+    cityName: address.cityName,
+    cityCode: address.cityCode,
+    countryCode: address.countryCode,
+    countryName: address.countryName,
+    ...(address.stateCode && { stateCode: address.stateCode }),
+    ...(location.geoCode && { geoCode: location.geoCode }),
+    aliases: [],
+  };
+}
+
+/**
+ * Looks locations up with the Amadeus Airport & City Search API. Results
+ * are cached like search_locations calls.
+ * @param {string} keyword - Free-text location; a ", <qualifier>" suffix is applied locally
+ * @param {Object} [options]
+ * @param {string} [options.subType] - AIRPORT, CITY or ANY
+ * @param {string} [options.countryCode] - ISO 3166-1 alpha-2 country code
+ * @param {boolean} [options.bypassCache] - Skip the response cache
+ * @returns {Promise<Array<Object>>} Matching locations, best first
+ */
+export async function searchAmadeusLocations(keyword, { subType = "ANY", countryCode, bypassCache = false } = {}) {
+  const place = keyword.split(",")[0].trim();
+  const queryParams = new URLSearchParams({
+    keyword: place,
+    subType: subType === "ANY" ? "AIRPORT,CITY" : subType,
+    "page[limit]": "20",
+    view: "LIGHT",
+  });
+  if (countryCode) queryParams.append("countryCode", countryCode);
+
+  const { value } = await cachedCall(
+    "search_locations",
+    Object.fromEntries(queryParams),
+    async () => {
+      const response = await fetchWithAuth(
+        `${amadeusUrl("/v1/reference-data/locations")}?${queryParams.toString()}`,
+        { method: "GET" }
+      );
+      if (!response.ok) {
+        throw await AmadeusApiError.fromResponse(response);
+      }
+      return response.json();
+    },
+    { bypass: bypassCache }
+  );
+  return rankLocations((value.data || []).map(fromAmadeusLocation), keyword, { subType, countryCode });
+}
+
+/**
+ * Searches cities and airports in Amadeus or in the bundled dataset. With
+ * source "auto", Amadeus is tried first and the dataset is used when it
+ * fails (no network, no credentials, upstream errors) or finds nothing.
+ * @param {string} keyword - Free-text location, e.g. "paris" or "Portland, ME"
+ * @param {Object} [options]
+ * @param {"auto"|"amadeus"|"offline"} [options.source] - Where to search
+ * @param {string} [options.subType] - AIRPORT, CITY or ANY
+ * @param {string} [options.countryCode] - ISO 3166-1 alpha-2 country code
+ * @param {boolean} [options.bypassCache] - Skip the response cache for Amadeus lookups
+ * @returns {Promise<{source: string, locations: Array<Object>, fallbackReason?: string}>} Ranked locations
+ */
+export async function searchLocations(keyword, { source = "auto", ...options } = {}) {
+  if (source === "offline") {
+    return { source: "offline", locations: rankLocations(getOfflineLocations(), keyword, options) };
+  }
+  if (source === "amadeus") {
+    return { source: "amadeus", locations: await searchAmadeusLocations(keyword, options) };
+  }
+
+  let fallbackReason;
+  try {
+    const locations = await searchAmadeusLocations(keyword, options);
+    if (locations.length > 0) return { source: "amadeus", locations };
+    fallbackReason = "No Amadeus results";
+  } catch (error) {
+    log.warn("Location search failed, using the offline dataset", { error });
+    fallbackReason = error.message;
+  }
+  return {
+    source: "offline",
+    fallbackReason,
+    locations: rankLocations(getOfflineLocations(), keyword, options),
+  };
+}
+
+function describeLocation(location) {
+  const region = [location.countryCode, location.stateCode].filter(Boolean).join("-");
+  const place = location.subType === "CITY" ? `${location.name}, all airports` : `${location.cityName}, ${location.name}`;
+  return `${location.iataCode} (${place}, ${region})`;
+}
+
+function summarizeCandidate({ iataCode, subType, name, cityName, countryCode, stateCode }) {
+  return { iataCode, subType, name, cityName, countryCode, ...(stateCode && { stateCode }) };
+}
+
+/**
+ * Returns how search tools treat location names: LOCATION_RESOLUTION=offline
+ * (default) uses the bundled dataset, auto asks Amadeus first, off requires
+ * IATA codes
+ * @returns {"offline"|"auto"|"off"} Resolution mode
+ */
+export function getLocationResolutionMode() {
+  const mode = (process.env.LOCATION_RESOLUTION || "offline").toLowerCase();
+  if (!RESOLUTION_MODES.includes(mode)) {
+    throw new Error(`Invalid LOCATION_RESOLUTION "${mode}". Expected one of: ${RESOLUTION_MODES.join(", ")}`);
+  }
+  return mode;
+}
+
+/**
+ * Resolves a free-text city or airport name to an IATA code. Uppercase
+ * 3-letter values are taken as codes and returned unchanged. A name that
+ * matches several cities (e.g. "Portland") is rejected with the candidates,
+ * so the caller can ask the user instead of guessing.
+ * @param {string} toolName - Tool name used in error messages
+ * @param {string} field - Argument name used in error messages
+ * @param {string} value - IATA code or free-text name
+ * @returns {Promise<{iataCode: string, resolved?: Object}>} Code, plus what it was resolved from
+ * @throws {ToolArgumentsError} When the name is unknown or ambiguous, or resolution is off
+ */
+export async function resolveLocationCode(toolName, field, value) {
+  if (IATA_CODE_PATTERN.test(value)) return { iataCode: value };
+
+  const mode = getLocationResolutionMode();
+  if (mode === "off") {
+    throw new ToolArgumentsError(toolName, [
+      { field, message: "must be a 3-letter IATA code; look it up with search_locations" },
+    ]);
+  }
+  const { locations } = await searchLocations(value, { source: mode });
+  if (locations.length === 0) {
+    throw new ToolArgumentsError(toolName, [
+      {
+        field,
+        message: `"${value}" does not match a known city or airport; pass an IATA code or look it up with search_locations`,
+      },
+    ]);
+  }
+
+  // Only the best matches count, grouped by city: a city's airports are one place
+  const best = locations.filter((location) => location.score === locations[0].score);
+  const places = new Map();
+  for (const location of best) {
+    const key = `${location.cityCode || location.iataCode}:${location.countryCode}`;
+    if (!places.has(key)) places.set(key, []);
+    places.get(key).push(location);
+  }
+  const candidates = [...places.values()].flatMap((matches) => {
+    const city = matches.find((location) => location.subType === "CITY");
+    return city ? [city] : matches;
+  });
+  if (candidates.length > 1) {
+    throw new ToolArgumentsError(toolName, [
+      {
+        field,
+        message: `"${value}" matches several places; pass one of these IATA codes instead: ${candidates.map(describeLocation).join(", ")}`,
+        candidates: candidates.map(summarizeCandidate),
+      },
+    ]);
+  }
+
+  const [location] = candidates;
+  return {
+    iataCode: location.iataCode,
+    resolved: { query: value, ...summarizeCandidate(location) },
+  };
+}
+
+/**
+ * Resolves the location arguments of a search tool (see resolveLocationCode)
+ * @param {string} toolName - Tool name used in error messages
+ * @param {Object} args - Tool arguments
+ * @param {Array<string>} fields - Names of the location arguments
+ * @returns {Promise<{args: Object, resolved: Object}>} Arguments with IATA codes, and the names that were resolved, by field
+ */
+export async function resolveLocationArgs(toolName, args, fields) {
+  const resolvedArgs = { ...args };
+  const resolved = {};
+  for (const field of fields) {
+    if (args[field] === undefined) continue;
+    const result = await resolveLocationCode(toolName, field, args[field]);
+    resolvedArgs[field] = result.iataCode;
+    if (result.resolved) resolved[field] = result.resolved;
+  }
+  return { args: resolvedArgs, resolved };
+}
@@ -0,0 +1,145 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = "[REDACTED]";
+
+// Traveler and contact data from the booking APIs
+const PII_KEYS = [
+  "firstName",
+  "lastName",
+  "middleName",
+  "addresseeName",
+  "dateOfBirth",
+  "birthPlace",
+  "documents",
+  "emailAddress",
+  "email",
+  "phones",
+  "phone",
+  "address",
+];
+
+// Credentials; these are redacted even when PII redaction is turned off
+const SECRET_KEYS = [
+  "client_secret",
+  "clientSecret",
+  "access_token",
+  "accessToken",
+  "authorization",
+  "password",
+  "key",
+  "confirmationToken",
+  // Payment cards from the hotel booking API
+  "paymentCard",
+  "cardNumber",
+];
+
+const BEARER_PATTERN = /\b(Bearer)\s+[A-Za-z0-9._~+/=-]+/gi;
+
+const context = new AsyncLocalStorage();
+
+function getRedactedKeys() {
+  const extra = (process.env.LOG_REDACT_KEYS || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const pii = process.env.LOG_REDACT_PII === "false" ? [] : PII_KEYS;
+  return new Set([...SECRET_KEYS, ...pii, ...extra].map((key) => key.toLowerCase()));
+}
+
+/**
+ * Returns a copy of a value with PII and secrets replaced by "[REDACTED]".
+ * Keys are matched case-insensitively against the built-in PII and secret
+ * lists plus LOG_REDACT_KEYS (comma-separated); LOG_REDACT_PII=false keeps
+ * PII for local debugging. Bearer tokens inside strings are masked too.
+ * @param {*} value - Value to redact
+ * @returns {*} Redacted copy
+ */
+export function redact(value) {
+  const keys = getRedactedKeys();
+  const seen = new WeakSet();
+  const walk = (current) => {
+    if (typeof current === "string") return current.replace(BEARER_PATTERN, `$1 ${REDACTED}`);
+    if (!current || typeof current !== "object") return current;
+    if (current instanceof Error) {
+      // Keep the fields of errors such as AmadeusApiError next to the stack
+      return walk({ name: current.name, message: current.message, ...current, stack: current.stack });
+    }
+    if (seen.has(current)) return "[Circular]";
+    seen.add(current);
+    if (Array.isArray(current)) return current.map(walk);
+    return Object.fromEntries(
+      Object.entries(current).map(([key, entry]) => [
+        key,
+        keys.has(key.toLowerCase()) ? REDACTED : walk(entry),
+      ])
+    );
+  };
+  return walk(value);
+}
+
+/**
+ * Runs `fn` with a correlation context. Log records written inside it, and
+ * the outbound requests it makes, carry the same `correlationId`.
+ * @param {Object} fields - Context fields, e.g. `{ correlationId, tool }`
+ * @param {() => *} fn - Function to run
+ * @returns {*} Whatever `fn` returns
+ */
+export function runWithContext(fields, fn) {
+  return context.run(
+    { correlationId: randomUUID(), ...context.getStore(), ...fields },
+    fn
+  );
+}
+
+/**
+ * @returns {string|undefined} Correlation ID of the current tool call or request
+ */
+export function getCorrelationId() {
+  return context.getStore()?.correlationId;
+}
+
+function write(level, bindings, message, fields) {
+  const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  if (LEVELS[level] < threshold) return;
+
+  const record = redact({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...context.getStore(),
+    ...bindings,
+    ...fields,
+  });
+  let line;
+  if (process.env.LOG_FORMAT === "pretty") {
+    const { time, level: _level, msg, ...rest } = record;
+    const details = Object.entries(rest)
+      .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+      .join(" ");
+    line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ""}`;
+  } else {
+    line = JSON.stringify(record);
+  }
+  // stdout carries the MCP protocol in stdio mode, so logs always go to stderr
+  process.stderr.write(`${line}\n`);
+}
+
+/**
+ * Creates a logger that writes one JSON record per line to stderr, at or
+ * above LOG_LEVEL (debug, info, warn, error; default info). Set
+ * LOG_FORMAT=pretty for human-readable lines. Records are redacted, see
+ * redact().
+ * @param {Object} [bindings] - Fields added to every record, e.g. `{ component: "http" }`
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}} Logger
+ */
+export function createLogger(bindings = {}) {
+  const logger = { child: (more) => createLogger({ ...bindings, ...more }) };
+  for (const level of Object.keys(LEVELS)) {
+    logger[level] = (message, fields = {}) => write(level, bindings, message, fields);
+  }
+  return logger;
+}
+
+export const logger = createLogger();
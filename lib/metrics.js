@@ -0,0 +1,124 @@
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// name -> metric, in registration order
+const registry = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+// Stable key for a label set, independent of property order
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function register(name, create) {
+  if (!registry.has(name)) registry.set(name, create());
+  return registry.get(name);
+}
+
+/**
+ * Returns the counter with this name, creating it on first use
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @returns {{inc: (labels?: Object, value?: number) => void}} Counter
+ */
+export function counter(name, help) {
+  return register(name, () => {
+    const series = new Map();
+    return {
+      type: "counter",
+      help,
+      inc(labels = {}, value = 1) {
+        const key = labelKey(labels);
+        if (!series.has(key)) series.set(key, { labels, value: 0 });
+        series.get(key).value += value;
+      },
+      lines: () =>
+        [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    };
+  });
+}
+
+/**
+ * Returns the gauge with this name, creating it on first use. Gauges read
+ * their values from `collect` when metrics are rendered.
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {() => Array<{labels?: Object, value: number}>} collect - Current values
+ * @returns {Object} Gauge
+ */
+export function gauge(name, help, collect) {
+  const metric = register(name, () => ({
+    type: "gauge",
+    help,
+    collect,
+    lines() {
+      return this.collect().map(
+        ({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`
+      );
+    },
+  }));
+  // A later registration (e.g. after a restart of the HTTP server) replaces the source
+  metric.collect = collect;
+  return metric;
+}
+
+/**
+ * Returns the histogram with this name, creating it on first use
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<number>} [buckets] - Upper bounds in ascending order
+ * @returns {{observe: (labels: Object, value: number) => void}} Histogram
+ */
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  return register(name, () => {
+    const series = new Map();
+    return {
+      type: "histogram",
+      help,
+      observe(labels, value) {
+        const key = labelKey(labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+      lines: () =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map(
+            (bound, index) =>
+              `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+          ),
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ]),
+    };
+  });
+}
+
+/**
+ * Renders every registered metric in the Prometheus text exposition format
+ * @returns {string} Metrics text
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, metric] of registry) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    lines.push(...metric.lines());
+  }
+  return `${lines.join("\n")}\n`;
+}
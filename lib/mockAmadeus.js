@@ -0,0 +1,506 @@
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { fileURLToPath } from "url";
+import { getOfflineLocations, rankLocations } from "./locations.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.resolve(__dirname, "../fixtures/amadeus");
+
+// The fixtures were recorded for flights departing on this date
+const RECORDED_DEPARTURE_DATE = "2026-12-01";
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * The date the flight offer fixtures depart on: 30 days after the mock was
+ * loaded, so that the fixtures never fall in the past
+ */
+export const FIXTURE_DEPARTURE_DATE = addDays(new Date().toISOString().slice(0, 10), 30);
+
+const FIXTURE_SHIFT_DAYS = Math.round(
+  (Date.parse(FIXTURE_DEPARTURE_DATE) - Date.parse(RECORDED_DEPARTURE_DATE)) / 86400000
+);
+
+// Loads a fixture with every date in it moved along with the departure date
+function loadFixture(name) {
+  const text = fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+  return JSON.parse(text.replace(/(?<!\d)\d{4}-\d{2}-\d{2}(?!\d)/g, (date) => addDays(date, FIXTURE_SHIFT_DAYS)));
+}
+
+// Great-circle distance in kilometres
+function distanceKm(from, to) {
+  const rad = (degrees) => (degrees * Math.PI) / 180;
+  const a =
+    Math.sin(rad(to.latitude - from.latitude) / 2) ** 2 +
+    Math.cos(rad(from.latitude)) * Math.cos(rad(to.latitude)) * Math.sin(rad(to.longitude - from.longitude) / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+// Applies the filters the hotel list endpoints share
+function filterHotels(hotels, { chainCodes, amenities, ratings }) {
+  const list = (value) => (value ? value.split(",") : undefined);
+  const [chains, wanted, stars] = [list(chainCodes), list(amenities), list(ratings)];
+  return hotels.filter(
+    (hotel) =>
+      (!chains || chains.includes(hotel.chainCode)) &&
+      (!wanted || wanted.every((amenity) => hotel.amenities.includes(amenity))) &&
+      (!stars || stars.includes(String(hotel.rating)))
+  );
+}
+
+// Moves a fixture offer to another departure date; fares rise 5% per day away from the fixture date
+function moveOfferToDate(offer, departureDate) {
+  const days = Math.round((Date.parse(departureDate) - Date.parse(FIXTURE_DEPARTURE_DATE)) / 86400000);
+  if (days === 0) return offer;
+  const shift = (at) => new Date(Date.parse(`${at}Z`) + days * 86400000).toISOString().slice(0, 19);
+  const fare = (amount) => (Number(amount) * (1 + 0.05 * Math.abs(days))).toFixed(2);
+  const price = (value) => ({
+    ...value,
+    total: fare(value.total),
+    ...(value.base && { base: fare(value.base) }),
+    ...(value.grandTotal && { grandTotal: fare(value.grandTotal) }),
+  });
+  return {
+    ...offer,
+    itineraries: offer.itineraries.map((itinerary) => ({
+      ...itinerary,
+      segments: itinerary.segments.map((segment) => ({
+        ...segment,
+        departure: { ...segment.departure, at: shift(segment.departure.at) },
+        arrival: { ...segment.arrival, at: shift(segment.arrival.at) },
+      })),
+    })),
+    price: price(offer.price),
+    travelerPricings: offer.travelerPricings.map((pricing) => ({ ...pricing, price: price(pricing.price) })),
+  };
+}
+
+// Whether a date is on the date or within the "from,to" range a cheapest date search asks for
+function onRequestedDates(date, requested) {
+  if (!requested) return true;
+  const [from, to = from] = requested.split(",");
+  return date >= from && date <= to;
+}
+
+function sendError(res, status, code, title, detail, source) {
+  res.status(status).json({
+    errors: [{ status, code, title, detail, ...(source && { source }) }],
+  });
+}
+
+/**
+ * Creates an Express app that stands in for the Amadeus API, serving the
+ * fixtures in `fixtures/amadeus` for the token, flight offers search (GET and
+ * POST), pricing, flight orders, seat maps, cheapest dates, inspiration,
+ * hotel list, hotel offers and hotel order endpoints. Airport & City Search
+ * answers from the bundled locations dataset. Fixture dates are moved so that
+ * flights depart on `FIXTURE_DEPARTURE_DATE`, and GET flight offers move on to
+ * the requested departure date. Created orders and searched hotel offers are
+ * kept in memory so they can be retrieved, re-checked and cancelled. Requests
+ * are checked roughly the way Amadeus checks them so that error paths can be
+ * exercised offline.
+ * @returns {import("express").Express} Mock Amadeus app
+ */
+export function createMockAmadeusApp() {
+  const app = express();
+  const tokens = new Set();
+  const orders = new Map();
+  const hotelOffers = new Map();
+
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  app.post("/v1/security/oauth2/token", (req, res) => {
+    const { grant_type, client_id, client_secret } = req.body ?? {};
+    if (grant_type !== "client_credentials" || !client_id || !client_secret) {
+      return res.status(401).json({
+        error: "invalid_client",
+        error_description: "Client credentials are invalid",
+        code: 38187,
+        title: "Invalid parameters",
+      });
+    }
+    const token = { ...loadFixture("token.json"), client_id, access_token: randomUUID() };
+    tokens.add(token.access_token);
+    res.json(token);
+  });
+
+  // Every other endpoint requires a token issued above
+  app.use((req, res, next) => {
+    const token = req.headers.authorization?.replace(/^Bearer /, "");
+    if (!tokens.has(token)) {
+      return res.status(401).json({
+        errors: [
+          {
+            status: 401,
+            code: 38190,
+            title: "Invalid access token",
+            detail: "The access token provided in the Authorization header is invalid",
+          },
+        ],
+      });
+    }
+    next();
+  });
+
+  app.get("/v2/shopping/flight-offers", (req, res) => {
+    for (const param of ["originLocationCode", "destinationLocationCode", "departureDate", "adults"]) {
+      if (!req.query[param]) {
+        return sendError(res, 400, 32171, "MANDATORY DATA MISSING", `${param} is required`, { parameter: param });
+      }
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.query.departureDate)) {
+      return sendError(res, 400, 477, "INVALID FORMAT", "departureDate must be in YYYY-MM-DD format", { parameter: "departureDate" });
+    }
+    if (req.query.departureDate < new Date().toISOString().slice(0, 10)) {
+      return sendError(res, 400, 425, "INVALID DATE", "Date/Time is in the past", { parameter: "departureDate" });
+    }
+
+    const fixture = loadFixture("flight-offers.json");
+    const max = Number(req.query.max) || fixture.data.length;
+    fixture.data = fixture.data.slice(0, max).map((offer) => moveOfferToDate(offer, req.query.departureDate));
+    fixture.meta.count = fixture.data.length;
+    res.json(fixture);
+  });
+
+  app.post("/v2/shopping/flight-offers", (req, res) => {
+    const { originDestinations, travelers, searchCriteria } = req.body ?? {};
+    for (const [field, value] of Object.entries({ originDestinations, travelers })) {
+      if (!Array.isArray(value) || value.length === 0) {
+        return sendError(res, 400, 32171, "MANDATORY DATA MISSING", `${field} is required`, { pointer: `/${field}` });
+      }
+    }
+    const date = originDestinations[0].departureDateTimeRange?.date;
+    if (!date || date < new Date().toISOString().slice(0, 10)) {
+      return sendError(res, 400, 425, "INVALID DATE", "Date/Time is in the past", { pointer: "/originDestinations[0]/departureDateTimeRange/date" });
+    }
+
+    const fixture = loadFixture("flight-offers.json");
+    const filters = searchCriteria?.flightFilters ?? {};
+    const { includedCarrierCodes, excludedCarrierCodes } = filters.carrierRestrictions ?? {};
+    const maxConnections = filters.connectionRestriction?.maxNumberOfConnections;
+    fixture.data = fixture.data.filter((offer) => {
+      const segments = offer.itineraries.flatMap((itinerary) => itinerary.segments);
+      const carriers = segments.map((segment) => segment.carrierCode);
+      return (
+        (!includedCarrierCodes || carriers.every((code) => includedCarrierCodes.includes(code))) &&
+        (!excludedCarrierCodes || !carriers.some((code) => excludedCarrierCodes.includes(code))) &&
+        (maxConnections === undefined ||
+          offer.itineraries.every((itinerary) => itinerary.segments.length - 1 <= maxConnections))
+      );
+    });
+    fixture.data = fixture.data.slice(0, searchCriteria?.maxFlightOffers || fixture.data.length);
+    fixture.meta.count = fixture.data.length;
+    res.json(fixture);
+  });
+
+  app.post("/v1/shopping/flight-offers/pricing", (req, res) => {
+    const flightOffers = req.body?.data?.flightOffers;
+    if (!Array.isArray(flightOffers) || flightOffers.length === 0) {
+      return sendError(res, 400, 32171, "MANDATORY DATA MISSING", "flightOffers is required", { pointer: "/data/flightOffers" });
+    }
+    res.json({
+      data: {
+        type: "flight-offers-pricing",
+        flightOffers: flightOffers.map((offer) => ({
+          ...offer,
+          price: { ...offer.price, billingCurrency: offer.price?.currency },
+        })),
+        bookingRequirements: {
+          emailAddressRequired: true,
+          mobilePhoneNumberRequired: true,
+        },
+      },
+      dictionaries: { locations: loadFixture("flight-offers.json").dictionaries.locations },
+    });
+  });
+
+  app.post("/v1/booking/flight-orders", (req, res) => {
+    const data = req.body?.data;
+    for (const field of ["flightOffers", "travelers"]) {
+      if (!Array.isArray(data?.[field]) || data[field].length === 0) {
+        return sendError(res, 400, 32171, "MANDATORY DATA MISSING", `${field} is required`, { pointer: `/data/${field}` });
+      }
+    }
+
+    const fixture = loadFixture("flight-order.json");
+    const id = Buffer.from(randomUUID()).toString("base64url");
+    fixture.data = {
+      ...fixture.data,
+      id,
+      associatedRecords: fixture.data.associatedRecords.map((record) => ({
+        ...record,
+        reference: id.slice(0, 6).toUpperCase(),
+        flightOfferId: data.flightOffers[0].id,
+      })),
+      flightOffers: data.flightOffers,
+      travelers: data.travelers,
+      contacts: data.contacts || [],
+      remarks: data.remarks,
+      ticketingAgreement: data.ticketingAgreement,
+    };
+    orders.set(id, fixture);
+    res.status(201).json(fixture);
+  });
+
+  app.get("/v1/booking/flight-orders/:id", (req, res) => {
+    const order = orders.get(req.params.id);
+    if (!order) {
+      return sendError(res, 404, 1797, "NOT FOUND", "Flight order not found", { parameter: "flight-orderId" });
+    }
+    res.json(order);
+  });
+
+  app.delete("/v1/booking/flight-orders/:id", (req, res) => {
+    if (!orders.delete(req.params.id)) {
+      return sendError(res, 404, 1797, "NOT FOUND", "Flight order not found", { parameter: "flight-orderId" });
+    }
+    res.status(204).end();
+  });
+
+  app.get("/v1/shopping/seatmaps", (req, res) => {
+    if (!orders.has(req.query["flight-orderId"])) {
+      return sendError(res, 404, 1797, "NOT FOUND", "Flight order not found", { parameter: "flight-orderId" });
+    }
+    res.json(loadFixture("seatmaps.json"));
+  });
+
+  app.post("/v1/shopping/seatmaps", (req, res) => {
+    const offers = req.body?.data;
+    if (!Array.isArray(offers) || offers.length === 0) {
+      return sendError(res, 400, 32171, "MANDATORY DATA MISSING", "data is required", { pointer: "/data" });
+    }
+    const fixture = loadFixture("seatmaps.json");
+    fixture.data = offers.flatMap((offer) =>
+      fixture.data.map((seatmap) => ({ ...seatmap, flightOfferId: offer.id }))
+    );
+    fixture.meta.count = fixture.data.length;
+    res.json(fixture);
+  });
+
+  app.get("/v1/reference-data/locations", (req, res) => {
+    const { keyword, subType, countryCode } = req.query;
+    if (!keyword || !subType) {
+      const parameter = keyword ? "subType" : "keyword";
+      return sendError(res, 400, 32171, "MANDATORY DATA MISSING", `${parameter} is required`, { parameter });
+    }
+    const subTypes = subType.split(",");
+    const limit = Number(req.query["page[limit]"]) || 10;
+    const data = rankLocations(getOfflineLocations(), keyword, { countryCode })
+      .filter((location) => subTypes.includes(location.subType))
+      .slice(0, limit)
+      .map((location) => ({
+        type: "location",
+        subType: location.subType,
+        name: location.name.toUpperCase(),
+        detailedName: `${location.cityName}/${location.countryCode}: ${location.name}`.toUpperCase(),
+        iataCode: location.iataCode,
+        address: {
+          cityName: location.cityName.toUpperCase(),
+          cityCode: location.cityCode,
+          countryName: location.countryName.toUpperCase(),
+          countryCode: location.countryCode,
+          ...(location.stateCode && { stateCode: location.stateCode }),
+        },
+      }));
+    res.json({ meta: { count: data.length }, data });
+  });
+
+  app.get("/v1/shopping/flight-dates", (req, res) => {
+    for (const param of ["origin", "destination"]) {
+      if (!req.query[param]) {
+        return sendError(res, 400, 32171, "MANDATORY DATA MISSING", `${param} is required`, { parameter: param });
+      }
+    }
+    const fixture = loadFixture("flight-dates.json");
+    fixture.data = fixture.data
+      .filter((entry) => !req.query.maxPrice || Number(entry.price.total) <= Number(req.query.maxPrice))
+      .filter((entry) => onRequestedDates(entry.departureDate, req.query.departureDate))
+      .map((entry) => ({ ...entry, origin: req.query.origin, destination: req.query.destination }));
+    if (fixture.data.length === 0) {
+      return sendError(res, 404, 6003, "ITEM/DATA NOT FOUND OR DATA NOT EXISTING", "No price result found for the given criteria");
+    }
+    res.json(fixture);
+  });
+
+  app.get("/v1/shopping/flight-destinations", (req, res) => {
+    if (!req.query.origin) {
+      return sendError(res, 400, 32171, "MANDATORY DATA MISSING", "origin is required", { parameter: "origin" });
+    }
+    const fixture = loadFixture("flight-destinations.json");
+    fixture.data = fixture.data
+      .filter((entry) => !req.query.maxPrice || Number(entry.price.total) <= Number(req.query.maxPrice))
+      .filter((entry) => onRequestedDates(entry.departureDate, req.query.departureDate))
+      .map((entry) => ({ ...entry, origin: req.query.origin }));
+    if (fixture.data.length === 0) {
+      return sendError(res, 404, 6003, "ITEM/DATA NOT FOUND OR DATA NOT EXISTING", "No price result found for the given criteria");
+    }
+    res.json(fixture);
+  });
+
+  app.get("/v1/reference-data/locations/hotels/by-city", (req, res) => {
+    if (!req.query.cityCode) {
+      return sendError(res, 400, 32171, "MANDATORY DATA MISSING", "cityCode is required", { parameter: "cityCode" });
+    }
+    const fixture = loadFixture("hotels.json");
+    fixture.data = filterHotels(fixture.data, req.query).filter((hotel) => hotel.iataCode === req.query.cityCode);
+    if (fixture.data.length === 0) {
+      return sendError(res, 400, 895, "NOTHING FOUND FOR REQUESTED CITY", "Nothing found for the requested city", { parameter: "cityCode" });
+    }
+    fixture.meta.count = fixture.data.length;
+    res.json(fixture);
+  });
+
+  app.get("/v1/reference-data/locations/hotels/by-geocode", (req, res) => {
+    for (const param of ["latitude", "longitude"]) {
+      if (!req.query[param]) {
+        return sendError(res, 400, 32171, "MANDATORY DATA MISSING", `${param} is required`, { parameter: param });
+      }
+    }
+    const center = { latitude: Number(req.query.latitude), longitude: Number(req.query.longitude) };
+    const unit = req.query.radiusUnit || "KM";
+    const radiusKm = (Number(req.query.radius) || 5) * (unit === "MILE" ? 1.609344 : 1);
+    const fixture = loadFixture("hotels.json");
+    fixture.data = filterHotels(fixture.data, req.query)
+      .map((hotel) => ({ hotel, km: distanceKm(center, hotel.geoCode) }))
+      .filter(({ km }) => km <= radiusKm)
+      .sort((a, b) => a.km - b.km)
+      .map(({ hotel, km }) => ({
+        ...hotel,
+        distance: { value: Number((unit === "MILE" ? km / 1.609344 : km).toFixed(2)), unit },
+      }));
+    if (fixture.data.length === 0) {
+      return sendError(res, 400, 895, "NOTHING FOUND FOR REQUESTED CITY", "No hotel found in the requested area");
+    }
+    fixture.meta.count = fixture.data.length;
+    res.json(fixture);
+  });
+
+  app.get("/v3/shopping/hotel-offers", (req, res) => {
+    if (!req.query.hotelIds) {
+      return sendError(res, 400, 32171, "MANDATORY DATA MISSING", "hotelIds is required", { parameter: "hotelIds" });
+    }
+    const { checkInDate = new Date().toISOString().slice(0, 10) } = req.query;
+    if (checkInDate < new Date().toISOString().slice(0, 10)) {
+      return sendError(res, 400, 381, "INVALID DATE", "checkInDate cannot be in the past", { parameter: "checkInDate" });
+    }
+    const checkOutDate = req.query.checkOutDate ||
+      new Date(Date.parse(checkInDate) + 86400000).toISOString().slice(0, 10);
+    if (checkOutDate <= checkInDate) {
+      return sendError(res, 400, 1351, "INVALID DATE", "checkOutDate must be after checkInDate", { parameter: "checkOutDate" });
+    }
+
+    const hotelIds = req.query.hotelIds.split(",");
+    const fixture = loadFixture("hotel-offers.json");
+    fixture.data = fixture.data
+      .filter((entry) => hotelIds.includes(entry.hotel.hotelId))
+      .map((entry) => ({
+        ...entry,
+        offers: entry.offers
+          .filter((offer) => !req.query.boardType || offer.boardType === req.query.boardType)
+          .slice(0, req.query.bestRateOnly === "false" ? undefined : 1)
+          .map((offer) => ({
+            ...offer,
+            checkInDate,
+            checkOutDate,
+            guests: { adults: Number(req.query.adults) || 1 },
+            ...(req.query.roomQuantity && { roomQuantity: req.query.roomQuantity }),
+          })),
+      }))
+      .filter((entry) => entry.offers.length > 0);
+    if (fixture.data.length === 0) {
+      return sendError(res, 400, 3664, "NO ROOMS AVAILABLE AT REQUESTED PROPERTY", "No rooms available at the requested hotels");
+    }
+    for (const { hotel, available, offers } of fixture.data) {
+      for (const offer of offers) hotelOffers.set(offer.id, { type: "hotel-offers", hotel, available, offers: [offer] });
+    }
+    res.json(fixture);
+  });
+
+  app.get("/v3/shopping/hotel-offers/:offerId", (req, res) => {
+    const offer = hotelOffers.get(req.params.offerId);
+    if (!offer) {
+      return sendError(res, 400, 1257, "INVALID OFFER ID", "The offer is unknown or no longer available", { parameter: "offerId" });
+    }
+    res.json({ data: offer });
+  });
+
+  app.post("/v2/booking/hotel-orders", (req, res) => {
+    const data = req.body?.data;
+    for (const field of ["guests", "roomAssociations"]) {
+      if (!Array.isArray(data?.[field]) || data[field].length === 0) {
+        return sendError(res, 400, 32171, "MANDATORY DATA MISSING", `${field} is required`, { pointer: `/data/${field}` });
+      }
+    }
+    if (!data.payment?.paymentCard) {
+      return sendError(res, 400, 32171, "MANDATORY DATA MISSING", "payment is required", { pointer: "/data/payment" });
+    }
+    const offerId = data.roomAssociations[0].hotelOfferId;
+    const offer = hotelOffers.get(offerId);
+    if (!offer) {
+      return sendError(res, 400, 3664, "NO ROOMS AVAILABLE AT REQUESTED PROPERTY", "The offer is no longer available", { pointer: "/data/roomAssociations/0/hotelOfferId" });
+    }
+    // Offers can only be booked once
+    hotelOffers.delete(offerId);
+
+    const fixture = loadFixture("hotel-order.json");
+    const id = Buffer.from(randomUUID()).toString("base64url");
+    const [booking] = fixture.data.hotelBookings;
+    fixture.data = {
+      ...fixture.data,
+      id,
+      hotelBookings: [
+        {
+          ...booking,
+          id: `${id}-1`,
+          hotelProviderInformation: [
+            { hotelProviderCode: offer.hotel.chainCode, confirmationNumber: String(Date.now()).slice(-10) },
+          ],
+          roomAssociations: data.roomAssociations,
+          hotelOffer: offer.offers[0],
+          hotel: { hotelId: offer.hotel.hotelId, chainCode: offer.hotel.chainCode, name: offer.hotel.name },
+          payment: { method: "CREDIT_CARD" },
+        },
+      ],
+      guests: data.guests.map((guest, index) => ({ ...guest, id: index + 1 })),
+      associatedRecords: [{ reference: id.slice(0, 6).toUpperCase(), originSystemCode: "GDS" }],
+      self: `${fixture.data.self.replace(/[^/]+$/, "")}${id}`,
+    };
+    res.status(201).json(fixture);
+  });
+
+  app.use((req, res) => {
+    sendError(res, 404, 38196, "Resource not found", `No mock for ${req.method} ${req.path}`);
+  });
+
+  return app;
+}
+
+/**
+ * Starts the mock Amadeus API
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on; 0 picks a free port
+ * @param {string} [options.host] - Host to bind, defaults to 127.0.0.1
+ * @returns {Promise<{url: string, close: () => Promise<void>}>} Running mock
+ */
+export function startMockAmadeus({ port = 0, host = "127.0.0.1" } = {}) {
+  const app = createMockAmadeusApp();
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        url: `http://${host}:${boundPort}`,
+        close: () =>
+          new Promise((resolveClose) => {
+            server.closeAllConnections();
+            server.close(() => resolveClose());
+          }),
+      });
+    });
+    server.on("error", reject);
+  });
+}
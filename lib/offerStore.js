@@ -0,0 +1,157 @@
+import { randomBytes } from "crypto";
+import { ToolArgumentsError } from "./errors.js";
+import { gauge } from "./metrics.js";
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// sessionId -> Map(offerId -> { kind, offer, expiresAt })
+const sessions = new Map();
+let lastSweep = 0;
+
+gauge("mcp_offer_store_sessions", "Sessions holding stored offers", () => [{ value: sessions.size }]);
+
+/**
+ * Offer kinds kept by the store, with the ID prefix and the tool that creates them
+ */
+export const OFFER_KINDS = {
+  "flight-offer": { prefix: "off", source: "search_flight_offers" },
+  "priced-flight-offer": { prefix: "prc", source: "get_flight_offers_pricing" },
+};
+
+function getTtl() {
+  return Number(process.env.OFFER_STORE_TTL_MS) || DEFAULT_TTL_MS;
+}
+
+function pruneSession(session, now, ttl) {
+  for (const [id, entry] of session) {
+    if (entry.expiresAt + ttl < now) session.delete(id);
+  }
+}
+
+// REST clients choose their own session IDs and never close them, so every
+// session is pruned now and then and dropped once it is empty
+function sweepSessions(now, ttl) {
+  if (now - lastSweep < Math.min(ttl, SWEEP_INTERVAL_MS)) return;
+  lastSweep = now;
+  for (const [sessionId, session] of sessions) {
+    pruneSession(session, now, ttl);
+    if (session.size === 0) sessions.delete(sessionId);
+  }
+}
+
+function getSession(sessionId) {
+  let session = sessions.get(sessionId);
+  if (!session) {
+    session = new Map();
+    sessions.set(sessionId, session);
+  }
+  return session;
+}
+
+/**
+ * Removes the `offerId` annotation added by storeOffer() so an offer can be
+ * sent back to Amadeus unchanged
+ * @param {Object} offer - Flight offer, possibly annotated
+ * @returns {Object} Offer without `offerId`
+ */
+export function stripOfferId(offer) {
+  if (!offer || typeof offer !== "object" || !("offerId" in offer)) return offer;
+  const { offerId: _offerId, ...rest } = offer;
+  return rest;
+}
+
+/**
+ * Stores an offer for the session and returns its reference. Expired entries
+ * are kept for one more TTL so that late lookups can say "expired" rather
+ * than "unknown"; sessions with no entries left are dropped.
+ * @param {string} sessionId - Session the offer belongs to
+ * @param {string} kind - One of the OFFER_KINDS keys
+ * @param {Object} offer - Offer as returned by Amadeus
+ * @returns {string} Offer ID, e.g. "off_Xq3..."
+ */
+export function storeOffer(sessionId, kind, offer) {
+  const now = Date.now();
+  const ttl = getTtl();
+  sweepSessions(now, ttl);
+  const session = getSession(sessionId);
+  pruneSession(session, now, ttl);
+
+  const offerId = `${OFFER_KINDS[kind].prefix}_${randomBytes(9).toString("base64url")}`;
+  session.set(offerId, {
+    kind,
+    offer: stripOfferId(offer),
+    expiresAt: now + ttl,
+  });
+  return offerId;
+}
+
+/**
+ * Looks up a stored offer without failing
+ * @param {string} sessionId - Session the offer belongs to
+ * @param {string} offerId - Offer ID returned by storeOffer()
+ * @returns {{kind: string, offer: Object, expiresAt: number}|undefined} Live entry
+ */
+export function findOffer(sessionId, offerId) {
+  const entry = sessions.get(sessionId)?.get(offerId);
+  if (!entry || entry.expiresAt <= Date.now()) return undefined;
+  return entry;
+}
+
+/**
+ * Lists the live offers stored for a session, oldest first
+ * @param {string} sessionId - Session to list
+ * @returns {Array<{offerId: string, kind: string, expiresAt: number}>} Offers
+ */
+export function listOffers(sessionId) {
+  const now = Date.now();
+  return [...(sessions.get(sessionId) ?? [])]
+    .filter(([, entry]) => entry.expiresAt > now)
+    .map(([offerId, { kind, expiresAt }]) => ({ offerId, kind, expiresAt }));
+}
+
+/**
+ * Resolves a list of offer IDs to the stored offers
+ * @param {string} toolName - Tool name used in error messages
+ * @param {string} field - Argument name used in error messages
+ * @param {string} sessionId - Session the offers belong to
+ * @param {Array<string>} offerIds - Offer IDs to resolve
+ * @param {string} kind - Expected OFFER_KINDS key
+ * @returns {Array<Object>} The stored offers, in order
+ * @throws {ToolArgumentsError} When an ID is unknown, expired or of the wrong kind
+ */
+export function resolveOffers(toolName, field, sessionId, offerIds, kind) {
+  const session = sessions.get(sessionId);
+  const now = Date.now();
+  const errors = [];
+
+  const offers = offerIds.map((offerId, index) => {
+    const entry = session?.get(offerId);
+    let message;
+    if (!entry) {
+      message = `refers to unknown offer "${offerId}" in this session; call ${OFFER_KINDS[kind].source} to get a new one`;
+    } else if (entry.expiresAt <= now) {
+      message = `refers to offer "${offerId}", which has expired; call ${OFFER_KINDS[kind].source} again`;
+    } else if (entry.kind !== kind) {
+      message = `refers to a ${entry.kind} but a ${kind} is required; call ${OFFER_KINDS[kind].source} first`;
+    }
+    if (message) {
+      errors.push({ field: `${field}.${index}`, message });
+      return undefined;
+    }
+    return entry.offer;
+  });
+
+  if (errors.length > 0) {
+    throw new ToolArgumentsError(toolName, errors);
+  }
+  return offers;
+}
+
+/**
+ * Drops every offer stored for a session
+ * @param {string} sessionId - Session to clear
+ */
+export function clearSession(sessionId) {
+  sessions.delete(sessionId);
+}
@@ -0,0 +1,345 @@
+import { getToolCollection } from "./tools.js";
+
+// Errors thrown by tools, as serialized by serializeError()
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    error: {
+      type: "object",
+      properties: {
+        type: {
+          type: "string",
+          enum: ["amadeus_api_error", "invalid_arguments", "upstream_timeout", "internal_error"],
+        },
+        message: { type: "string" },
+        status: { type: "integer", description: "Status returned by Amadeus" },
+        errors: {
+          type: "array",
+          description: "Per-field argument errors, or the errors returned by Amadeus",
+          items: { type: "object" },
+        },
+      },
+      required: ["type", "message"],
+    },
+  },
+  required: ["error"],
+};
+
+// Errors raised before a tool runs carry a plain message
+const MESSAGE_ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    error: { type: "string" },
+  },
+  required: ["error"],
+};
+
+const UNKNOWN_TOOL_SCHEMA = {
+  type: "object",
+  properties: {
+    error: { type: "string" },
+    availableTools: { type: "array", items: { type: "string" } },
+  },
+  required: ["error", "availableTools"],
+};
+
+const RATE_LIMIT_SCHEMA = {
+  type: "object",
+  properties: {
+    error: { type: "string" },
+    retryAfterSeconds: { type: "integer" },
+  },
+  required: ["error", "retryAfterSeconds"],
+};
+
+const ERROR_RESPONSES = {
+  400: { description: "Invalid arguments, or rejected by Amadeus", schema: "Error" },
+  401: { description: "Missing or invalid API key", schema: "MessageError" },
+  403: { description: "The API key may not call this tool", schema: "MessageError" },
+  404: { description: "Unknown tool", schema: "UnknownToolError" },
+  429: {
+    description: "Rate limit exceeded; retry after the Retry-After delay",
+    schema: "RateLimitError",
+    headers: {
+      "Retry-After": { description: "Seconds to wait before retrying", schema: { type: "integer" } },
+    },
+  },
+  500: { description: "Unexpected error while running the tool", schema: "Error" },
+  502: { description: "Amadeus authentication or upstream failure", schema: "Error" },
+  504: { description: "Amadeus did not answer in time", schema: "Error" },
+};
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+function errorResponses(codes) {
+  return Object.fromEntries(
+    codes.map((code) => {
+      const { description, schema, headers } = ERROR_RESPONSES[code];
+      return [
+        String(code),
+        {
+          description,
+          ...(headers && { headers }),
+          content: {
+            "application/json": { schema: schemaRef(schema) },
+          },
+        },
+      ];
+    })
+  );
+}
+
+function toolOperation(tool, authEnabled) {
+  const { name, description, parameters, outputSchema } = tool.definition.function;
+  // Group operations by collection, as in `node index.js tools`
+  const collection = getToolCollection(tool);
+  return {
+    operationId: name,
+    summary: name,
+    description,
+    ...(collection && { tags: [collection] }),
+    requestBody: {
+      required: (parameters?.required?.length ?? 0) > 0,
+      content: {
+        "application/json": {
+          schema: parameters || { type: "object" },
+        },
+      },
+    },
+    responses: {
+      200: {
+        description: "Tool result",
+        content: {
+          "application/json": { schema: outputSchema || { type: "object" } },
+        },
+      },
+      ...errorResponses(authEnabled ? [400, 401, 403, 404, 429, 500, 502, 504] : [400, 404, 429, 500, 502, 504]),
+    },
+  };
+}
+
+/**
+ * Builds an OpenAPI 3.1 document for the REST API, with one
+ * `POST /api/tools/{name}` operation per tool whose request body is the
+ * tool's parameters schema
+ * @param {Array<Object>} tools - Tools to document
+ * @param {Object} options
+ * @param {string} options.serverUrl - Base URL of this server
+ * @param {boolean} [options.authEnabled] - Whether API keys are required
+ * @returns {Object} OpenAPI document
+ */
+export function buildOpenApiDocument(tools, { serverUrl, authEnabled = false }) {
+  const paths = {};
+  for (const tool of tools) {
+    paths[`/api/tools/${tool.definition.function.name}`] = {
+      post: toolOperation(tool, authEnabled),
+    };
+  }
+  paths["/api/tools"] = {
+    get: {
+      operationId: "listTools",
+      summary: "List the tools available to the caller",
+      responses: {
+        200: {
+          description: "Available tools",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  tools: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        name: { type: "string" },
+                        description: { type: "string" },
+                        parameters: { type: "object" },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        ...errorResponses(authEnabled ? [401] : []),
+      },
+    },
+  };
+  paths["/api/call-tool"] = {
+    post: {
+      operationId: "callTool",
+      summary: "Call any tool by name",
+      description: "Generic form of the per-tool routes, kept for existing integrations.",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                toolName: { type: "string" },
+                arguments: { type: "object" },
+              },
+              required: ["toolName"],
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "Tool result",
+          content: { "application/json": { schema: { type: "object" } } },
+        },
+        ...errorResponses(authEnabled ? [400, 401, 403, 404, 429, 500, 502, 504] : [400, 404, 429, 500, 502, 504]),
+      },
+    },
+  };
+  // A missing toolName is rejected before any tool runs
+  paths["/api/call-tool"].post.responses["400"].content["application/json"].schema = {
+    oneOf: [schemaRef("Error"), schemaRef("MessageError")],
+  };
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Amadeus MCP Server REST API",
+      version: "1.0.0",
+      description: "REST access to the MCP server's tools. Request bodies are validated against each tool's JSON Schema.",
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas: {
+        Error: ERROR_SCHEMA,
+        MessageError: MESSAGE_ERROR_SCHEMA,
+        UnknownToolError: UNKNOWN_TOOL_SCHEMA,
+        RateLimitError: RATE_LIMIT_SCHEMA,
+      },
+      ...(authEnabled && {
+        securitySchemes: {
+          bearerAuth: { type: "http", scheme: "bearer" },
+          apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+        },
+      }),
+    },
+    ...(authEnabled && { security: [{ bearerAuth: [] }, { apiKeyHeader: [] }] }),
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Builds an example value from a schema's examples, defaults and enums
+function exampleFor(schema = {}) {
+  if (schema.examples?.length) return schema.examples[0];
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum?.length) return schema.enum[0];
+  switch ([].concat(schema.type)[0]) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {})
+          .filter(([name]) => schema.required?.includes(name))
+          .map(([name, property]) => [name, exampleFor(property)])
+      );
+    case "array":
+      return schema.items ? [exampleFor(schema.items)] : [];
+    case "integer":
+    case "number":
+      return schema.minimum ?? 1;
+    case "boolean":
+      return true;
+    default:
+      if (schema.format === "date") {
+        return new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      }
+      return "string";
+  }
+}
+
+function renderParameters(schema) {
+  const properties = Object.entries(schema?.properties || {});
+  if (properties.length === 0) return "<p><em>No parameters</em></p>";
+  const rows = properties.map(([name, property]) => {
+    const type = [].concat(property.type || "any").join(" | ");
+    const constraints = [
+      property.enum && `one of: ${property.enum.join(", ")}`,
+      property.format && `format: ${property.format}`,
+      property.pattern && `pattern: ${property.pattern}`,
+      property.default !== undefined && `default: ${JSON.stringify(property.default)}`,
+    ].filter(Boolean);
+    return `<tr>
+          <td><code>${escapeHtml(name)}</code>${schema.required?.includes(name) ? ' <span class="required">required</span>' : ""}</td>
+          <td>${escapeHtml(type)}</td>
+          <td>${escapeHtml(property.description)}${constraints.length ? `<br><small>${escapeHtml(constraints.join("; "))}</small>` : ""}</td>
+        </tr>`;
+  });
+  return `<table>
+        <tr><th>Name</th><th>Type</th><th>Description</th></tr>
+        ${rows.join("\n        ")}
+      </table>`;
+}
+
+/**
+ * Renders a self-contained HTML page documenting an OpenAPI document, in the
+ * spirit of Swagger UI but without loading any external assets
+ * @param {Object} document - Document from buildOpenApiDocument()
+ * @returns {string} HTML page
+ */
+export function renderDocsPage(document) {
+  const serverUrl = document.servers?.[0]?.url || "";
+  const authHeader = document.security ? ` \\\n  -H "Authorization: Bearer $API_KEY"` : "";
+  const operations = Object.entries(document.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => {
+      const schema = operation.requestBody?.content["application/json"].schema;
+      const curl = `curl -X ${method.toUpperCase()} ${serverUrl}${path}${authHeader}${
+        schema ? ` \\\n  -H "Content-Type: application/json" \\\n  -d '${JSON.stringify(exampleFor(schema))}'` : ""
+      }`;
+      return `<details id="${escapeHtml(operation.operationId)}">
+      <summary><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code> ${escapeHtml(operation.summary)}</summary>
+      <p>${escapeHtml(operation.description)}</p>
+      ${schema ? `<h4>Request body</h4>\n      ${renderParameters(schema)}` : ""}
+      <h4>Responses</h4>
+      <ul>${Object.entries(operation.responses)
+        .map(([code, response]) => `<li><code>${code}</code> ${escapeHtml(response.description)}</li>`)
+        .join("")}</ul>
+      <h4>Example</h4>
+      <pre>${escapeHtml(curl)}</pre>
+    </details>`;
+    })
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(document.info.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+    details { border: 1px solid #ddd; border-radius: 4px; margin: 0.5rem 0; padding: 0.5rem 1rem; }
+    summary { cursor: pointer; }
+    .method { display: inline-block; min-width: 3.5rem; padding: 0.1rem 0.4rem; border-radius: 3px; color: #fff; font-weight: bold; text-align: center; }
+    .post { background: #49cc90; }
+    .get { background: #61affe; }
+    .required { color: #c00; font-size: 0.8em; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #eee; padding: 0.3rem; text-align: left; vertical-align: top; }
+    pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(document.info.title)}</h1>
+  <p>${escapeHtml(document.info.description)}</p>
+  <p>Machine-readable spec: <a href="/openapi.json">/openapi.json</a> (OpenAPI ${escapeHtml(document.openapi)})</p>
+  ${operations.join("\n  ")}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,85 @@
+import { EventEmitter } from "events";
+
+// sessionId -> Map(orderId -> { kind, order, status, updatedAt })
+const sessions = new Map();
+const changes = new EventEmitter();
+// One listener per open MCP session
+changes.setMaxListeners(0);
+
+/**
+ * Records an order returned by Amadeus for the session, replacing an earlier
+ * copy. Listeners registered with onOrderChange() are told when the order is
+ * new or its content changed.
+ * @param {string} sessionId - Session the order belongs to
+ * @param {"flight-order"|"hotel-order"} kind - Order kind
+ * @param {Object} order - The order's `data` block, with an `id`
+ * @param {Object} [options]
+ * @param {string} [options.status] - "active" (default) or "cancelled"
+ */
+export function recordOrder(sessionId, kind, order, { status = "active" } = {}) {
+  if (!order?.id) return;
+  let session = sessions.get(sessionId);
+  if (!session) {
+    session = new Map();
+    sessions.set(sessionId, session);
+  }
+
+  const previous = session.get(order.id);
+  if (previous?.status === status && JSON.stringify(previous.order) === JSON.stringify(order)) {
+    return;
+  }
+  session.set(order.id, { kind, order, status, updatedAt: new Date().toISOString() });
+  changes.emit("change", { sessionId, orderId: order.id, created: !previous });
+}
+
+/**
+ * Marks a recorded order as cancelled, keeping its last known content
+ * @param {string} sessionId - Session the order belongs to
+ * @param {string} orderId - Order ID
+ */
+export function markOrderCancelled(sessionId, orderId) {
+  const entry = sessions.get(sessionId)?.get(orderId);
+  if (entry) recordOrder(sessionId, entry.kind, entry.order, { status: "cancelled" });
+}
+
+/**
+ * Looks up a recorded order
+ * @param {string} sessionId - Session the order belongs to
+ * @param {string} orderId - Order ID
+ * @returns {{kind: string, order: Object, status: string, updatedAt: string}|undefined} Recorded order
+ */
+export function findOrder(sessionId, orderId) {
+  return sessions.get(sessionId)?.get(orderId);
+}
+
+/**
+ * Lists the orders recorded for a session, oldest first
+ * @param {string} sessionId - Session to list
+ * @returns {Array<{orderId: string, kind: string, status: string, updatedAt: string}>} Orders
+ */
+export function listOrders(sessionId) {
+  return [...(sessions.get(sessionId) ?? [])].map(([orderId, { kind, status, updatedAt }]) => ({
+    orderId,
+    kind,
+    status,
+    updatedAt,
+  }));
+}
+
+/**
+ * Calls `listener` whenever an order is recorded or changes
+ * @param {(change: {sessionId: string, orderId: string, created: boolean}) => void} listener
+ * @returns {() => void} Function that removes the listener
+ */
+export function onOrderChange(listener) {
+  changes.on("change", listener);
+  return () => changes.off("change", listener);
+}
+
+/**
+ * Drops every order recorded for a session
+ * @param {string} sessionId - Session to clear
+ */
+export function clearOrders(sessionId) {
+  sessions.delete(sessionId);
+}
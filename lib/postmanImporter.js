@@ -0,0 +1,525 @@
+import { createHash } from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { AMADEUS_HOSTS } from "./config.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LIB_DIR = __dirname;
+
+// First line of every generated module. The hash covers the rest of the file,
+// so a re-import can tell whether the module was edited by hand.
+const GENERATED_MARKER = "// @generated by `node index.js import`";
+const GENERATED_HEADER = new RegExp(
+  `^${GENERATED_MARKER.replace(/[.*+?^${}()|[\]\\`]/g, "\\$&")} sha256:([0-9a-f]{64})\\n`
+);
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Converts a name to a kebab-case slug for file and directory names
+ * @param {string} name - Name to convert
+ * @returns {string} Slug
+ */
+export function slugify(name) {
+  return (
+    String(name)
+      .toLowerCase()
+      .replace(/['’]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "request"
+  );
+}
+
+/**
+ * Converts a name to a snake_case tool name
+ * @param {string} name - Name to convert
+ * @returns {string} Tool name
+ */
+export function toToolName(name) {
+  return slugify(name).replace(/-/g, "_").slice(0, 64);
+}
+
+function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Reads the variables of a Postman environment file (or of a collection's
+ * `variable` block) into a plain object. Disabled variables are skipped.
+ * @param {Array<Object>} values - Postman `values` or `variable` entries
+ * @returns {Object<string, string>} Variable values by key
+ */
+export function readVariables(values = []) {
+  return Object.fromEntries(
+    values
+      .filter((entry) => entry.enabled !== false && entry.disabled !== true)
+      .map((entry) => [entry.key, entry.value ?? ""])
+  );
+}
+
+function resolveVariables(text, variables) {
+  return String(text).replace(/{{\s*([^}]+?)\s*}}/g, (match, name) =>
+    name in variables ? variables[name] : match
+  );
+}
+
+function descriptionText(description) {
+  if (!description) return undefined;
+  const text = typeof description === "string" ? description : description.content;
+  return text?.trim().split("\n")[0] || undefined;
+}
+
+/**
+ * Guesses a JSON Schema for an example value
+ * @param {*} value - Example value from the collection
+ * @returns {Object} JSON Schema
+ */
+function inferSchema(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? { type: "array", items: inferSchema(value[0]) } : { type: "array", items: {} };
+  }
+  if (value !== null && typeof value === "object") return { type: "object" };
+  if (typeof value === "boolean") return { type: "boolean" };
+  if (typeof value === "number") return { type: Number.isInteger(value) ? "integer" : "number" };
+  // Unresolved {{placeholders}} can hold anything
+  if (/^{{[^}]+}}$/.test(value)) return {};
+  if (/^-?\d+$/.test(value)) return { type: "integer" };
+  if (/^(true|false)$/.test(value)) return { type: "boolean" };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return { type: "string", format: "date" };
+  return { type: "string" };
+}
+
+/**
+ * Flattens the folders of a Postman collection into a list of requests
+ * @param {Array<Object>} items - Collection `item` array
+ * @param {Array<string>} [folders] - Names of the enclosing folders
+ * @returns {Array<{name: string, folders: Array<string>, request: Object}>} Requests
+ */
+function flattenItems(items = [], folders = []) {
+  return items.flatMap((item) => {
+    if (Array.isArray(item.item)) {
+      return flattenItems(item.item, [...folders, item.name]);
+    }
+    if (!item.request) return [];
+    return [{ name: item.name, folders, request: item.request }];
+  });
+}
+
+/**
+ * Splits a Postman request URL into a base URL and a path, and lists its
+ * query and path variables
+ * @param {Object|string} url - Postman URL object or raw string
+ * @param {Object} variables - Collection and environment variables
+ * @returns {{baseUrl: string, pathParts: Array<string|{name: string}>, query: Array<Object>, pathVariables: Array<Object>}} URL
+ *   parts; the path is split into literal text and path variables
+ */
+function parseUrl(url, variables) {
+  const urlObject = typeof url === "string" ? { raw: url } : url;
+  const raw = urlObject.raw || "";
+  const withoutQuery = raw.split("?")[0];
+
+  // The host is everything up to the first path segment, e.g. "{{baseUrl}}"
+  // or "https://test.api.amadeus.com"
+  const match = /^((?:[a-z]+:\/\/)?[^/]*)(\/.*)?$/i.exec(withoutQuery);
+  const rawHost = match?.[1] || "";
+  const rawPath = match?.[2] || "/";
+  let baseUrl = resolveVariables(rawHost, variables).replace(/\/+$/, "");
+  if (baseUrl && !/^[a-z]+:\/\//i.test(baseUrl) && !baseUrl.startsWith("{{")) {
+    baseUrl = `https://${baseUrl}`;
+  }
+
+  const pathVariables = [];
+  const pathParts = [];
+  const addText = (text) => {
+    if (!text) return;
+    if (typeof pathParts.at(-1) === "string") pathParts[pathParts.length - 1] += text;
+    else pathParts.push(text);
+  };
+  let lastIndex = 0;
+  for (const match of rawPath.matchAll(/:([A-Za-z0-9_]+)|{{\s*([^}]+?)\s*}}/g)) {
+    const [segment, colonName, braceName] = match;
+    addText(rawPath.slice(lastIndex, match.index));
+    lastIndex = match.index + segment.length;
+    if (braceName && braceName in variables) {
+      addText(String(variables[braceName]));
+      continue;
+    }
+    const name = (colonName || braceName).replace(/[^A-Za-z0-9_$]/g, "_").replace(/^(?=\d)/, "_");
+    const variable = (urlObject.variable || []).find((entry) => entry.key === (colonName || braceName));
+    pathVariables.push({ name, description: descriptionText(variable?.description), example: variable?.value });
+    pathParts.push({ name });
+  }
+  addText(rawPath.slice(lastIndex));
+
+  let query = urlObject.query;
+  if (!query) {
+    query = [...new URLSearchParams(raw.split("?")[1] || "")].map(([key, value]) => ({ key, value }));
+  }
+
+  return { baseUrl, pathParts, query, pathVariables };
+}
+
+/**
+ * Derives the tool parameters and request shape from one Postman request
+ * @param {Object} request - Postman request object
+ * @param {Object} variables - Collection and environment variables
+ * @returns {Object} Request spec used by the code generator
+ */
+function buildRequestSpec(request, variables) {
+  const method = (request.method || "GET").toUpperCase();
+  const { baseUrl, pathParts, query, pathVariables } = parseUrl(request.url || "", variables);
+
+  const properties = {};
+  const required = [];
+  // Names that are not identifiers, e.g. "page[size]", are kept and quoted in the generated code
+  const addParameter = (name, schema, description, isRequired) => {
+    if (name === "__proto__" || Object.hasOwn(properties, name)) return;
+    properties[name] = { ...schema, description: description || `The ${name} parameter.` };
+    if (isRequired) required.push(name);
+  };
+
+  for (const variable of pathVariables) {
+    addParameter(variable.name, { type: "string" }, variable.description, true);
+  }
+
+  const queryKeys = [];
+  for (const param of query) {
+    if (!param.key) continue;
+    const example = resolveVariables(param.value ?? "", variables);
+    addParameter(param.key, inferSchema(example), descriptionText(param.description), !param.disabled);
+    queryKeys.push(param.key);
+  }
+
+  let bodyMode = null;
+  const bodyKeys = [];
+  const body = request.body;
+  if (body?.mode === "raw" && body.raw?.trim()) {
+    let parsed;
+    try {
+      // Unquoted placeholders such as {"adults": {{adults}}} are not JSON
+      parsed = JSON.parse(
+        resolveVariables(body.raw, variables).replace(/(?<!")({{[^}]+}})(?!")/g, '"$1"')
+      );
+    } catch {
+      parsed = undefined;
+    }
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+      bodyMode = "json";
+      for (const [key, value] of Object.entries(parsed)) {
+        addParameter(key, inferSchema(value), undefined, true);
+        bodyKeys.push(key);
+      }
+    }
+  } else if (body?.mode === "urlencoded" || body?.mode === "formdata") {
+    bodyMode = "form";
+    for (const field of body[body.mode] || []) {
+      if (!field.key || field.type === "file") continue;
+      addParameter(field.key, { type: "string" }, descriptionText(field.description), !field.disabled);
+      bodyKeys.push(field.key);
+    }
+  }
+
+  return {
+    method,
+    baseUrl,
+    baseUrlResolved: /^[a-z]+:\/\/[^{}]+$/i.test(baseUrl),
+    pathParts,
+    displayPath: pathParts.map((part) => (typeof part === "string" ? part : `{${part.name}}`)).join(""),
+    pathVariables: pathVariables.map((variable) => variable.name),
+    queryKeys: queryKeys.filter((key) => key in properties),
+    bodyMode,
+    bodyKeys: bodyKeys.filter((key) => key in properties),
+    amadeus: Object.values(AMADEUS_HOSTS).includes(baseUrl),
+    parameters: { type: "object", properties, required },
+  };
+}
+
+/**
+ * Serializes a value as a JavaScript literal in the style of the tool
+ * modules: single quotes and unquoted keys
+ * @param {*} value - Value to serialize
+ * @param {number} [indent] - Current indentation
+ * @returns {string} JavaScript source
+ */
+function toJsLiteral(value, indent = 0) {
+  const pad = " ".repeat(indent);
+  const innerPad = " ".repeat(indent + 2);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    if (value.every((entry) => typeof entry !== "object")) {
+      return `[${value.map((entry) => toJsLiteral(entry)).join(", ")}]`;
+    }
+    return `[\n${value.map((entry) => innerPad + toJsLiteral(entry, indent + 2)).join(",\n")}\n${pad}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value).filter(([, entry]) => entry !== undefined);
+    if (entries.length === 0) return "{}";
+    return `{\n${entries
+      .map(([key, entry]) => {
+        const safeKey = IDENTIFIER.test(key) ? key : toJsLiteral(key);
+        return `${innerPad}${safeKey}: ${toJsLiteral(entry, indent + 2)}`;
+      })
+      .join(",\n")}\n${pad}}`;
+  }
+  if (typeof value === "string") {
+    return `'${value
+      .replace(/\\/g, "\\\\")
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, "\\n")
+      .replace(/\r/g, "\\r")
+      .replace(/\u2028/g, "\\u2028")
+      .replace(/\u2029/g, "\\u2029")}'`;
+  }
+  return String(value);
+}
+
+// Reads a parameter from `args`, quoting names that are not identifiers
+function argSource(name) {
+  return IDENTIFIER.test(name) ? `args.${name}` : `args[${toJsLiteral(name)}]`;
+}
+
+// Object literal passing parameters on under their own names
+function argsObjectSource(names) {
+  return `{ ${names.map((name) => `${IDENTIFIER.test(name) ? name : toJsLiteral(name)}: ${argSource(name)}`).join(", ")} }`;
+}
+
+/**
+ * Builds the expression of a request path: literal text is quoted and path
+ * variables are URI-encoded arguments
+ * @param {Array<string|{name: string}>} pathParts - Path from parseUrl()
+ * @returns {string} JavaScript source
+ */
+function pathSource(pathParts) {
+  if (pathParts.length === 0) return "''";
+  return pathParts
+    .map((part) => (typeof part === "string" ? toJsLiteral(part) : `encodeURIComponent(args.${part.name})`))
+    .join(" + ");
+}
+
+// Keeps collection text from ending the generated doc comments early
+function commentText(text) {
+  return String(text).replace(/\*\//g, "*\\/").replace(/[\r\n\u2028\u2029]+/g, " ");
+}
+
+/**
+ * Generates the source of a tool module for one request
+ * @param {Object} options
+ * @param {string} options.requestName - Name of the request in the collection
+ * @param {string} options.toolName - Tool name
+ * @param {string} options.description - Tool description
+ * @param {Object} options.spec - Request spec from buildRequestSpec()
+ * @param {string} options.libImportPath - Relative import path of lib/
+ * @param {string} options.envPrefix - Environment variable prefix for non-Amadeus APIs
+ * @returns {string} Module source without the generated header
+ */
+function generateToolModule({ requestName, toolName, description, spec, libImportPath, envPrefix }) {
+  const parameterNames = Object.keys(spec.parameters.properties);
+  const lines = [];
+
+  if (spec.amadeus) {
+    lines.push(`import { fetchWithAuth } from '${libImportPath}/auth.js';`);
+    lines.push(`import { amadeusUrl } from '${libImportPath}/config.js';`);
+    lines.push(`import { AmadeusApiError } from '${libImportPath}/errors.js';`);
+    lines.push("");
+  }
+
+  lines.push("/**");
+  lines.push(` * Function for the "${commentText(requestName)}" request (${commentText(`${spec.method} ${spec.displayPath}`)}).`);
+  lines.push(" *");
+  lines.push(" * @param {Object} args - Arguments for the request.");
+  for (const name of parameterNames) {
+    const { type, description: parameterDescription } = spec.parameters.properties[name];
+    const jsDocType = { integer: "number", number: "number", boolean: "boolean", string: "string", array: "Array", object: "Object" }[type] || "*";
+    const argName = spec.parameters.required.includes(name) ? argSource(name) : `[${argSource(name)}]`;
+    lines.push(` * @param {${jsDocType}} ${commentText(argName)} - ${commentText(parameterDescription)}`);
+  }
+  lines.push(" * @returns {Promise<Object>} - The response data.");
+  lines.push(" */");
+  lines.push("const executeFunction = async (args) => {");
+
+  if (spec.amadeus) {
+    lines.push(`  const url = new URL(amadeusUrl(${pathSource(spec.pathParts)}));`);
+  } else if (spec.baseUrlResolved) {
+    lines.push(`  const url = new URL((process.env.${envPrefix}_BASE_URL || ${toJsLiteral(spec.baseUrl)}) + ${pathSource(spec.pathParts)});`);
+  } else {
+    // The host is an unresolved {{variable}}, so only the environment can supply it
+    const missing = `${envPrefix}_BASE_URL is not set, and the collection gives no base URL${spec.baseUrl ? ` (${spec.baseUrl})` : ""}`;
+    lines.push(`  const baseUrl = process.env.${envPrefix}_BASE_URL;`);
+    lines.push("  if (!baseUrl) {");
+    lines.push(`    throw new Error(${toJsLiteral(missing)});`);
+    lines.push("  }");
+    lines.push(`  const url = new URL(baseUrl + ${pathSource(spec.pathParts)});`);
+  }
+
+  if (spec.queryKeys.length > 0) {
+    lines.push("");
+    lines.push("  // Add the query parameters that were provided");
+    lines.push(`  const query = ${argsObjectSource(spec.queryKeys)};`);
+    lines.push("  for (const [key, value] of Object.entries(query)) {");
+    lines.push("    if (value !== undefined) url.searchParams.append(key, String(value));");
+    lines.push("  }");
+  }
+
+  lines.push("");
+  lines.push("  // Set up headers for the request");
+  const contentType = { json: "application/json", form: "application/x-www-form-urlencoded" }[spec.bodyMode];
+  lines.push(contentType ? `  const headers = {\n    'Content-Type': '${contentType}'\n  };` : "  const headers = {};");
+  if (!spec.amadeus) {
+    lines.push(`  const token = process.env.${envPrefix}_API_KEY;`);
+    lines.push("  if (token) {");
+    lines.push("    headers['Authorization'] = `Bearer ${token}`;");
+    lines.push("  }");
+  }
+
+  const fetchOptions = [`    method: ${toJsLiteral(spec.method)}`, "    headers"];
+  if (spec.bodyMode === "json") {
+    lines.push("");
+    lines.push(`  const requestBody = ${argsObjectSource(spec.bodyKeys)};`);
+    fetchOptions.push("    body: JSON.stringify(requestBody)");
+  } else if (spec.bodyMode === "form") {
+    lines.push("");
+    lines.push("  const requestBody = new URLSearchParams();");
+    lines.push(`  for (const [key, value] of Object.entries(${argsObjectSource(spec.bodyKeys)})) {`);
+    lines.push("    if (value !== undefined) requestBody.append(key, String(value));");
+    lines.push("  }");
+    fetchOptions.push("    body: requestBody.toString()");
+  }
+
+  lines.push("");
+  lines.push(spec.amadeus ? "  // Perform the fetch request with a cached access token" : "  // Perform the fetch request");
+  lines.push(`  const response = await ${spec.amadeus ? "fetchWithAuth" : "fetch"}(url, {`);
+  lines.push(fetchOptions.join(",\n"));
+  lines.push("  });");
+  lines.push("");
+  if (spec.amadeus) {
+    lines.push("  // Surface Amadeus's structured errors to the caller");
+    lines.push("  if (!response.ok) {");
+    lines.push("    throw await AmadeusApiError.fromResponse(response);");
+    lines.push("  }");
+  } else {
+    lines.push("  // Check if the response was successful");
+    lines.push("  if (!response.ok) {");
+    lines.push("    throw new Error(`Request failed with status ${response.status}: ${await response.text()}`);");
+    lines.push("  }");
+  }
+  lines.push("");
+  lines.push("  // Parse and return the response data");
+  lines.push("  const data = await response.json();");
+  lines.push("  return data;");
+  lines.push("};");
+  lines.push("");
+
+  const apiTool = {
+    definition: {
+      type: "function",
+      function: {
+        name: toolName,
+        description,
+        parameters: spec.parameters,
+      },
+    },
+  };
+  lines.push("/**");
+  lines.push(` * Tool configuration for the "${commentText(requestName)}" request.`);
+  lines.push(" * @type {Object}");
+  lines.push(" */");
+  lines.push(`const apiTool = {\n  function: executeFunction,\n  definition: ${toJsLiteral(apiTool.definition, 2)}\n};`);
+  lines.push("");
+  lines.push("export { apiTool };");
+  lines.push("");
+  return lines.join("\n");
+}
+
+/**
+ * Imports a Postman Collection v2.1 file, generating one tool module per
+ * request under `{toolsDir}/{workspace}/{collection}/`, where tool discovery
+ * picks them up. Modules that were edited by hand since they were generated,
+ * or that were not generated at all, are left alone unless `force` is set.
+ * @param {Object} options
+ * @param {string} options.collectionFile - Path of the collection JSON
+ * @param {Array<string>} [options.environmentFiles] - Paths of Postman environment JSON files
+ * @param {string} [options.workspace] - Workspace directory name
+ * @param {string} [options.toolsDir] - Tools directory, defaults to the repo's tools/
+ * @param {boolean} [options.force] - Overwrite modules even if edited by hand
+ * @returns {{created: Array<string>, updated: Array<string>, unchanged: Array<string>, skipped: Array<string>}} Paths by outcome
+ */
+export function importPostmanCollection({
+  collectionFile,
+  environmentFiles = [],
+  workspace,
+  toolsDir = path.resolve(LIB_DIR, "../tools"),
+  force = false,
+}) {
+  const collection = JSON.parse(fs.readFileSync(collectionFile, "utf8"));
+  if (!collection.info || !Array.isArray(collection.item)) {
+    throw new Error(`${collectionFile} is not a Postman collection`);
+  }
+  if (collection.info.schema && !collection.info.schema.includes("v2.1")) {
+    throw new Error(`Only Postman Collection v2.1 is supported (found ${collection.info.schema})`);
+  }
+
+  const variables = readVariables(collection.variable);
+  for (const environmentFile of environmentFiles) {
+    const environment = JSON.parse(fs.readFileSync(environmentFile, "utf8"));
+    Object.assign(variables, readVariables(environment.values));
+  }
+
+  const workspaceSlug = slugify(workspace || "local-workspace");
+  const collectionSlug = slugify(collection.info.name);
+  // Environment variable names cannot start with a digit, e.g. "2024 Partner API"
+  const envPrefix = collectionSlug.replace(/-/g, "_").toUpperCase().replace(/^(?=\d)/, "_");
+  const outputDir = path.join(toolsDir, workspaceSlug, collectionSlug);
+  const libImportPath = path.relative(outputDir, LIB_DIR).split(path.sep).join("/");
+
+  const result = { created: [], updated: [], unchanged: [], skipped: [] };
+  const usedNames = new Set();
+
+  for (const item of flattenItems(collection.item)) {
+    const baseName = [...item.folders, item.name].join(" ");
+    let toolName = toToolName(baseName);
+    let fileSlug = slugify(baseName);
+    for (let suffix = 2; usedNames.has(toolName); suffix += 1) {
+      toolName = `${toToolName(baseName)}_${suffix}`;
+      fileSlug = `${slugify(baseName)}-${suffix}`;
+    }
+    usedNames.add(toolName);
+
+    const spec = buildRequestSpec(item.request, variables);
+    const description =
+      descriptionText(item.request.description) || `${item.name}.`;
+    const body = generateToolModule({
+      requestName: item.name,
+      toolName,
+      description,
+      spec,
+      libImportPath,
+      envPrefix,
+    });
+    const content = `${GENERATED_MARKER} sha256:${hashContent(body)}\n${body}`;
+
+    const file = path.join(outputDir, `${fileSlug}.js`);
+    const toolPath = `${workspaceSlug}/${collectionSlug}/${fileSlug}.js`;
+
+    if (fs.existsSync(file)) {
+      const current = fs.readFileSync(file, "utf8");
+      const header = GENERATED_HEADER.exec(current);
+      const edited = !header || hashContent(current.slice(header[0].length)) !== header[1];
+      if (current === content) {
+        result.unchanged.push(toolPath);
+        continue;
+      }
+      if (edited && !force) {
+        result.skipped.push(toolPath);
+        continue;
+      }
+      result.updated.push(toolPath);
+    } else {
+      result.created.push(toolPath);
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+
+  return result;
+}
@@ -0,0 +1,167 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "crypto";
+import { ToolArgumentsError } from "./errors.js";
+import { isLedgerEnabled, readLedgerFile, writeLedgerFile } from "./ledger.js";
+
+const PROFILES_FILE = "profiles.json";
+const ALGORITHM = "aes-256-gcm";
+
+let derivedKey;
+
+/**
+ * Derives the profile key from PROFILE_ENCRYPTION_KEY and the file's salt.
+ * scrypt is slow on purpose, so the last key is kept.
+ */
+function getKey(salt) {
+  const secret = process.env.PROFILE_ENCRYPTION_KEY;
+  if (!isLedgerEnabled() || !secret) {
+    throw new Error(
+      "Traveler profiles are disabled. Set PROFILE_ENCRYPTION_KEY and keep LEDGER_BACKEND=file to use them"
+    );
+  }
+  if (derivedKey?.secret !== secret || derivedKey.salt !== salt) {
+    derivedKey = { secret, salt, key: scryptSync(secret, Buffer.from(salt, "base64"), 32) };
+  }
+  return derivedKey.key;
+}
+
+function readProfiles() {
+  const file = readLedgerFile(PROFILES_FILE, null) ?? {
+    version: 1,
+    salt: randomBytes(16).toString("base64"),
+    profiles: {},
+  };
+  return { file, key: getKey(file.salt) };
+}
+
+// The profile ID and owner are authenticated too, so entries cannot be
+// swapped or handed to another API key by editing the file
+function additionalData(profileId, owner) {
+  return Buffer.from(owner ? `${profileId}\n${owner}` : profileId);
+}
+
+// Profiles saved without an API key belong to anonymous callers
+function isOwnedBy(entry, owner) {
+  return (entry.owner ?? null) === (owner ?? null);
+}
+
+function encrypt(key, profileId, owner, value) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(additionalData(profileId, owner));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decrypt(key, profileId, { owner, iv, tag, data }) {
+  try {
+    const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(iv, "base64"));
+    decipher.setAAD(additionalData(profileId, owner));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    const text = Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]);
+    return JSON.parse(text.toString("utf8"));
+  } catch {
+    throw new Error(
+      `Could not decrypt traveler profile ${profileId}; PROFILE_ENCRYPTION_KEY differs from the key it was saved with`
+    );
+  }
+}
+
+/**
+ * Creates or replaces a traveler profile. Profiles are encrypted with
+ * AES-256-GCM before they are written to `profiles.json`, and only the API
+ * key that saved a profile can read, use or delete it.
+ * @param {string} toolName - Tool name used in error messages
+ * @param {Object} profile
+ * @param {string} [profile.profileId] - ID of the profile to replace
+ * @param {Object} profile.traveler - Amadeus traveler fields, without `id`
+ * @param {Object} [profile.contact] - Booking contact to use with this traveler
+ * @param {string} [profile.owner] - API key (principal) saving the profile
+ * @returns {{profileId: string, created: boolean}} The profile's ID
+ * @throws {ToolArgumentsError} When `profileId` is given but unknown to the owner
+ */
+export function saveTravelerProfile(toolName, { profileId, traveler, contact, owner }) {
+  const { file, key } = readProfiles();
+  const id = profileId ?? `tp_${randomBytes(9).toString("base64url")}`;
+  const previous = file.profiles[id] && isOwnedBy(file.profiles[id], owner) ? file.profiles[id] : undefined;
+  if (profileId && !previous) {
+    throw new ToolArgumentsError(toolName, [
+      { field: "profileId", message: `refers to unknown traveler profile "${profileId}"; omit it to create a new profile` },
+    ]);
+  }
+  const now = new Date().toISOString();
+  const { id: _id, ...fields } = traveler;
+  file.profiles[id] = {
+    ...(owner && { owner }),
+    createdAt: previous?.createdAt ?? now,
+    updatedAt: now,
+    ...encrypt(key, id, owner, { traveler: fields, ...(contact && { contact }) }),
+  };
+  writeLedgerFile(PROFILES_FILE, file);
+  return { profileId: id, created: !previous };
+}
+
+/**
+ * Lists an owner's traveler profiles, decrypted
+ * @param {string} [owner] - API key (principal) whose profiles to list
+ * @returns {Array<{profileId: string, traveler: Object, contact?: Object, createdAt: string, updatedAt: string}>} Profiles
+ */
+export function listTravelerProfiles(owner) {
+  const { file, key } = readProfiles();
+  return Object.entries(file.profiles)
+    .filter(([, entry]) => isOwnedBy(entry, owner))
+    .map(([profileId, { createdAt, updatedAt, ...encrypted }]) => ({
+      profileId,
+      ...decrypt(key, profileId, encrypted),
+      createdAt,
+      updatedAt,
+    }));
+}
+
+/**
+ * Resolves profile IDs to the stored travelers and contacts
+ * @param {string} toolName - Tool name used in error messages
+ * @param {string} field - Argument name used in error messages
+ * @param {Array<string>} profileIds - Profile IDs to resolve
+ * @param {string} [owner] - API key (principal) the profiles must belong to
+ * @returns {Array<{traveler: Object, contact?: Object}>} The profiles, in order
+ * @throws {ToolArgumentsError} When an ID is unknown to the owner
+ */
+export function resolveTravelerProfiles(toolName, field, profileIds, owner) {
+  const { file, key } = readProfiles();
+  const errors = [];
+  const profiles = profileIds.map((profileId, index) => {
+    const entry = file.profiles[profileId];
+    if (!entry || !isOwnedBy(entry, owner)) {
+      errors.push({
+        field: `${field}.${index}`,
+        message: `refers to unknown traveler profile "${profileId}"; call list_traveler_profiles to see the saved ones`,
+      });
+      return undefined;
+    }
+    return decrypt(key, profileId, entry);
+  });
+
+  if (errors.length > 0) {
+    throw new ToolArgumentsError(toolName, errors);
+  }
+  return profiles;
+}
+
+/**
+ * Deletes a traveler profile
+ * @param {string} profileId - Profile ID
+ * @param {string} [owner] - API key (principal) the profile must belong to
+ * @returns {boolean} Whether the owner had such a profile
+ */
+export function deleteTravelerProfile(profileId, owner) {
+  const { file } = readProfiles();
+  const entry = file.profiles[profileId];
+  if (!entry || !isOwnedBy(entry, owner)) return false;
+  delete file.profiles[profileId];
+  writeLedgerFile(PROFILES_FILE, file);
+  return true;
+}
@@ -0,0 +1,220 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "./logger.js";
+import { ToolArgumentsError } from "./errors.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const log = logger.child({ component: "prompts" });
+
+const PROMPT_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const ARGUMENT_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+// {{#name}}…{{/name}} is kept when the argument is given, {{^name}}…{{/name}} when it is not
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * Returns the prompts directory, `prompts/` unless MCP_PROMPTS_DIR points elsewhere
+ * @returns {string} Absolute path of the prompts directory
+ */
+export function getPromptsDir() {
+  return path.resolve(__dirname, "..", process.env.MCP_PROMPTS_DIR || "prompts");
+}
+
+function parseScalar(value) {
+  const trimmed = value.trim();
+  if (trimmed === "true" || trimmed === "false") return trimmed === "true";
+  const quoted = /^(["'])(.*)\1$/.exec(trimmed);
+  return quoted ? quoted[2] : trimmed;
+}
+
+/**
+ * Parses a prompt template: a front matter block with `name`, `description`
+ * and an `arguments` list, followed by the message text. The front matter
+ * is a small YAML subset, one `key: value` per line:
+ *
+ *     ---
+ *     name: find_cheapest_dates
+ *     description: Find the cheapest days to fly
+ *     arguments:
+ *       - name: origin
+ *         description: Departure city
+ *         required: true
+ *     ---
+ *     Find the cheapest dates from {{origin}}…
+ *
+ * @param {string} source - Template file contents
+ * @returns {{name: string, description?: string, arguments: Array<Object>, template: string}} Parsed prompt
+ * @throws {Error} When the front matter is missing or malformed
+ */
+export function parsePromptTemplate(source) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(source);
+  if (!match) {
+    throw new Error("must start with a front matter block between --- lines");
+  }
+
+  const prompt = { arguments: [] };
+  let inArguments = false;
+  let current;
+  match[1].split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith("#")) return;
+    const entry = /^(\s*)(- )?(\w+):(.*)$/.exec(line);
+    if (!entry) {
+      throw new Error(`front matter line ${index + 1} is not "key: value"`);
+    }
+    const [, indent, item, key, value] = entry;
+    if (!indent && !item) {
+      inArguments = key === "arguments";
+      if (!inArguments) prompt[key] = parseScalar(value);
+      return;
+    }
+    if (!inArguments) {
+      throw new Error(`front matter line ${index + 1} is indented outside the arguments list`);
+    }
+    if (item) {
+      current = {};
+      prompt.arguments.push(current);
+    } else if (!current) {
+      throw new Error(`front matter line ${index + 1} must start an argument with "- "`);
+    }
+    current[key] = parseScalar(value);
+  });
+
+  prompt.template = match[2].trim();
+  return prompt;
+}
+
+/**
+ * Checks a parsed prompt for problems that would break prompts/get: bad
+ * names, duplicate arguments and placeholders that no argument declares
+ * @param {Object} prompt - Result of parsePromptTemplate()
+ * @returns {Array<string>} Problems found, empty when the prompt is usable
+ */
+export function validatePrompt(prompt) {
+  const problems = [];
+  if (typeof prompt.name !== "string" || !PROMPT_NAME_PATTERN.test(prompt.name)) {
+    problems.push("name must be 1-64 letters, digits, underscores or hyphens");
+  }
+  if (!prompt.template) {
+    problems.push("has no message text");
+  }
+
+  const declared = new Set();
+  for (const argument of prompt.arguments) {
+    if (typeof argument.name !== "string" || !ARGUMENT_NAME_PATTERN.test(argument.name)) {
+      problems.push(`argument name "${argument.name}" must be an identifier`);
+    } else if (declared.has(argument.name)) {
+      problems.push(`argument "${argument.name}" is declared twice`);
+    }
+    declared.add(argument.name);
+  }
+
+  // Unwrap sections until none are left, so nested ones are checked too
+  const used = new Set();
+  let text = prompt.template;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(SECTION_PATTERN, (section, kind, name, body) => {
+      used.add(name);
+      return body;
+    });
+  } while (text !== previous);
+  for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) used.add(name);
+
+  for (const name of used) {
+    if (!declared.has(name)) problems.push(`uses {{${name}}} but declares no such argument`);
+  }
+  if (/\{\{[#^/]/.test(text)) {
+    problems.push("has an unclosed or unopened {{#…}}/{{^…}} section");
+  }
+  return problems;
+}
+
+/**
+ * Fills a prompt's template with arguments. Sections are resolved first,
+ * innermost last, then `{{name}}` placeholders; a placeholder for an
+ * argument that was not given renders as an empty string.
+ * @param {Object} prompt - A valid prompt
+ * @param {Object<string, string>} [args] - Argument values
+ * @returns {string} The message text
+ * @throws {ToolArgumentsError} When a required argument is missing
+ */
+export function renderPrompt(prompt, args = {}) {
+  const given = (name) => args[name] !== undefined && String(args[name]).trim() !== "";
+  const missing = prompt.arguments.filter((argument) => argument.required && !given(argument.name));
+  if (missing.length > 0) {
+    throw new ToolArgumentsError(
+      prompt.name,
+      missing.map(({ name }) => ({ field: name, message: "is required" }))
+    );
+  }
+
+  let text = prompt.template;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(SECTION_PATTERN, (section, kind, name, body) =>
+      (kind === "#") === given(name) ? body : ""
+    );
+  } while (text !== previous);
+  text = text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (given(name) ? String(args[name]).trim() : ""));
+  // Dropped sections leave runs of blank lines behind
+  return text.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Reads every `.md` template in the prompts directory and keeps the valid
+ * ones. Templates that fail to parse, are invalid or reuse another prompt's
+ * name are skipped and reported instead of failing the whole load.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Prompts directory, defaults to getPromptsDir()
+ * @returns {{prompts: Array<Object>, skipped: Array<{path: string, errors: Array<string>}>}} Loaded prompts and skipped files
+ */
+export function loadPrompts({ dir = getPromptsDir() } = {}) {
+  const prompts = [];
+  const skipped = [];
+  const names = new Map();
+  if (!fs.existsSync(dir)) return { prompts, skipped };
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".md") && !file.startsWith("."))
+    .sort();
+  for (const file of files) {
+    let prompt;
+    try {
+      prompt = parsePromptTemplate(fs.readFileSync(path.join(dir, file), "utf8"));
+    } catch (error) {
+      skipped.push({ path: file, errors: [error.message] });
+      continue;
+    }
+
+    const problems = validatePrompt(prompt);
+    if (problems.length === 0 && names.has(prompt.name)) {
+      problems.push(`prompt name "${prompt.name}" is already used by ${names.get(prompt.name)}`);
+    }
+    if (problems.length > 0) {
+      skipped.push({ path: file, errors: problems });
+      continue;
+    }
+
+    names.set(prompt.name, file);
+    prompts.push({ ...prompt, path: file });
+  }
+  return { prompts, skipped };
+}
+
+/**
+ * Loads the prompt templates, logging the files that had to be skipped
+ * @param {Object} [options] - Options for loadPrompts()
+ * @returns {Array<Object>} Loaded prompts
+ */
+export function discoverPrompts(options) {
+  const { prompts, skipped } = loadPrompts(options);
+  for (const { path: file, errors } of skipped) {
+    log.warn("Skipping prompt template", { path: file, errors });
+  }
+  return prompts;
+}
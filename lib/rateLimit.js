@@ -0,0 +1,54 @@
+import { auditLog } from "./accessControl.js";
+import { counter } from "./metrics.js";
+import { createTokenBucket } from "./tokenBucket.js";
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const rejected = counter("mcp_rate_limited_requests_total", "Requests rejected by the inbound rate limit");
+
+/**
+ * Creates Express middleware that limits each client to `requestsPerMinute`,
+ * refilled continuously, with bursts of up to `burst` requests. Clients are identified by their API
+ * key (`req.principal`) or, without authentication, by IP address. Requests
+ * over the limit get `429` with a `Retry-After` header.
+ * @param {Object} [options]
+ * @param {number} [options.requestsPerMinute] - Sustained rate per client; 0 disables the limit
+ * @param {number} [options.burst] - Bucket size, defaults to one minute's worth of requests
+ * @returns {import("express").RequestHandler} Middleware
+ */
+export function createRateLimitMiddleware({ requestsPerMinute = 60, burst } = {}) {
+  if (!requestsPerMinute) {
+    return (req, res, next) => next();
+  }
+  const capacity = burst || requestsPerMinute;
+  const buckets = new Map();
+
+  // Forget clients whose bucket has refilled; they are back to a clean slate
+  const sweep = setInterval(() => {
+    for (const [client, bucket] of buckets) {
+      if (bucket.isFull()) buckets.delete(client);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const client = req.principal ? `key:${req.principal.name}` : `ip:${req.ip}`;
+    let bucket = buckets.get(client);
+    if (!bucket) {
+      bucket = createTokenBucket({ ratePerSecond: requestsPerMinute / 60, capacity });
+      buckets.set(client, bucket);
+    }
+
+    const waitMs = bucket.tryTake();
+    if (waitMs === 0) {
+      return next();
+    }
+    rejected.inc();
+    auditLog("rate_limit.exceeded", req, { client });
+    res.set("Retry-After", String(Math.ceil(waitMs / 1000)));
+    res.status(429).json({
+      error: "Too many requests",
+      retryAfterSeconds: Math.ceil(waitMs / 1000),
+    });
+  };
+}
@@ -0,0 +1,207 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getAmadeusConfig } from "./config.js";
+import { getBookingDefaults, isDryRun } from "./booking.js";
+import { getLocationResolutionMode, getOfflineLocations } from "./locations.js";
+import { findOffer, listOffers } from "./offerStore.js";
+import { findOrder, listOrders } from "./orderStore.js";
+import { getCacheTtl } from "./responseCache.js";
+import { getToolCollection } from "./tools.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const AIRLINES_PATH = path.resolve(__dirname, "../data/airlines.json");
+const MIME_TYPE = "application/json";
+
+let airlines;
+
+const OFFER_URI_PATTERN = /^amadeus:\/\/offers\/([^/]+)$/;
+const ORDER_URI_PATTERN = /^amadeus:\/\/orders\/([^/]+)$/;
+
+/**
+ * Resources that exist in every session
+ */
+const STATIC_RESOURCES = [
+  {
+    uri: "amadeus://reference/airlines",
+    name: "airlines",
+    description: "IATA airline codes and names",
+  },
+  {
+    uri: "amadeus://reference/airports",
+    name: "airports",
+    description: "Airports of the offline location dataset, by IATA code",
+  },
+  {
+    uri: "amadeus://reference/cities",
+    name: "cities",
+    description: "Cities of the offline location dataset, by IATA code, with their airports",
+  },
+  {
+    uri: "amadeus://server/config",
+    name: "server-config",
+    description: "Amadeus environment, dry-run mode, cache TTLs and booking defaults of this server",
+  },
+  {
+    uri: "amadeus://server/tools",
+    name: "tool-catalogue",
+    description: "Tools available to this client, by collection, with their input schemas",
+  },
+].map((resource) => ({ ...resource, mimeType: MIME_TYPE }));
+
+/**
+ * URI templates for the per-session offers and orders
+ */
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "amadeus://offers/{offerId}",
+    name: "offer",
+    description: "A flight offer (off_…) or priced flight offer (prc_…) returned earlier in this session",
+    mimeType: MIME_TYPE,
+  },
+  {
+    uriTemplate: "amadeus://orders/{orderId}",
+    name: "order",
+    description: "A flight or hotel order created, retrieved or cancelled in this session, with its status",
+    mimeType: MIME_TYPE,
+  },
+];
+
+/**
+ * @param {string} offerId - Offer ID from the offer store
+ * @returns {string} The offer's resource URI
+ */
+export function offerUri(offerId) {
+  return `amadeus://offers/${encodeURIComponent(offerId)}`;
+}
+
+/**
+ * @param {string} orderId - Amadeus order ID
+ * @returns {string} The order's resource URI
+ */
+export function orderUri(orderId) {
+  return `amadeus://orders/${encodeURIComponent(orderId)}`;
+}
+
+/**
+ * Lists the static resources plus the session's live offers and orders
+ * @param {string} sessionId - Session whose offers and orders are listed
+ * @returns {Array<Object>} MCP resource descriptors
+ */
+export function listResources(sessionId) {
+  return [
+    ...STATIC_RESOURCES,
+    ...listOffers(sessionId).map(({ offerId, kind, expiresAt }) => ({
+      uri: offerUri(offerId),
+      name: offerId,
+      description: `${kind}, expires ${new Date(expiresAt).toISOString()}`,
+      mimeType: MIME_TYPE,
+    })),
+    ...listOrders(sessionId).map(({ orderId, kind, status }) => ({
+      uri: orderUri(orderId),
+      name: orderId,
+      description: `${kind}, ${status}`,
+      mimeType: MIME_TYPE,
+    })),
+  ];
+}
+
+function airports() {
+  return Object.fromEntries(
+    getOfflineLocations()
+      .filter((location) => location.subType === "AIRPORT")
+      .map(({ iataCode, name, cityCode, cityName, countryCode, stateCode }) => [
+        iataCode,
+        { name, cityCode, cityName, countryCode, ...(stateCode && { stateCode }) },
+      ])
+  );
+}
+
+function cities() {
+  const locations = getOfflineLocations();
+  return Object.fromEntries(
+    locations
+      .filter((location) => location.subType === "CITY")
+      .map(({ iataCode, name, countryCode, countryName, stateCode }) => [
+        iataCode,
+        {
+          name,
+          countryCode,
+          countryName,
+          ...(stateCode && { stateCode }),
+          airports: locations
+            .filter((location) => location.subType === "AIRPORT" && location.cityCode === iataCode)
+            .map((airport) => airport.iataCode),
+        },
+      ])
+  );
+}
+
+function serverConfig(tools) {
+  const { name, baseUrl, custom } = getAmadeusConfig();
+  const { remark, ticketingAgreement } = getBookingDefaults();
+  return {
+    environment: { name, baseUrl, custom },
+    dryRun: isDryRun(),
+    locationResolution: getLocationResolutionMode(),
+    cacheTtlSeconds: Object.fromEntries(
+      tools
+        .map((tool) => tool.definition.function.name)
+        .map((toolName) => [toolName, getCacheTtl(toolName)])
+        .filter(([, ttl]) => ttl > 0)
+    ),
+    bookingDefaults: { ...(remark && { remark }), ticketingAgreement },
+  };
+}
+
+function toolCatalogue(tools) {
+  return tools.map((tool) => {
+    const { name, description, parameters, outputSchema } = tool.definition.function;
+    return {
+      name,
+      collection: getToolCollection(tool),
+      description,
+      parameters,
+      ...(outputSchema && { outputSchema }),
+    };
+  });
+}
+
+/**
+ * Reads a resource. Offers and orders are only visible to the session that
+ * received them; static resources to everyone.
+ * @param {string} uri - Resource URI
+ * @param {string} sessionId - Session reading the resource
+ * @param {Object} options
+ * @param {Array<Object>} options.tools - Tools the client may use, for the config and catalogue
+ * @returns {Object|undefined} The resource's JSON content, undefined when it does not exist
+ */
+export function readResource(uri, sessionId, { tools }) {
+  switch (uri) {
+    case "amadeus://reference/airlines":
+      airlines ??= JSON.parse(fs.readFileSync(AIRLINES_PATH, "utf8"));
+      return airlines;
+    case "amadeus://reference/airports":
+      return airports();
+    case "amadeus://reference/cities":
+      return cities();
+    case "amadeus://server/config":
+      return serverConfig(tools);
+    case "amadeus://server/tools":
+      return toolCatalogue(tools);
+  }
+
+  const offerMatch = OFFER_URI_PATTERN.exec(uri);
+  if (offerMatch) {
+    const offerId = decodeURIComponent(offerMatch[1]);
+    const entry = findOffer(sessionId, offerId);
+    return entry && { offerId, kind: entry.kind, expiresAt: new Date(entry.expiresAt).toISOString(), offer: entry.offer };
+  }
+  const orderMatch = ORDER_URI_PATTERN.exec(uri);
+  if (orderMatch) {
+    const orderId = decodeURIComponent(orderMatch[1]);
+    const entry = findOrder(sessionId, orderId);
+    return entry && { orderId, ...entry };
+  }
+  return undefined;
+}
@@ -0,0 +1,242 @@
+import { createHash } from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getAmadeusConfig } from "./config.js";
+import { counter } from "./metrics.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_CACHE_DIR = ".cache/responses";
+
+/**
+ * Default TTLs in seconds for tools whose Amadeus lookups may be cached.
+ * Override or extend with CACHE_TTLS, e.g. `{"search_flight_offers": 600}`;
+ * a TTL of 0 disables caching for that tool.
+ */
+const DEFAULT_TTLS = {
+  search_flight_offers: 300,
+  search_flight_offers_advanced: 300,
+  // Cheapest-date and inspiration prices come from Amadeus's own fare cache
+  search_flight_dates: 3600,
+  search_flight_destinations: 3600,
+  // Airports and cities hardly ever change
+  search_locations: 86400,
+  list_hotels: 86400,
+  // Room availability changes quickly; bookings re-check the offer anyway
+  search_hotel_offers: 300,
+};
+
+// Calls with side effects or credentials are never cached, whatever the config says
+const NEVER_CACHE = new Set([
+  "create_flight_order",
+  "cancel_flight_order",
+  "get_hotel_offer",
+  "create_hotel_order",
+  "request_access_token",
+]);
+
+const cacheLookups = counter("mcp_cache_lookups_total", "Response cache lookups by tool and status");
+
+let backend;
+
+/**
+ * In-memory backend. Entries are stored serialized so callers can mutate
+ * what they get back, and the oldest entries are evicted past `maxEntries`.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Maximum number of entries
+ */
+export function createMemoryBackend({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      return entry && JSON.parse(entry);
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, JSON.stringify(entry));
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async clear(prefix = "") {
+      let removed = 0;
+      for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * File backend: one JSON file per entry, so cached lookups survive restarts
+ * and can be shared by several server processes on one host
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the cache files
+ */
+export function createFileBackend({ dir }) {
+  const fileName = (key) => key.replace(/[^a-zA-Z0-9_-]/g, "_");
+  const fileFor = (key) => path.join(dir, `${fileName(key)}.json`);
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(key), "utf8"));
+      } catch {
+        return undefined;
+      }
+    },
+    async set(key, entry) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      // Write then rename so concurrent readers never see a partial file
+      const temp = `${fileFor(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(entry));
+      await fs.promises.rename(temp, fileFor(key));
+    },
+    async clear(prefix = "") {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch {
+        return 0;
+      }
+      const matching = files.filter(
+        (file) => file.endsWith(".json") && file.startsWith(fileName(prefix))
+      );
+      await Promise.all(
+        matching.map((file) => fs.promises.rm(path.join(dir, file), { force: true }))
+      );
+      return matching.length;
+    },
+  };
+}
+
+/**
+ * Returns the configured backend: CACHE_BACKEND=memory (default), file
+ * (in CACHE_DIR) or off
+ * @returns {Object|null} Cache backend, or null when caching is off
+ */
+function getBackend() {
+  if (backend === undefined) {
+    const type = process.env.CACHE_BACKEND || "memory";
+    if (type === "off") {
+      backend = null;
+    } else if (type === "file") {
+      backend = createFileBackend({
+        dir: path.resolve(__dirname, "..", process.env.CACHE_DIR || DEFAULT_CACHE_DIR),
+      });
+    } else if (type === "memory") {
+      backend = createMemoryBackend({
+        maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || undefined,
+      });
+    } else {
+      throw new Error(`Invalid CACHE_BACKEND "${type}". Expected memory, file or off`);
+    }
+  }
+  return backend;
+}
+
+/**
+ * Replaces the cache backend, e.g. with a fresh one in tests
+ * @param {Object|null|undefined} newBackend - Backend, null to disable, undefined to reconfigure from the environment
+ */
+export function setCacheBackend(newBackend) {
+  backend = newBackend;
+}
+
+/**
+ * Returns how long a tool's results may be cached
+ * @param {string} toolName - Tool name
+ * @returns {number} TTL in seconds, 0 when the tool is not cached
+ */
+export function getCacheTtl(toolName) {
+  if (NEVER_CACHE.has(toolName)) return 0;
+  const overrides = process.env.CACHE_TTLS ? JSON.parse(process.env.CACHE_TTLS) : {};
+  return Number(overrides[toolName] ?? DEFAULT_TTLS[toolName] ?? 0);
+}
+
+// Sorted keys and no undefined values, so equivalent arguments share a key
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter((key) => value[key] !== undefined)
+        .sort()
+        .map((key) => [key, normalize(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Builds the cache key for a tool call. The Amadeus base URL is part of the
+ * key so test and production responses never mix.
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Arguments that determine the upstream response
+ * @returns {string} Cache key, prefixed with the tool name
+ */
+export function cacheKey(toolName, args) {
+  const hash = createHash("sha256")
+    .update(getAmadeusConfig().baseUrl)
+    .update(JSON.stringify(normalize(args)))
+    .digest("hex")
+    .slice(0, 32);
+  return `${toolName}-${hash}`;
+}
+
+/**
+ * Returns a cached value for a tool call, or runs `loader` and caches its
+ * result for the tool's TTL. Failures are never cached.
+ * @param {string} toolName - Tool name, used for the TTL and the key
+ * @param {Object} args - Arguments that determine the upstream response
+ * @param {() => Promise<*>} loader - Fetches the value on a miss
+ * @param {Object} [options]
+ * @param {boolean} [options.bypass] - Skip the cache lookup but store the fresh value
+ * @returns {Promise<{value: *, cache: {status: "hit"|"miss"|"bypass"|"disabled", ttlSeconds?: number, ageSeconds?: number}}>} Value and cache metadata
+ */
+export async function cachedCall(toolName, args, loader, { bypass = false } = {}) {
+  const ttlSeconds = getCacheTtl(toolName);
+  const store = getBackend();
+  if (!store || ttlSeconds <= 0) {
+    return { value: await loader(), cache: { status: "disabled" } };
+  }
+
+  const key = cacheKey(toolName, args);
+  if (!bypass) {
+    const entry = await store.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      cacheLookups.inc({ tool: toolName, status: "hit" });
+      return {
+        value: entry.value,
+        cache: {
+          status: "hit",
+          ttlSeconds,
+          ageSeconds: Math.floor((Date.now() - entry.storedAt) / 1000),
+        },
+      };
+    }
+  }
+
+  const value = await loader();
+  const now = Date.now();
+  await store.set(key, { value, storedAt: now, expiresAt: now + ttlSeconds * 1000 });
+  cacheLookups.inc({ tool: toolName, status: bypass ? "bypass" : "miss" });
+  return { value, cache: { status: bypass ? "bypass" : "miss", ttlSeconds } };
+}
+
+/**
+ * Removes cached entries
+ * @param {string} [toolName] - Only clear this tool's entries
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function clearCache(toolName) {
+  const store = getBackend();
+  if (!store) return 0;
+  return store.clear(toolName ? `${toolName}-` : "");
+}
@@ -0,0 +1,128 @@
+import { randomUUID } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { auditLog, isSessionOwner } from "./accessControl.js";
+import { createEventStore } from "./eventStore.js";
+import { logger } from "./logger.js";
+
+const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000;
+
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+/**
+ * Registers the MCP Streamable HTTP transport on a single endpoint. Sessions
+ * are identified by the `Mcp-Session-Id` header, streams can be resumed with
+ * `Last-Event-ID`, DELETE ends a session and idle sessions are expired.
+ * A session can only be used by the principal (`req.principal`) that opened it.
+ * @param {import("express").Express} app - Express application
+ * @param {(principal: Object|null) => Promise<import("@modelcontextprotocol/sdk/server/index.js").Server>} createServer - Creates a server for a new session
+ * @param {Object} [options]
+ * @param {string} [options.path] - Endpoint path, defaults to "/mcp"
+ * @param {number} [options.sessionTtlMs] - Idle time before a session is closed
+ * @param {(sessionId: string) => void} [options.onSessionClosed] - Called after a session ends
+ * @returns {{sessions: Map<string, Object>, close: () => Promise<void>}} Session registry
+ */
+export function registerStreamableHttpRoutes(app, createServer, options = {}) {
+  const path = options.path || "/mcp";
+  const sessionTtlMs = options.sessionTtlMs || DEFAULT_SESSION_TTL_MS;
+  const sessions = new Map();
+
+  const closeSession = async (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    await session.transport.close();
+    await session.server.close();
+  };
+
+  app.post(path, async (req, res) => {
+    const sessionId = req.headers["mcp-session-id"];
+    let session = sessionId && sessions.get(sessionId);
+
+    if (!session) {
+      if (sessionId) {
+        return sendJsonRpcError(res, 404, "Session not found");
+      }
+      if (!isInitializeRequest(req.body)) {
+        return sendJsonRpcError(
+          res,
+          400,
+          "Bad Request: No valid session ID provided"
+        );
+      }
+
+      // Create a new Server instance for each session
+      const server = await createServer(req.principal);
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        eventStore: createEventStore(),
+        onsessioninitialized: (newSessionId) => {
+          sessions.set(newSessionId, session);
+        },
+      });
+      transport.onclose = () => {
+        if (!transport.sessionId) return;
+        sessions.delete(transport.sessionId);
+        options.onSessionClosed?.(transport.sessionId);
+      };
+      session = {
+        server,
+        transport,
+        principal: req.principal,
+        lastSeen: Date.now(),
+      };
+      await server.connect(transport);
+    }
+
+    if (!isSessionOwner(session.principal, req.principal)) {
+      auditLog("auth.session_mismatch", req, { sessionId });
+      return sendJsonRpcError(res, 403, "Session belongs to another client");
+    }
+    session.lastSeen = Date.now();
+    await session.transport.handleRequest(req, res, req.body);
+  });
+
+  // GET opens (or resumes) the server-to-client stream, DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    const sessionId = req.headers["mcp-session-id"];
+    const session = sessionId && sessions.get(sessionId);
+    if (!session) {
+      return sendJsonRpcError(res, sessionId ? 404 : 400, "Invalid or missing session ID");
+    }
+    if (!isSessionOwner(session.principal, req.principal)) {
+      auditLog("auth.session_mismatch", req, { sessionId });
+      return sendJsonRpcError(res, 403, "Session belongs to another client");
+    }
+    session.lastSeen = Date.now();
+    await session.transport.handleRequest(req, res);
+  };
+  app.get(path, handleSessionRequest);
+  app.delete(path, handleSessionRequest);
+
+  // Expire sessions that have been idle for longer than the TTL
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionTtlMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastSeen < cutoff) {
+        closeSession(sessionId).catch((error) =>
+          logger.error("Failed to close idle session", { sessionId, error })
+        );
+      }
+    }
+  }, Math.min(sessionTtlMs, 60 * 1000));
+  sweep.unref();
+
+  return {
+    sessions,
+    close: async () => {
+      clearInterval(sweep);
+      await Promise.all([...sessions.keys()].map(closeSession));
+    },
+  };
+}
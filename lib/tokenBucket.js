@@ -0,0 +1,52 @@
+/**
+ * Creates a token bucket that refills at `ratePerSecond` up to `capacity`
+ * tokens
+ * @param {Object} options
+ * @param {number} options.ratePerSecond - Tokens added per second
+ * @param {number} [options.capacity] - Maximum burst, defaults to the rate
+ * @returns {{reserve: () => number, tryTake: () => number, isFull: () => boolean}} Bucket
+ */
+export function createTokenBucket({ ratePerSecond, capacity = ratePerSecond }) {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * ratePerSecond);
+    updatedAt = now;
+  };
+
+  return {
+    /**
+     * Takes a token even if none is available yet. Tokens may go negative,
+     * which queues callers in order.
+     * @returns {number} Milliseconds to wait before using the token
+     */
+    reserve() {
+      refill();
+      tokens -= 1;
+      return tokens >= 0 ? 0 : Math.ceil((-tokens / ratePerSecond) * 1000);
+    },
+
+    /**
+     * Takes a token only if one is available
+     * @returns {number} 0 when a token was taken, otherwise milliseconds until one is
+     */
+    tryTake() {
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.ceil(((1 - tokens) / ratePerSecond) * 1000);
+    },
+
+    /**
+     * @returns {boolean} Whether the bucket has refilled completely
+     */
+    isFull() {
+      refill();
+      return tokens >= capacity;
+    },
+  };
+}
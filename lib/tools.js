@@ -1,16 +1,380 @@
-import { toolPaths } from "../tools/paths.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { getSchemaError } from "./validation.js";
+import { logger, runWithContext } from "./logger.js";
+import { serializeError } from "./errors.js";
+import { counter, histogram } from "./metrics.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const log = logger.child({ component: "tools" });
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const DEFAULT_WATCH_DEBOUNCE_MS = 300;
+
+const toolCalls = counter("mcp_tool_calls_total", "Tool calls by tool and outcome");
+const toolErrors = counter(
+  "mcp_tool_errors_total",
+  "Failed tool calls by tool, error type and Amadeus status code"
+);
+const toolDuration = histogram("mcp_tool_call_duration_seconds", "Tool call latency in seconds");
+
+/**
+ * Returns the tools directory, `tools/` unless MCP_TOOLS_DIR points elsewhere
+ * @returns {string} Absolute path of the tools directory
+ */
+export function getToolsDir() {
+  return path.resolve(__dirname, "..", process.env.MCP_TOOLS_DIR || "tools");
+}
+
+/**
+ * Lists the JavaScript modules below a directory
+ * @param {string} dir - Directory to scan
+ * @returns {Array<string>} Module paths relative to `dir`, sorted, with "/" separators
+ */
+export function findToolFiles(dir) {
+  const files = [];
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (/\.m?js$/.test(entry.name)) {
+        files.push(path.relative(dir, fullPath).split(path.sep).join("/"));
+      }
+    }
+  };
+  if (fs.existsSync(dir)) walk(dir);
+  return files.sort();
+}
+
+/**
+ * Checks that an `apiTool` export has the shape the server relies on
+ * @param {*} apiTool - The module's `apiTool` export
+ * @returns {Array<string>} Problems found, empty when the tool is usable
+ */
+export function validateApiTool(apiTool) {
+  if (!apiTool || typeof apiTool !== "object") {
+    return ["does not export an apiTool object"];
+  }
+  const problems = [];
+  if (typeof apiTool.function !== "function") {
+    problems.push("apiTool.function must be a function");
+  }
+  const definition = apiTool.definition;
+  if (definition?.type !== "function" || !definition.function) {
+    problems.push('apiTool.definition must be { type: "function", function: {...} }');
+    return problems;
+  }
+
+  const { name, description, parameters, outputSchema } = definition.function;
+  if (typeof name !== "string" || !TOOL_NAME_PATTERN.test(name)) {
+    problems.push("name must be 1-64 letters, digits, underscores or hyphens");
+  }
+  if (description !== undefined && typeof description !== "string") {
+    problems.push("description must be a string");
+  }
+  for (const [field, schema] of [
+    ["parameters", parameters],
+    ["outputSchema", outputSchema],
+  ]) {
+    if (schema === undefined) continue;
+    if (!schema || schema.type !== "object") {
+      problems.push(`${field} must be a JSON Schema of type "object"`);
+      continue;
+    }
+    const error = getSchemaError(schema);
+    if (error) problems.push(`${field} is not a valid JSON Schema: ${error}`);
+  }
+  return problems;
+}
+
+// Walks a schema looking for arrays that do not say what they contain
+function findUntypedArrays(schema, location, warnings) {
+  if (!schema || typeof schema !== "object") return;
+  const types = [].concat(schema.type);
+  if (types.includes("array") && !schema.items) {
+    warnings.push(`${location} is an array without "items"`);
+  }
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    findUntypedArrays(property, `${location}.${name}`, warnings);
+  }
+  if (schema.items && !Array.isArray(schema.items)) {
+    findUntypedArrays(schema.items, `${location}[]`, warnings);
+  }
+}
+
+/**
+ * Reports definition problems that do not stop a tool from loading but make
+ * it harder for a model to use: missing tool or parameter descriptions and
+ * arrays without `items`
+ * @param {Object} apiTool - A valid `apiTool` export
+ * @returns {Array<string>} Warnings, empty when the definition is clean
+ */
+export function lintApiTool(apiTool) {
+  const { description, parameters, outputSchema } = apiTool.definition.function;
+  const warnings = [];
+  if (!description?.trim()) {
+    warnings.push("has no description");
+  }
+  for (const [name, property] of Object.entries(parameters?.properties || {})) {
+    if (!property?.description?.trim()) {
+      warnings.push(`parameters.${name} has no description`);
+    }
+  }
+  findUntypedArrays(parameters, "parameters", warnings);
+  findUntypedArrays(outputSchema, "outputSchema", warnings);
+  return warnings;
+}
+
+/**
+ * Returns the collection a tool belongs to: the directory holding its module,
+ * e.g. "amadeus-hotels"
+ * @param {Object} tool - Tool object from discoverTools()
+ * @returns {string|undefined} Collection name, undefined for top-level modules
+ */
+export function getToolCollection(tool) {
+  return tool.path?.split("/").slice(-2, -1)[0];
+}
+
+/**
+ * Groups tool names by collection (see getToolCollection)
+ * @param {Array<Object>} tools - Tools from discoverTools()
+ * @returns {Object<string, Array<string>>} Tool names by collection; top-level modules are under "default"
+ */
+export function groupToolsByCollection(tools) {
+  const groups = {};
+  for (const tool of tools) {
+    const collection = getToolCollection(tool) ?? "default";
+    (groups[collection] ??= []).push(tool.definition.function.name);
+  }
+  return groups;
+}
 
 /**
- * Discovers and loads available tools from the tools directory
+ * Imports every module below the tools directory and keeps the ones that
+ * export a valid `apiTool`. Modules that fail to import, have a malformed
+ * `apiTool` or reuse another tool's name are skipped and reported instead of
+ * failing the whole load. Modules are imported by modification time, so a
+ * later call picks up edited files.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Tools directory, defaults to getToolsDir()
+ * @returns {Promise<{tools: Array<Object>, skipped: Array<{path: string, errors: Array<string>}>}>} Loaded tools and skipped modules
+ */
+export async function loadTools({ dir = getToolsDir() } = {}) {
+  const tools = [];
+  const skipped = [];
+  const names = new Map();
+
+  for (const file of findToolFiles(dir)) {
+    const fullPath = path.join(dir, file);
+    let module;
+    try {
+      const { mtimeMs } = fs.statSync(fullPath);
+      module = await import(`${pathToFileURL(fullPath).href}?mtime=${mtimeMs}`);
+    } catch (error) {
+      skipped.push({ path: file, errors: [`failed to import: ${error.message}`] });
+      continue;
+    }
+
+    const problems = validateApiTool(module.apiTool);
+    const name = module.apiTool?.definition?.function?.name;
+    if (problems.length === 0 && names.has(name)) {
+      problems.push(`tool name "${name}" is already used by ${names.get(name)}`);
+    }
+    if (problems.length > 0) {
+      skipped.push({ path: file, errors: problems });
+      continue;
+    }
+
+    names.set(name, file);
+    tools.push({ ...module.apiTool, path: file });
+  }
+  return { tools, skipped };
+}
+
+/**
+ * Runs a tool with validated arguments inside a correlation context, logs
+ * the outcome and records call metrics. Arguments are only logged at debug
+ * level, redacted.
+ * @param {Object} tool - Tool object from discoverTools()
+ * @param {Object} args - Validated arguments
+ * @param {Object} [context]
+ * @param {string} [context.sessionId] - Session whose offer store the tool uses
+ * @param {string} [context.correlationId] - Correlation ID, generated when the caller has none
+ * @param {string} [context.principal] - Name of the API key making the call, passed on to the tool
+ * @returns {Promise<*>} The tool's result
+ */
+export function runTool(tool, args, { sessionId, correlationId, principal } = {}) {
+  const name = tool.definition.function.name;
+  return runWithContext({ ...(correlationId && { correlationId }), tool: name }, async () => {
+    const started = Date.now();
+    log.debug("Tool call started", { sessionId, principal, args });
+    try {
+      const result = await tool.function(args, { sessionId, principal });
+      log.info("Tool call succeeded", { sessionId, principal, durationMs: Date.now() - started });
+      toolCalls.inc({ tool: name, outcome: "success" });
+      return result;
+    } catch (error) {
+      toolCalls.inc({ tool: name, outcome: "error" });
+      toolErrors.inc({
+        tool: name,
+        type: serializeError(error).error.type,
+        status: error.status ?? "none",
+      });
+      log.warn("Tool call failed", {
+        sessionId,
+        principal,
+        durationMs: Date.now() - started,
+        error,
+      });
+      throw error;
+    } finally {
+      toolDuration.observe({ tool: name }, (Date.now() - started) / 1000);
+    }
+  });
+}
+
+function reportSkipped(skipped) {
+  for (const { path: file, errors } of skipped) {
+    log.warn("Skipping tool module", { path: file, errors });
+  }
+}
+
+/**
+ * Discovers and loads available tools from the tools directory, logging
+ * modules that had to be skipped
+ * @param {Object} [options] - Options for loadTools()
  * @returns {Promise<Array>} Array of tool objects
  */
-export async function discoverTools() {
-  const toolPromises = toolPaths.map(async (file) => {
-    const module = await import(`../tools/${file}`);
-    return {
-      ...module.apiTool,
-      path: file,
-    };
+export async function discoverTools(options) {
+  const { tools, skipped } = await loadTools(options);
+  reportSkipped(skipped);
+  return tools;
+}
+
+function diffTools(previous, next) {
+  const before = new Map(previous.map((tool) => [tool.definition.function.name, tool]));
+  const after = new Map(next.map((tool) => [tool.definition.function.name, tool]));
+  const changes = { added: [], removed: [], updated: [] };
+  for (const [name, tool] of after) {
+    const old = before.get(name);
+    if (!old) {
+      changes.added.push(name);
+    } else if (
+      old.function !== tool.function ||
+      JSON.stringify(old.definition) !== JSON.stringify(tool.definition)
+    ) {
+      changes.updated.push(name);
+    }
+  }
+  for (const name of before.keys()) {
+    if (!after.has(name)) changes.removed.push(name);
+  }
+  return changes;
+}
+
+function listDirectories(dir) {
+  const dirs = [dir];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory() && !entry.name.startsWith(".") && entry.name !== "node_modules") {
+      dirs.push(...listDirectories(path.join(dir, entry.name)));
+    }
+  }
+  return dirs;
+}
+
+/**
+ * Watches a directory tree. Recursive fs.watch is unavailable on Linux
+ * before Node 19.1, so there every directory gets its own watcher, and
+ * directories created later are picked up on the next change.
+ */
+function watchTree(dir, listener) {
+  try {
+    const watcher = fs.watch(dir, { recursive: true }, listener);
+    watcher.on("error", (error) => log.error("Tools watcher failed", { error }));
+    return () => watcher.close();
+  } catch (error) {
+    if (error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw error;
+  }
+
+  const watchers = new Map();
+  const sync = () => {
+    let dirs;
+    try {
+      dirs = new Set(listDirectories(dir));
+    } catch (error) {
+      log.error("Tools watcher failed", { error });
+      return;
+    }
+    for (const [watched, watcher] of watchers) {
+      if (!dirs.has(watched)) {
+        watcher.close();
+        watchers.delete(watched);
+      }
+    }
+    for (const current of dirs) {
+      if (watchers.has(current)) continue;
+      const watcher = fs.watch(current, () => {
+        sync();
+        listener();
+      });
+      watcher.on("error", () => {
+        watcher.close();
+        watchers.delete(current);
+      });
+      watchers.set(current, watcher);
+    }
+  };
+  sync();
+  return () => {
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+  };
+}
+
+/**
+ * Watches the tools directory and reloads tools when files change. The
+ * `tools` array is updated in place so that everything holding a reference
+ * to it sees the new set.
+ * @param {Array<Object>} tools - Array returned by discoverTools()
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Tools directory, defaults to getToolsDir()
+ * @param {number} [options.debounceMs] - Quiet period before reloading
+ * @param {(changes: {added: Array<string>, removed: Array<string>, updated: Array<string>}) => void} [options.onChange] - Called after a reload that changed the tool set
+ * @returns {{close: () => void}} Handle to stop watching
+ */
+export function watchTools(tools, options = {}) {
+  const dir = options.dir || getToolsDir();
+  const debounceMs = options.debounceMs ?? DEFAULT_WATCH_DEBOUNCE_MS;
+  let timer;
+  let reloading = Promise.resolve();
+
+  const reload = async () => {
+    const { tools: next, skipped } = await loadTools({ dir });
+    reportSkipped(skipped);
+    const changes = diffTools(tools, next);
+    tools.splice(0, tools.length, ...next);
+    if (changes.added.length + changes.removed.length + changes.updated.length > 0) {
+      options.onChange?.(changes);
+    }
+  };
+
+  const stopWatching = watchTree(dir, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      reloading = reloading
+        .then(reload)
+        .catch((error) => log.error("Tool reload failed", { error }));
+    }, debounceMs);
   });
-  return Promise.all(toolPromises);
+
+  return {
+    close: () => {
+      clearTimeout(timer);
+      stopWatching();
+    },
+  };
 }
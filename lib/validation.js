@@ -0,0 +1,91 @@
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { ToolArgumentsError } from "./errors.js";
+
+// coerceTypes turns e.g. "2" into 2 for integer parameters; useDefaults
+// fills in schema defaults before the tool runs
+const ajv = new Ajv({
+  allErrors: true,
+  coerceTypes: true,
+  useDefaults: true,
+  strict: false,
+});
+addFormats(ajv);
+
+const validators = new WeakMap();
+
+function getValidator(schema) {
+  let validate = validators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validators.set(schema, validate);
+  }
+  return validate;
+}
+
+/**
+ * Converts an Ajv error into a `{ field, message }` pair
+ * @param {Object} error - Ajv error object
+ * @returns {{field: string, message: string}} Per-field error
+ */
+function formatError(error) {
+  const path = error.instancePath
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+  if (error.keyword === "required") {
+    path.push(error.params.missingProperty);
+  }
+
+  let message = error.message;
+  if (error.keyword === "enum") {
+    message = `must be one of: ${error.params.allowedValues.join(", ")}`;
+  } else if (error.keyword === "required") {
+    message = "is required";
+  }
+  return { field: path.join("."), message };
+}
+
+/**
+ * Validates tool arguments against the tool's JSON Schema parameters and
+ * returns a coerced copy. The caller's object is left untouched.
+ * @param {Object} tool - Tool object with a `definition.function` block
+ * @param {Object} [args] - Arguments supplied by the client
+ * @returns {Object} Validated and coerced arguments
+ * @throws {ToolArgumentsError} When the arguments do not match the schema
+ */
+export function validateToolArguments(tool, args) {
+  const { name, parameters } = tool.definition.function;
+  if (args === undefined || args === null) {
+    args = {};
+  }
+  if (typeof args !== "object" || Array.isArray(args)) {
+    throw new ToolArgumentsError(name, [
+      { field: "", message: "arguments must be an object" },
+    ]);
+  }
+  if (!parameters) {
+    return args;
+  }
+
+  const coerced = structuredClone(args);
+  const validate = getValidator(parameters);
+  if (!validate(coerced)) {
+    throw new ToolArgumentsError(name, validate.errors.map(formatError));
+  }
+  return coerced;
+}
+
+/**
+ * Checks that a JSON Schema compiles, without validating any data
+ * @param {Object} schema - JSON Schema
+ * @returns {string|undefined} The compile error, if any
+ */
+export function getSchemaError(schema) {
+  try {
+    getValidator(schema);
+    return undefined;
+  } catch (error) {
+    return error.message;
+  }
+}
@@ -9,11 +9,49 @@ import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { discoverTools } from "./lib/tools.js";
+import { discoverTools, groupToolsByCollection, runTool, watchTools } from "./lib/tools.js";
+import { validateAmadeusConfig } from "./lib/config.js";
+import {
+  httpStatusForError,
+  serializeError,
+  ToolArgumentsError,
+} from "./lib/errors.js";
+import { validateToolArguments } from "./lib/validation.js";
+import { discoverPrompts, renderPrompt } from "./lib/prompts.js";
+import { buildOpenApiDocument, renderDocsPage } from "./lib/openapi.js";
+import { registerStreamableHttpRoutes } from "./lib/streamableHttp.js";
+import { startMockAmadeus } from "./lib/mockAmadeus.js";
+import { isDryRun } from "./lib/booking.js";
+import { clearSession } from "./lib/offerStore.js";
+import { clearOrders, onOrderChange } from "./lib/orderStore.js";
+import { listResources, orderUri, readResource, RESOURCE_TEMPLATES } from "./lib/resources.js";
+import { installFixtureRecorder } from "./lib/fixtureRecorder.js";
+import { isLedgerEnabled } from "./lib/ledger.js";
+import { clearCache } from "./lib/responseCache.js";
+import { createRateLimitMiddleware } from "./lib/rateLimit.js";
+import { gauge, renderMetrics } from "./lib/metrics.js";
+import { checkReadiness } from "./lib/health.js";
+import { getCorrelationId, logger, runWithContext } from "./lib/logger.js";
+import {
+  auditLog,
+  createAuthMiddleware,
+  isAdmin,
+  isSessionOwner,
+  isToolAllowed,
+  loadAuthConfig,
+} from "./lib/accessControl.js";
 
+import { randomUUID } from "crypto";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -23,6 +61,10 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, ".env") });
 
 const SERVER_NAME = "generated-mcp-server";
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const STDIO_SESSION_ID = "stdio";
+// Not in the SDK's ErrorCode enum; defined by the MCP specification
+const RESOURCE_NOT_FOUND = -32002;
 
 async function transformTools(tools) {
   return tools
@@ -33,92 +75,348 @@ async function transformTools(tools) {
         name: definitionFunction.name,
         description: definitionFunction.description,
         inputSchema: definitionFunction.parameters,
+        ...(definitionFunction.outputSchema && {
+          outputSchema: definitionFunction.outputSchema,
+        }),
       };
     })
     .filter(Boolean);
 }
 
-async function setupServerHandlers(server, tools) {
+function setupPromptHandlers(server, prompts) {
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: prompts.map(({ name, description, arguments: promptArguments }) => ({
+      name,
+      description,
+      arguments: promptArguments.map((argument) => ({
+        name: argument.name,
+        description: argument.description,
+        required: argument.required === true,
+      })),
+    })),
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const prompt = prompts.find((p) => p.name === request.params.name);
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${request.params.name}`);
+    }
+    let text;
+    try {
+      text = renderPrompt(prompt, request.params.arguments);
+    } catch (error) {
+      if (error instanceof ToolArgumentsError) {
+        throw new McpError(ErrorCode.InvalidParams, error.message, {
+          errors: error.errors,
+        });
+      }
+      throw error;
+    }
+    return {
+      description: prompt.description,
+      messages: [{ role: "user", content: { type: "text", text } }],
+    };
+  });
+}
+
+/**
+ * Serves the resources of lib/resources.js and sends
+ * notifications/resources/updated when a subscribed order changes
+ */
+function setupResourceHandlers(server, tools, principal) {
+  const allowedTools = () =>
+    tools.filter((t) => isToolAllowed(principal, t.definition.function.name));
+  // uri -> session that subscribed; a server instance serves a single session
+  const subscriptions = new Map();
+
+  server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => ({
+    resources: listResources(extra.sessionId ?? STDIO_SESSION_ID),
+  }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: RESOURCE_TEMPLATES,
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    const { uri } = request.params;
+    const content = readResource(uri, extra.sessionId ?? STDIO_SESSION_ID, {
+      tools: allowedTools(),
+    });
+    if (content === undefined) {
+      throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+    return {
+      contents: [
+        { uri, mimeType: "application/json", text: JSON.stringify(content, null, 2) },
+      ],
+    };
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+    subscriptions.set(request.params.uri, extra.sessionId ?? STDIO_SESSION_ID);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  const unsubscribe = onOrderChange(({ sessionId, orderId }) => {
+    const uri = orderUri(orderId);
+    if (subscriptions.get(uri) !== sessionId) return;
+    server.sendResourceUpdated({ uri }).catch((error) => {
+      logger.warn("Could not send resource update", { uri, error });
+    });
+  });
+  const onclose = server.onclose;
+  server.onclose = () => {
+    unsubscribe();
+    onclose?.();
+  };
+}
+
+async function setupServerHandlers(server, tools, principal) {
   server.setRequestHandler(ListToolsRequestSchema, async () => ({
-    tools: await transformTools(tools),
+    tools: await transformTools(
+      tools.filter((t) => isToolAllowed(principal, t.definition.function.name))
+    ),
   }));
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const toolName = request.params.name;
     const tool = tools.find((t) => t.definition.function.name === toolName);
     if (!tool) {
       throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${toolName}`);
     }
-    const args = request.params.arguments;
-    const requiredParameters =
-      tool.definition?.function?.parameters?.required || [];
-    for (const requiredParameter of requiredParameters) {
-      if (!(requiredParameter in args)) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          `Missing required parameter: ${requiredParameter}`
-        );
+    if (!isToolAllowed(principal, toolName)) {
+      auditLog("auth.tool_denied", null, { principal: principal.name, toolName });
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `Not authorized to call tool: ${toolName}`
+      );
+    }
+    let args;
+    try {
+      args = validateToolArguments(tool, request.params.arguments);
+    } catch (error) {
+      if (error instanceof ToolArgumentsError) {
+        throw new McpError(ErrorCode.InvalidParams, error.message, {
+          errors: error.errors,
+        });
       }
+      throw error;
     }
+    const correlationId = randomUUID();
     try {
-      const result = await tool.function(args);
+      const result = await runTool(tool, args, {
+        sessionId: extra.sessionId ?? STDIO_SESSION_ID,
+        correlationId,
+        principal: principal?.name,
+      });
       return {
+        _meta: { correlationId },
         content: [
           {
             type: "text",
             text: JSON.stringify(result, null, 2),
           },
         ],
+        // Tools that declare an output schema also return structured content
+        ...(tool.definition.function.outputSchema && {
+          structuredContent: result,
+        }),
       };
     } catch (error) {
-      console.error("[Error] Failed to fetch data:", error);
-      throw new McpError(
-        ErrorCode.InternalError,
-        `API error: ${error.message}`
-      );
+      // Tool failures are reported in the result so the model can see them
+      return {
+        _meta: { correlationId },
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(serializeError(error), null, 2),
+          },
+        ],
+        isError: true,
+      };
     }
   });
 }
 
+/**
+ * REST calls share an offer store per API key, or per X-Session-Id header
+ * when the client sends one
+ */
+function restSessionId(req) {
+  const principal = req.principal?.name ?? "anonymous";
+  const sessionId = req.get("X-Session-Id");
+  return sessionId ? `rest:${principal}:${sessionId}` : `rest:${principal}`;
+}
+
+async function createServer(tools, principal = null, { listChanged = false, prompts = [] } = {}) {
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: "0.1.0",
+    },
+    {
+      capabilities: {
+        tools: listChanged ? { listChanged: true } : {},
+        prompts: {},
+        resources: { subscribe: true },
+      },
+    }
+  );
+  server.onerror = (error) => logger.error("MCP server error", { error });
+  await setupServerHandlers(server, tools, principal);
+  setupPromptHandlers(server, prompts);
+  setupResourceHandlers(server, tools, principal);
+  return server;
+}
+
+/**
+ * Drops the offers and orders kept for a session that has ended
+ */
+function clearSessionState(sessionId) {
+  clearSession(sessionId);
+  clearOrders(sessionId);
+}
+
 async function run() {
   const args = process.argv.slice(2);
   const isSSE = args.includes("--sse");
+  const isStreamableHttp = args.includes("--http");
+  if (args.includes("--dry-run")) {
+    process.env.AMADEUS_DRY_RUN = "true";
+  }
+
+  // Throws on an invalid LEDGER_BACKEND now rather than after a booking
+  isLedgerEnabled();
+
+  // Offline development: serve Amadeus from the bundled mock and/or fixtures
+  if (args.includes("--mock")) {
+    const mock = await startMockAmadeus({
+      port: Number(process.env.MOCK_AMADEUS_PORT) || 0,
+    });
+    process.env.AMADEUS_BASE_URL = mock.url;
+    logger.info("Amadeus mock API running", { url: mock.url });
+  }
+  if (args.includes("--mock") || process.env.AMADEUS_FIXTURES === "replay") {
+    process.env.AMADEUS_CLIENT_ID ||= "mock-client-id";
+    process.env.AMADEUS_CLIENT_SECRET ||= "mock-client-secret";
+  }
+  if (process.env.AMADEUS_FIXTURES) {
+    installFixtureRecorder({
+      mode: process.env.AMADEUS_FIXTURES,
+      dir: path.resolve(
+        __dirname,
+        process.env.AMADEUS_FIXTURES_DIR || "fixtures/recorded"
+      ),
+    });
+  }
+
+  const amadeusConfig = validateAmadeusConfig();
   const tools = await discoverTools();
+  const prompts = discoverPrompts();
 
-  if (isSSE) {
+  if (isSSE || isStreamableHttp) {
     const app = express();
     const transports = {};
     const servers = {};
+    const owners = {};
+    const watchEnabled = process.env.MCP_WATCH_TOOLS !== "false";
+    const authConfig = loadAuthConfig();
+    if (authConfig.keys.length === 0) {
+      logger.warn("No API keys configured; HTTP endpoints are unauthenticated");
+    }
 
     // Add middleware
-    app.use(cors());
+    app.use(cors({ origin: authConfig.corsOrigins }));
     app.use(express.json());
+
+    // Tag every request with a correlation ID, taken from the client when it sends one
+    app.use((req, res, next) => {
+      const requested = req.get("X-Correlation-Id");
+      const correlationId = CORRELATION_ID_PATTERN.test(requested ?? "")
+        ? requested
+        : randomUUID();
+      res.set("X-Correlation-Id", correlationId);
+      runWithContext({ correlationId }, next);
+    });
+    app.use(createAuthMiddleware(authConfig, { publicPaths: ["/", "/health", "/ready"] }));
+
+    // Per-client limit on the routes that run tools
+    const rateLimit = createRateLimitMiddleware({
+      requestsPerMinute: Number(process.env.RATE_LIMIT_PER_MINUTE ?? 60),
+      burst: Number(process.env.RATE_LIMIT_BURST) || undefined,
+    });
     
-    // Health check endpoint
+    const activeSessions = () => ({
+      sse: Object.keys(servers).length,
+      streamableHttp: streamableHttp?.sessions.size ?? 0,
+    });
+    gauge("mcp_active_sessions", "Open MCP sessions by transport", () =>
+      Object.entries(activeSessions()).map(([transport, value]) => ({
+        labels: { transport },
+        value,
+      }))
+    );
+
+    // Liveness: the process is up and serving requests
     app.get("/health", (req, res) => {
-      res.json({ status: "ok", message: "MCP Server is running" });
+      res.json({
+        status: "ok",
+        message: "MCP Server is running",
+        uptimeSeconds: Math.round(process.uptime()),
+        environment: amadeusConfig.name,
+        tools: tools.length,
+        sessions: activeSessions(),
+      });
+    });
+
+    // Readiness: credentials are set and Amadeus hands out a token
+    app.get("/ready", async (req, res) => {
+      const { ready, checks } = await checkReadiness();
+      res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not_ready", checks });
+    });
+
+    // Prometheus scrape endpoint
+    app.get("/metrics", (req, res) => {
+      res.type("text/plain; version=0.0.4").send(renderMetrics());
     });
 
     // Root endpoint
     app.get("/", (req, res) => {
       res.json({ 
         message: "Amadeus MCP Server",
-        endpoints: ["/health", "/sse", "/messages", "/api/call-tool", "/api/tools"],
-        availableTools: tools.map(t => t.definition.function.name)
+        environment: {
+          name: amadeusConfig.name,
+          baseUrl: amadeusConfig.baseUrl,
+          dryRun: isDryRun(),
+        },
+        endpoints: [
+          "/health",
+          "/ready",
+          "/metrics",
+          ...(isStreamableHttp ? ["/mcp"] : []),
+          "/sse",
+          "/messages",
+          "/api/call-tool",
+          "/api/tools",
+          "/api/tools/:name",
+          "/openapi.json",
+          "/docs",
+          "/admin/cache",
+        ],
+        availableTools: tools.map(t => t.definition.function.name),
+        collections: groupToolsByCollection(tools),
+        availablePrompts: prompts.map((prompt) => prompt.name),
       });
     });
 
-    // REST endpoint for direct tool calls (for n8n integration)
-    app.post("/api/call-tool", async (req, res) => {
+    // Runs a tool for a REST request and writes the result or error
+    const callToolForRequest = async (req, res, toolName, rawArgs) => {
       try {
-        const { toolName, arguments: args } = req.body;
-        
-        if (!toolName) {
-          return res.status(400).json({ 
-            error: "Missing required field: toolName" 
-          });
-        }
-        
         // Find the requested tool
         const tool = tools.find(t => t.definition.function.name === toolName);
         if (!tool) {
@@ -127,104 +425,184 @@ async function run() {
             availableTools: tools.map(t => t.definition.function.name)
           });
         }
-        
-        // Validate required parameters
-        const requiredParams = tool.definition?.function?.parameters?.required || [];
-        for (const param of requiredParams) {
-          if (!(param in args)) {
-            return res.status(400).json({
-              error: `Missing required parameter: ${param}`,
-              requiredParameters: requiredParams
-            });
-          }
+
+        if (!isToolAllowed(req.principal, toolName)) {
+          auditLog("auth.tool_denied", req, { principal: req.principal.name, toolName });
+          return res.status(403).json({
+            error: `Not authorized to call tool '${toolName}'`
+          });
         }
         
+        // Validate and coerce arguments against the tool's JSON Schema
+        const args = validateToolArguments(tool, rawArgs);
+        
         // Execute the tool
-        console.log(`Executing tool: ${toolName}`, args);
-        const result = await tool.function(args);
+        const result = await runTool(tool, args, {
+          sessionId: restSessionId(req),
+          correlationId: getCorrelationId(),
+          principal: req.principal?.name,
+        });
         res.json(result);
       } catch (error) {
-        console.error("Tool execution error:", error);
-        res.status(500).json({ 
-          error: error.message,
+        res.status(httpStatusForError(error)).json({
+          ...serializeError(error),
           stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
         });
       }
+    };
+
+    // REST endpoint for direct tool calls (for n8n integration)
+    app.post("/api/call-tool", rateLimit, async (req, res) => {
+      const { toolName, arguments: rawArgs } = req.body ?? {};
+      
+      if (!toolName) {
+        return res.status(400).json({ 
+          error: "Missing required field: toolName" 
+        });
+      }
+      await callToolForRequest(req, res, toolName, rawArgs);
+    });
+
+    // Per-tool REST endpoint: the request body holds the tool arguments
+    app.post("/api/tools/:name", rateLimit, async (req, res) => {
+      await callToolForRequest(req, res, req.params.name, req.body);
+    });
+
+    // OpenAPI description of the REST API, limited to the caller's tools
+    const openApiDocument = (req) =>
+      buildOpenApiDocument(
+        tools.filter(tool => isToolAllowed(req.principal, tool.definition.function.name)),
+        {
+          serverUrl: `${req.protocol}://${req.get("host")}`,
+          authEnabled: authConfig.keys.length > 0,
+        }
+      );
+
+    app.get("/openapi.json", (req, res) => {
+      res.json(openApiDocument(req));
+    });
+
+    app.get("/docs", (req, res) => {
+      res.type("html").send(renderDocsPage(openApiDocument(req)));
     });
 
     // List available tools endpoint
     app.get("/api/tools", async (req, res) => {
-      const toolList = tools.map(tool => ({
-        name: tool.definition.function.name,
-        description: tool.definition.function.description,
-        parameters: tool.definition.function.parameters
-      }));
+      const toolList = tools
+        .filter(tool => isToolAllowed(req.principal, tool.definition.function.name))
+        .map(tool => ({
+          name: tool.definition.function.name,
+          description: tool.definition.function.description,
+          parameters: tool.definition.function.parameters
+        }));
       res.json({ tools: toolList });
     });
 
-    // SSE endpoint for MCP protocol
-    app.get("/sse", async (_req, res) => {
-      // Create a new Server instance for each session
-      const server = new Server(
-        {
-          name: SERVER_NAME,
-          version: "0.1.0",
-        },
+    // Clear the response cache, optionally for a single tool (?tool=name)
+    app.delete("/admin/cache", async (req, res) => {
+      if (!isAdmin(req.principal)) {
+        auditLog("auth.admin_denied", req, { principal: req.principal?.name });
+        return res.status(403).json({
+          error: req.principal
+            ? "Admin access required"
+            : 'Admin endpoints need an API key with "admin": true in MCP_API_KEYS or MCP_AUTH_CONFIG',
+        });
+      }
+      const removed = await clearCache(req.query.tool);
+      auditLog("admin.cache_cleared", req, {
+        principal: req.principal?.name,
+        tool: req.query.tool,
+        removed,
+      });
+      res.json({ removed });
+    });
+
+    // Streamable HTTP endpoint for MCP protocol
+    let streamableHttp;
+    if (isStreamableHttp) {
+      app.post("/mcp", rateLimit);
+      streamableHttp = registerStreamableHttpRoutes(
+        app,
+        (principal) => createServer(tools, principal, { listChanged: watchEnabled, prompts }),
         {
-          capabilities: {
-            tools: {},
-          },
+          sessionTtlMs: Number(process.env.MCP_SESSION_TTL_MS) || undefined,
+          onSessionClosed: clearSessionState,
         }
       );
-      server.onerror = (error) => console.error("[Error]", error);
-      await setupServerHandlers(server, tools);
+    }
+
+    // SSE endpoint for MCP protocol (deprecated transport)
+    app.get("/sse", async (req, res) => {
+      // Create a new Server instance for each session
+      const server = await createServer(tools, req.principal, {
+        listChanged: watchEnabled,
+        prompts,
+      });
 
       const transport = new SSEServerTransport("/messages", res);
       transports[transport.sessionId] = transport;
       servers[transport.sessionId] = server;
+      owners[transport.sessionId] = req.principal;
 
       res.on("close", async () => {
         delete transports[transport.sessionId];
         await server.close();
         delete servers[transport.sessionId];
+        delete owners[transport.sessionId];
+        clearSessionState(transport.sessionId);
       });
 
       await server.connect(transport);
     });
 
     // Messages endpoint for MCP protocol
-    app.post("/messages", async (req, res) => {
+    app.post("/messages", rateLimit, async (req, res) => {
       const sessionId = req.query.sessionId;
       const transport = transports[sessionId];
       const server = servers[sessionId];
 
       if (transport && server) {
-        await transport.handlePostMessage(req, res);
+        if (!isSessionOwner(owners[sessionId], req.principal)) {
+          auditLog("auth.session_mismatch", req, { sessionId });
+          return res.status(403).send("Session belongs to another client");
+        }
+        await transport.handlePostMessage(req, res, req.body);
       } else {
         res.status(400).send("No transport/server found for sessionId");
       }
     });
 
+    // Hot-reload tools and tell connected sessions to re-fetch the list
+    if (watchEnabled) {
+      watchTools(tools, {
+        onChange: (changes) => {
+          logger.info("Tools reloaded", changes);
+          const sessionServers = [
+            ...Object.values(servers),
+            ...[...(streamableHttp?.sessions.values() ?? [])].map(
+              (session) => session.server
+            ),
+          ];
+          for (const server of sessionServers) {
+            server.sendToolListChanged().catch((error) =>
+              logger.error("Failed to notify tool list change", { error })
+            );
+          }
+        },
+      });
+    }
+
     const port = process.env.PORT || 3001;
     app.listen(port, '0.0.0.0', () => {
-      console.log(`[SSE Server] running on port ${port}`);
-      console.log(`REST API available at http://0.0.0.0:${port}/api/call-tool`);
+      logger.info(`HTTP server running on port ${port}`, {
+        sse: `http://0.0.0.0:${port}/sse`,
+        ...(isStreamableHttp && { streamableHttp: `http://0.0.0.0:${port}/mcp` }),
+        rest: `http://0.0.0.0:${port}/api/call-tool`,
+      });
     });
   } else {
     // stdio mode: single server instance
-    const server = new Server(
-      {
-        name: SERVER_NAME,
-        version: "0.1.0",
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
-    server.onerror = (error) => console.error("[Error]", error);
-    await setupServerHandlers(server, tools);
+    const server = await createServer(tools, null, { prompts });
 
     process.on("SIGINT", async () => {
       await server.close();
@@ -236,4 +614,7 @@ async function run() {
   }
 }
 
-run().catch(console.error);
\ No newline at end of file
+run().catch((error) => {
+  logger.error("Server failed to start", { error });
+  process.exitCode = 1;
+});
\ No newline at end of file
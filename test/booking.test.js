@@ -0,0 +1,111 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+import { discoverTools } from "../lib/tools.js";
+import { CONTACTS, SEARCH_ARGS, TRAVELERS } from "./helpers.js";
+
+describe("create_flight_order guardrails", () => {
+  let mock;
+  let tools;
+  let pricedOffers;
+
+  const callTool = (name, args, context) =>
+    tools.find((tool) => tool.definition.function.name === name).function(args, context);
+
+  before(async () => {
+    mock = await startMockAmadeus();
+    process.env.AMADEUS_BASE_URL = mock.url;
+    process.env.AMADEUS_CLIENT_ID = "test-client";
+    process.env.AMADEUS_CLIENT_SECRET = "test-secret";
+    process.env.LEDGER_BACKEND = "off";
+    tools = await discoverTools();
+
+    const search = await callTool("search_flight_offers", SEARCH_ARGS);
+    const pricing = await callTool("get_flight_offers_pricing", {
+      flightOfferData: [search.data[0]],
+    });
+    pricedOffers = pricing.data.flightOffers;
+  });
+
+  beforeEach(() => {
+    delete process.env.AMADEUS_DRY_RUN;
+    delete process.env.AMADEUS_BOOKING_REMARK;
+  });
+
+  after(async () => {
+    delete process.env.AMADEUS_BASE_URL;
+    await mock.close();
+  });
+
+  const requestConfirmation = (extra = {}) =>
+    callTool("create_flight_order", {
+      flightOfferPriceData: pricedOffers,
+      travelers: TRAVELERS,
+      contacts: CONTACTS,
+      ...extra,
+    });
+
+  it("books only with a single-use confirmation token", async () => {
+    process.env.AMADEUS_BOOKING_REMARK = "BOOKED VIA MCP";
+    const confirmation = await requestConfirmation();
+    assert.equal(confirmation.status, "confirmation_required");
+    assert.deepEqual(confirmation.summary.remarks, ["BOOKED VIA MCP"]);
+
+    const order = await callTool("create_flight_order", {
+      confirmationToken: confirmation.confirmationToken,
+    });
+    assert.equal(order.data.type, "flight-order");
+    assert.deepEqual(order.data.ticketingAgreement, {
+      option: "DELAY_TO_CANCEL",
+      delay: "6D",
+    });
+
+    await assert.rejects(
+      callTool("create_flight_order", {
+        confirmationToken: confirmation.confirmationToken,
+      }),
+      /confirmationToken is unknown, already used or expired/
+    );
+  });
+
+  it("accepts a confirmation token only from the session and key that asked for it", async () => {
+    const owner = { sessionId: "rest:ops", principal: "ops" };
+    const { confirmationToken } = await callTool(
+      "create_flight_order",
+      { flightOfferPriceData: pricedOffers, travelers: TRAVELERS, contacts: CONTACTS },
+      owner
+    );
+    const confirm = (context) => callTool("create_flight_order", { confirmationToken }, context);
+
+    for (const context of [
+      { sessionId: "rest:n8n", principal: "n8n" },
+      { sessionId: "rest:ops:other", principal: "ops" },
+      { sessionId: "rest:ops", principal: "n8n" },
+    ]) {
+      await assert.rejects(confirm(context), /confirmationToken is unknown, already used or expired/);
+    }
+    // Failed attempts do not use the token up
+    assert.equal((await confirm(owner)).data.type, "flight-order");
+  });
+
+  it("simulates the order in dry-run mode", async () => {
+    process.env.AMADEUS_DRY_RUN = "true";
+    const confirmation = await requestConfirmation({
+      ticketingAgreement: { option: "CONFIRM" },
+    });
+    assert.equal(confirmation.dryRun, true);
+
+    const result = await callTool("create_flight_order", {
+      confirmationToken: confirmation.confirmationToken,
+    });
+    assert.equal(result.status, "dry_run");
+    assert.deepEqual(result.request.data.ticketingAgreement, { option: "CONFIRM" });
+  });
+
+  it("rejects travelers that do not match the priced offer", async () => {
+    await assert.rejects(
+      requestConfirmation({ travelers: [{ ...TRAVELERS[0], id: "2" }] }),
+      /travelers.0.id has no traveler pricing in the priced offer/
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ROOT_DIR, serverEnv } from "./helpers.js";
+
+function runCli(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [path.join(ROOT_DIR, "index.js"), ...args],
+      { env: serverEnv(env), timeout: 20000 },
+      (error, stdout, stderr) => resolve({ code: error?.code ?? 0, stdout, stderr })
+    );
+  });
+}
+
+const ECHO_TOOL = `export const apiTool = {
+  function: async (args) => ({ echoed: args }),
+  definition: {
+    type: 'function',
+    function: {
+      name: 'echo',
+      description: 'Echo the arguments',
+      parameters: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', description: 'A number' },
+          tags: { type: 'array', description: 'Tags' }
+        },
+        required: ['count']
+      }
+    }
+  }
+};
+`;
+
+describe("tools CLI", () => {
+  let dir;
+  let env;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-cli-tools-"));
+    fs.mkdirSync(path.join(dir, "ws", "col"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "ws", "col", "echo.js"), ECHO_TOOL);
+    fs.writeFileSync(path.join(dir, "ws", "col", "broken.js"), "export const apiTool = {};");
+    env = { MCP_TOOLS_DIR: dir };
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("lists tools as JSON and groups by workspace and collection", async () => {
+    const json = await runCli(["tools", "list", "--json"], env);
+    assert.deepEqual(
+      JSON.parse(json.stdout).map((tool) => [tool.name, tool.path, tool.collection]),
+      [["echo", "ws/col/echo.js", "col"]]
+    );
+
+    const text = await runCli(["tools"], env);
+    assert.match(text.stdout, /Workspace: ws\n {2}Collection: col\n {4}echo/);
+  });
+
+  it("calls a tool through argument validation", async () => {
+    const argsFile = path.join(dir, "args.json");
+    fs.writeFileSync(argsFile, JSON.stringify({ tags: ["a"] }));
+    const ok = await runCli(["tools", "call", "echo", "--args", argsFile, "-a", "count=2"], env);
+    assert.equal(ok.code, 0);
+    assert.deepEqual(JSON.parse(ok.stdout), { echoed: { tags: ["a"], count: 2 } });
+
+    const invalid = await runCli(["tools", "call", "echo", "-a", "count=two"], env);
+    assert.equal(invalid.code, 1);
+    // stderr also carries the report about broken.js
+    const report = invalid.stderr.slice(invalid.stderr.indexOf('{\n  "error"'));
+    assert.deepEqual(JSON.parse(report).error.errors, [
+      { field: "count", message: "must be integer" },
+    ]);
+  });
+
+  it("reports broken modules and lint warnings", async () => {
+    const { code, stdout } = await runCli(["tools", "validate", "--json"], env);
+    assert.equal(code, 1);
+    const { tools, problems } = JSON.parse(stdout);
+    assert.equal(tools, 1);
+    assert.deepEqual(
+      problems.map(({ path: toolPath, level, messages }) => [toolPath, level, messages[0]]),
+      [
+        ["ws/col/broken.js", "error", "apiTool.function must be a function"],
+        ["ws/col/echo.js", "warning", 'parameters.tags is an array without "items"'],
+      ]
+    );
+  });
+});
+
+describe("ledger CLI", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-cli-ledger-"));
+    const booking = (orderId, status, createdAt) => ({
+      orderId,
+      kind: "flight-order",
+      reference: orderId.slice(0, 6),
+      status,
+      travelers: ["JORGE GONZALES"],
+      description: "MAD-ATH 2026-12-01",
+      total: "546.70",
+      currency: "EUR",
+      createdAt,
+      updatedAt: createdAt,
+    });
+    fs.writeFileSync(
+      path.join(dir, "bookings.json"),
+      JSON.stringify([
+        booking("ORDER1", "cancelled", "2026-10-01T10:00:00.000Z"),
+        booking("ORDER2", "active", "2026-10-15T10:00:00.000Z"),
+      ])
+    );
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("exports the ledger as CSV, oldest first", async () => {
+    const env = { LEDGER_DIR: dir };
+    const all = await runCli(["ledger", "export"], env);
+    assert.equal(all.code, 0);
+    assert.deepEqual(
+      all.stdout.trimEnd().split("\r\n").map((line) => line.split(",")[2]),
+      ["orderId", "ORDER1", "ORDER2"]
+    );
+
+    const output = path.join(dir, "active.csv");
+    const active = await runCli(["ledger", "export", "--status", "active", "--since", "2026-10-10", "-o", output], env);
+    assert.match(active.stderr, /Exported 1 bookings/);
+    assert.match(fs.readFileSync(output, "utf8"), /ORDER2,flight-order,ORDER2,active,JORGE GONZALES/);
+  });
+});
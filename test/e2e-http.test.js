@@ -0,0 +1,237 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Ajv from "ajv";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { SEARCH_ARGS, startHttpServer } from "./helpers.js";
+
+describe("HTTP transports against the built-in mock", () => {
+  let server;
+
+  before(async () => {
+    server = await startHttpServer(["--http", "--mock"]);
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  it("serves tools over Streamable HTTP", async () => {
+    const client = new Client({ name: "e2e-http", version: "1.0.0" });
+    const transport = new StreamableHTTPClientTransport(
+      new URL(`${server.url}/mcp`)
+    );
+    await client.connect(transport);
+    assert.ok(transport.sessionId);
+
+    const result = await client.callTool({
+      name: "search_flight_offers",
+      arguments: SEARCH_ARGS,
+    });
+    assert.equal(JSON.parse(result.content[0].text).data.length, 3);
+
+    await transport.terminateSession();
+    await client.close();
+  });
+
+  it("serves tools over SSE", async () => {
+    const client = new Client({ name: "e2e-sse", version: "1.0.0" });
+    await client.connect(new SSEClientTransport(new URL(`${server.url}/sse`)));
+    const { tools } = await client.listTools();
+    assert.ok(tools.some((tool) => tool.name === "search_flight_offers"));
+    await client.close();
+  });
+
+  it("calls tools through the REST API", async () => {
+    const response = await fetch(`${server.url}/api/call-tool`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Correlation-Id": "e2e-rest-1" },
+      body: JSON.stringify({
+        toolName: "search_flight_offers",
+        arguments: { ...SEARCH_ARGS, max: 1 },
+      }),
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("x-correlation-id"), "e2e-rest-1");
+    assert.equal((await response.json()).data.length, 1);
+  });
+
+  it("maps Amadeus errors to HTTP statuses", async () => {
+    const response = await fetch(`${server.url}/api/call-tool`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        toolName: "search_flight_offers",
+        arguments: { ...SEARCH_ARGS, departureDate: "2020-01-01" },
+      }),
+    });
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.equal(error.errors[0].title, "INVALID DATE");
+  });
+
+  it("calls tools through per-tool REST routes", async () => {
+    const response = await fetch(`${server.url}/api/tools/search_flight_offers`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...SEARCH_ARGS, max: 2, format: "summary" }),
+    });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).offers.length, 2);
+
+    const missing = await fetch(`${server.url}/api/tools/no_such_tool`, {
+      method: "POST",
+    });
+    assert.equal(missing.status, 404);
+  });
+
+  it("lists the tools of each collection", async () => {
+    const index = await (await fetch(`${server.url}/`)).json();
+    assert.ok(index.collections["amadeus-for-developers"].includes("search_flight_offers"));
+    assert.deepEqual(index.collections["amadeus-hotels"].sort(), [
+      "create_hotel_order",
+      "get_hotel_offer",
+      "list_hotels",
+      "search_hotel_offers",
+    ]);
+  });
+
+  it("describes the REST API with OpenAPI", async () => {
+    const document = await (await fetch(`${server.url}/openapi.json`)).json();
+    assert.equal(document.openapi, "3.1.0");
+    assert.equal(document.servers[0].url, server.url);
+
+    const { tools } = await (await fetch(`${server.url}/api/tools`)).json();
+    const search = tools.find((tool) => tool.name === "search_flight_offers");
+    const operation = document.paths["/api/tools/search_flight_offers"].post;
+    assert.equal(operation.operationId, "search_flight_offers");
+    assert.deepEqual(
+      operation.requestBody.content["application/json"].schema,
+      search.parameters
+    );
+    assert.ok(operation.responses["200"].content["application/json"].schema.properties.offers);
+
+    const docs = await fetch(`${server.url}/docs`);
+    assert.match(docs.headers.get("content-type"), /text\/html/);
+    assert.match(await docs.text(), /\/api\/tools\/search_flight_offers/);
+  });
+
+  it("reports cache hits and refuses the admin endpoint without authentication", async () => {
+    const search = (args) =>
+      fetch(`${server.url}/api/tools/search_flight_offers`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...SEARCH_ARGS, max: 3, ...args }),
+      }).then((response) => response.json());
+
+    assert.equal((await search()).meta.cache.status, "miss");
+    assert.equal((await search({ format: "summary" })).meta.cache.status, "hit");
+    assert.equal((await search({ bypassCache: true })).meta.cache.status, "bypass");
+
+    const response = await fetch(`${server.url}/admin/cache?tool=search_flight_offers`, {
+      method: "DELETE",
+    });
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).error, /"admin": true/);
+    assert.equal((await search()).meta.cache.status, "hit");
+  });
+
+  it("reports health, readiness and Prometheus metrics", async () => {
+    const health = await (await fetch(`${server.url}/health`)).json();
+    assert.equal(health.status, "ok");
+    assert.ok(health.tools > 0);
+
+    const ready = await fetch(`${server.url}/ready`);
+    assert.equal(ready.status, 200);
+    assert.equal((await ready.json()).checks.token.ok, true);
+
+    const response = await fetch(`${server.url}/metrics`);
+    assert.match(response.headers.get("content-type"), /text\/plain/);
+    const text = await response.text();
+    assert.match(text, /^mcp_tool_calls_total\{tool="search_flight_offers",outcome="success"\} \d+$/m);
+    assert.match(
+      text,
+      /^mcp_tool_errors_total\{tool="search_flight_offers",type="amadeus_api_error",status="400"\} \d+$/m
+    );
+    assert.match(text, /^mcp_tool_call_duration_seconds_count\{tool="search_flight_offers"\} \d+$/m);
+    assert.match(text, /^mcp_cache_lookups_total\{tool="search_flight_offers",status="hit"\} \d+$/m);
+    assert.match(text, /^mcp_active_sessions\{transport="sse"\} \d+$/m);
+    assert.match(text, /^amadeus_http_responses_total\{method="GET",status="200"\} \d+$/m);
+  });
+});
+
+describe("REST error responses", () => {
+  let server;
+  let document;
+
+  const ajv = new Ajv({ strict: false });
+
+  // Checks a live response body against the schema the OpenAPI document declares for it
+  const assertMatchesSpec = async (response, path, status) => {
+    assert.equal(response.status, status);
+    const body = await response.json();
+    const { schema } = document.paths[path].post.responses[status].content["application/json"];
+    const validate = ajv.compile({ allOf: [schema], components: document.components });
+    assert.ok(validate(body), `${status} ${JSON.stringify(body)}: ${ajv.errorsText(validate.errors)}`);
+    return body;
+  };
+
+  const post = (path, body, key) =>
+    fetch(`${server.url}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(key && { "X-API-Key": key }) },
+      body: JSON.stringify(body),
+    });
+
+  before(async () => {
+    server = await startHttpServer(["--http", "--mock"], {
+      MCP_API_KEYS: JSON.stringify([
+        { name: "full", key: "full-key" },
+        { name: "limited", key: "limited-key", tools: ["search_locations"] },
+        { name: "ops", key: "ops-key", admin: true },
+      ]),
+      RATE_LIMIT_PER_MINUTE: "1",
+      RATE_LIMIT_BURST: "3",
+    });
+    const response = await fetch(`${server.url}/openapi.json`, { headers: { "X-API-Key": "full-key" } });
+    document = await response.json();
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  it("sends the error bodies the OpenAPI document describes", async () => {
+    const route = "/api/tools/search_flight_offers";
+    await assertMatchesSpec(await post(route, SEARCH_ARGS), route, 401);
+    await assertMatchesSpec(await post(route, SEARCH_ARGS, "wrong-key"), route, 401);
+
+    const invalid = await assertMatchesSpec(await post(route, { adults: 1 }, "full-key"), route, 400);
+    assert.equal(invalid.error.type, "invalid_arguments");
+
+    await assertMatchesSpec(await post(route, SEARCH_ARGS, "limited-key"), route, 403);
+    const unknown = await assertMatchesSpec(await post("/api/tools/nope", {}, "limited-key"), route, 404);
+    assert.ok(unknown.availableTools.includes("search_locations"));
+    await assertMatchesSpec(await post("/api/call-tool", {}, "limited-key"), "/api/call-tool", 400);
+
+    const limited = await post(route, SEARCH_ARGS, "limited-key");
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+    await assertMatchesSpec(limited, route, 429);
+  });
+
+  it("clears the cache for admin keys only", async () => {
+    const route = "/api/tools/search_flight_offers";
+    const clear = (key) =>
+      fetch(`${server.url}/admin/cache?tool=search_flight_offers`, { method: "DELETE", headers: { "X-API-Key": key } });
+
+    assert.equal((await (await post(route, SEARCH_ARGS, "ops-key")).json()).meta.cache.status, "miss");
+    assert.equal((await clear("full-key")).status, 403);
+    assert.equal((await (await post(route, SEARCH_ARGS, "ops-key")).json()).meta.cache.status, "hit");
+
+    const response = await clear("ops-key");
+    assert.equal(response.status, 200);
+    assert.ok((await response.json()).removed >= 1);
+    assert.equal((await (await post(route, SEARCH_ARGS, "ops-key")).json()).meta.cache.status, "miss");
+  });
+});
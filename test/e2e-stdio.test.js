@@ -0,0 +1,266 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { ResourceUpdatedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+import {
+  CONTACTS,
+  SEARCH_ARGS,
+  SERVER_PATH,
+  TRAVELERS,
+  serverEnv,
+  tripDate,
+} from "./helpers.js";
+
+function parseResult(result) {
+  return JSON.parse(result.content[0].text);
+}
+
+describe("stdio transport against the mock Amadeus API", () => {
+  let mock;
+  let client;
+
+  before(async () => {
+    mock = await startMockAmadeus();
+    client = new Client({ name: "e2e-stdio", version: "1.0.0" });
+    await client.connect(
+      new StdioClientTransport({
+        command: process.execPath,
+        args: [SERVER_PATH],
+        env: serverEnv({
+          AMADEUS_BASE_URL: mock.url,
+          AMADEUS_CLIENT_ID: "test-client",
+          AMADEUS_CLIENT_SECRET: "test-secret",
+        }),
+        stderr: "ignore",
+      })
+    );
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+  });
+
+  it("lists the generated tools", async () => {
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map((tool) => tool.name).sort(), [
+      "cancel_flight_order",
+      "create_flight_order",
+      "create_hotel_order",
+      "delete_traveler_profile",
+      "get_flight_offer",
+      "get_flight_offers_pricing",
+      "get_flight_order",
+      "get_hotel_offer",
+      "get_seatmaps",
+      "list_bookings",
+      "list_hotels",
+      "list_traveler_profiles",
+      "request_access_token",
+      "save_traveler_profile",
+      "search_flight_dates",
+      "search_flight_destinations",
+      "search_flight_offers",
+      "search_flight_offers_advanced",
+      "search_flight_offers_batch",
+      "search_hotel_offers",
+      "search_locations",
+    ]);
+  });
+
+  it("searches, prices and books a flight", async () => {
+    const search = await client.callTool({
+      name: "search_flight_offers",
+      arguments: { ...SEARCH_ARGS, max: "2" },
+    });
+    assert.equal(search.isError, undefined);
+    const offers = parseResult(search).data;
+    assert.equal(offers.length, 2);
+
+    assert.match(offers[0].offerId, /^off_/);
+
+    const pricing = await client.callTool({
+      name: "get_flight_offers_pricing",
+      arguments: { offerIds: [offers[0].offerId] },
+    });
+    const priced = parseResult(pricing).data.flightOffers;
+    assert.equal(priced[0].id, offers[0].id);
+    assert.match(priced[0].offerId, /^prc_/);
+
+    const confirmation = parseResult(
+      await client.callTool({
+        name: "create_flight_order",
+        arguments: {
+          pricedOfferIds: [priced[0].offerId],
+          travelers: TRAVELERS,
+          contacts: CONTACTS,
+        },
+      })
+    );
+    assert.equal(confirmation.status, "confirmation_required");
+    assert.deepEqual(confirmation.summary.travelers, ["JORGE GONZALES"]);
+
+    const order = await client.callTool({
+      name: "create_flight_order",
+      arguments: { confirmationToken: confirmation.confirmationToken },
+    });
+    const { data } = parseResult(order);
+    assert.equal(data.type, "flight-order");
+    assert.equal(data.travelers[0].name.lastName, "GONZALES");
+  });
+
+  it("summarizes search results and keeps the full offer by reference", async () => {
+    const search = await client.callTool({
+      name: "search_flight_offers",
+      arguments: { ...SEARCH_ARGS, format: "summary" },
+    });
+    const [direct, connecting] = search.structuredContent.offers;
+    assert.deepEqual(
+      { ...connecting, itineraries: undefined },
+      {
+        offerId: connecting.offerId,
+        price: 154.2,
+        currency: "EUR",
+        totalDuration: "6h10m",
+        totalMinutes: 370,
+        stops: 1,
+        carriers: ["ITA AIRWAYS"],
+        seatsLeft: 9,
+        lastTicketingDate: tripDate(-11),
+        itineraries: undefined,
+      }
+    );
+    assert.deepEqual(connecting.itineraries[0].via, ["FCO"]);
+    assert.equal(direct.itineraries[0].flights[0].aircraft, "AIRBUS A320NEO");
+
+    const full = await client.callTool({
+      name: "get_flight_offer",
+      arguments: { offerId: connecting.offerId },
+    });
+    assert.equal(parseResult(full).itineraries[0].segments.length, 2);
+  });
+
+  it("explains unknown offer references", async () => {
+    const result = await client.callTool({
+      name: "get_flight_offers_pricing",
+      arguments: { offerIds: ["off_missing"] },
+    });
+    assert.equal(result.isError, true);
+    assert.match(
+      parseResult(result).error.message,
+      /offerIds.0 refers to unknown offer "off_missing"/
+    );
+  });
+
+  it("rejects invalid arguments before calling Amadeus", async () => {
+    await assert.rejects(
+      client.callTool({
+        name: "search_flight_offers",
+        arguments: { ...SEARCH_ARGS, departureDate: "01/12/2026" },
+      }),
+      /departureDate must match format "date"/
+    );
+  });
+
+  it("returns Amadeus errors with isError", async () => {
+    const result = await client.callTool({
+      name: "search_flight_offers",
+      arguments: { ...SEARCH_ARGS, departureDate: "2020-01-01" },
+    });
+    assert.equal(result.isError, true);
+    const { error } = parseResult(result);
+    assert.equal(error.type, "amadeus_api_error");
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.errors[0].source, { parameter: "departureDate" });
+    assert.equal(error.errors[0].code, 425);
+  });
+
+  it("serves the bundled prompt templates", async () => {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(prompts.map((prompt) => prompt.name), [
+      "book_round_trip",
+      "compare_offers",
+      "find_cheapest_dates",
+    ]);
+    const bookRoundTrip = prompts.find((prompt) => prompt.name === "book_round_trip");
+    assert.ok(bookRoundTrip.arguments.some((argument) => argument.name === "returnDate" && argument.required));
+
+    const { messages } = await client.getPrompt({
+      name: "book_round_trip",
+      arguments: { origin: "Madrid", destination: "Athens", departureDate: tripDate(), returnDate: tripDate(7) },
+    });
+    assert.equal(messages[0].role, "user");
+    assert.match(messages[0].content.text, /from Madrid to Athens/);
+    assert.match(messages[0].content.text, /`get_flight_offers_pricing`[\s\S]*`create_flight_order`/);
+
+    await assert.rejects(
+      client.getPrompt({ name: "book_round_trip", arguments: { origin: "Madrid" } }),
+      /destination is required/
+    );
+  });
+
+  it("exposes offers, orders and reference data as resources", async () => {
+    const { resourceTemplates } = await client.listResourceTemplates();
+    assert.deepEqual(resourceTemplates.map((template) => template.uriTemplate), [
+      "amadeus://offers/{offerId}",
+      "amadeus://orders/{orderId}",
+    ]);
+
+    const readJson = async (uri) => JSON.parse((await client.readResource({ uri })).contents[0].text);
+    assert.equal((await readJson("amadeus://reference/airlines")).IB, "IBERIA");
+    assert.equal((await readJson("amadeus://reference/airports")).ATH.cityCode, "ATH");
+    const catalogue = await readJson("amadeus://server/tools");
+    assert.equal(catalogue.find((tool) => tool.name === "list_hotels").collection, "amadeus-hotels");
+    assert.equal((await readJson("amadeus://server/config")).environment.custom, true);
+
+    const [offer] = parseResult(
+      await client.callTool({ name: "search_flight_offers", arguments: { ...SEARCH_ARGS, max: "1" } })
+    ).data;
+    const { resources } = await client.listResources();
+    const uris = resources.map((resource) => resource.uri);
+    assert.ok(uris.includes("amadeus://server/config"));
+    assert.ok(uris.includes(`amadeus://offers/${offer.offerId}`));
+    assert.equal((await readJson(`amadeus://offers/${offer.offerId}`)).offer.id, offer.id);
+
+    const [priced] = parseResult(
+      await client.callTool({ name: "get_flight_offers_pricing", arguments: { offerIds: [offer.offerId] } })
+    ).data.flightOffers;
+    const confirmation = parseResult(
+      await client.callTool({
+        name: "create_flight_order",
+        arguments: { pricedOfferIds: [priced.offerId], travelers: TRAVELERS, contacts: CONTACTS },
+      })
+    );
+    const { data: order } = parseResult(
+      await client.callTool({
+        name: "create_flight_order",
+        arguments: { confirmationToken: confirmation.confirmationToken },
+      })
+    );
+    const orderUri = `amadeus://orders/${encodeURIComponent(order.id)}`;
+    assert.equal((await readJson(orderUri)).status, "active");
+
+    const updated = new Promise((resolve) => {
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) =>
+        resolve(notification.params.uri)
+      );
+    });
+    await client.subscribeResource({ uri: orderUri });
+    const cancellation = parseResult(
+      await client.callTool({ name: "cancel_flight_order", arguments: { orderId: order.id } })
+    );
+    await client.callTool({
+      name: "cancel_flight_order",
+      arguments: { confirmationToken: cancellation.confirmationToken },
+    });
+    assert.equal(await updated, orderUri);
+    assert.equal((await readJson(orderUri)).status, "cancelled");
+
+    await assert.rejects(client.readResource({ uri: "amadeus://orders/UNKNOWN" }), (error) => {
+      assert.equal(error.code, -32002);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+import { installFixtureRecorder } from "../lib/fixtureRecorder.js";
+import { discoverTools } from "../lib/tools.js";
+import { invalidateAccessToken } from "../lib/auth.js";
+import { setCacheBackend } from "../lib/responseCache.js";
+import { CONTACTS, SEARCH_ARGS, TRAVELERS } from "./helpers.js";
+
+// offerIds are generated per call, so leave them out of comparisons
+function withoutOfferIds(result) {
+  return {
+    ...result,
+    data: result.data.map(({ offerId: _offerId, ...offer }) => offer),
+  };
+}
+
+describe("fixture recorder", () => {
+  let dir;
+  let tools;
+  let searchTool;
+
+  const callTool = (name, args) =>
+    tools.find((tool) => tool.definition.function.name === name).function(args);
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "amadeus-fixtures-"));
+    process.env.AMADEUS_CLIENT_ID = "test-client";
+    process.env.AMADEUS_CLIENT_SECRET = "test-secret";
+    // Every search must reach the recorder
+    setCacheBackend(null);
+    process.env.LEDGER_BACKEND = "off";
+    tools = await discoverTools();
+    searchTool = tools.find(
+      (tool) => tool.definition.function.name === "search_flight_offers"
+    );
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.AMADEUS_BASE_URL;
+    delete process.env.LEDGER_BACKEND;
+    setCacheBackend(undefined);
+  });
+
+  it("records responses and replays them without the backend", async () => {
+    const mock = await startMockAmadeus();
+    process.env.AMADEUS_BASE_URL = mock.url;
+    let restore = installFixtureRecorder({ mode: "record", dir });
+    const recorded = await searchTool.function(SEARCH_ARGS);
+    restore();
+    await mock.close();
+
+    const files = fs.readdirSync(dir);
+    assert.equal(files.length, 2);
+    const token = files.find((file) => file.includes("oauth2"));
+    const tokenFixture = JSON.parse(fs.readFileSync(path.join(dir, token), "utf8"));
+    assert.equal(tokenFixture.response.body.access_token, "recorded-access-token");
+
+    invalidateAccessToken();
+    restore = installFixtureRecorder({ mode: "replay", dir });
+    try {
+      const replayed = await searchTool.function(SEARCH_ARGS);
+      assert.deepEqual(withoutOfferIds(replayed), withoutOfferIds(recorded));
+      await assert.rejects(
+        searchTool.function({ ...SEARCH_ARGS, adults: 3 }),
+        /No recorded fixture for GET \/v2\/shopping\/flight-offers/
+      );
+    } finally {
+      restore();
+    }
+  });
+
+  it("redacts travelers' personal data from recorded orders", async () => {
+    const mock = await startMockAmadeus();
+    process.env.AMADEUS_BASE_URL = mock.url;
+    const orderDir = fs.mkdtempSync(path.join(dir, "orders-"));
+    const restore = installFixtureRecorder({ mode: "record", dir: orderDir });
+    try {
+      const search = await callTool("search_flight_offers", SEARCH_ARGS);
+      const pricing = await callTool("get_flight_offers_pricing", { offerIds: [search.data[0].offerId] });
+      const { confirmationToken } = await callTool("create_flight_order", {
+        pricedOfferIds: [pricing.data.flightOffers[0].offerId],
+        travelers: TRAVELERS,
+        contacts: CONTACTS,
+      });
+      await callTool("create_flight_order", { confirmationToken });
+    } finally {
+      restore();
+      await mock.close();
+    }
+
+    const order = fs.readdirSync(orderDir).find((file) => file.includes("flight-orders"));
+    const { response } = JSON.parse(fs.readFileSync(path.join(orderDir, order), "utf8"));
+    const [traveler] = response.body.data.travelers;
+    assert.equal(traveler.id, "1");
+    assert.deepEqual(traveler.name, { firstName: "REDACTED", lastName: "REDACTED" });
+    assert.equal(traveler.dateOfBirth, "REDACTED");
+    assert.doesNotMatch(JSON.stringify(response.body), /GONZALES|1982-01-16|telefonica|480080076/);
+  });
+});
@@ -0,0 +1,244 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { rankOffers } from "../lib/flightSearch.js";
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+import { setCacheBackend } from "../lib/responseCache.js";
+import { discoverTools } from "../lib/tools.js";
+import { CONTACTS, SEARCH_ARGS, TRAVELERS, tripDate } from "./helpers.js";
+
+describe("order management, seat maps and flexible search tools", () => {
+  let mock;
+  let tools;
+
+  const callTool = (name, args) =>
+    tools.find((tool) => tool.definition.function.name === name).function(args);
+
+  const bookOrder = async () => {
+    const search = await callTool("search_flight_offers", { ...SEARCH_ARGS, adults: 1 });
+    const pricing = await callTool("get_flight_offers_pricing", {
+      offerIds: [search.data[0].offerId],
+    });
+    const confirmation = await callTool("create_flight_order", {
+      pricedOfferIds: [pricing.data.flightOffers[0].offerId],
+      travelers: TRAVELERS,
+      contacts: CONTACTS,
+    });
+    return callTool("create_flight_order", {
+      confirmationToken: confirmation.confirmationToken,
+    });
+  };
+
+  before(async () => {
+    mock = await startMockAmadeus();
+    process.env.AMADEUS_BASE_URL = mock.url;
+    process.env.AMADEUS_CLIENT_ID = "test-client";
+    process.env.AMADEUS_CLIENT_SECRET = "test-secret";
+    process.env.LEDGER_BACKEND = "off";
+    tools = await discoverTools();
+  });
+
+  beforeEach(() => {
+    delete process.env.AMADEUS_DRY_RUN;
+    setCacheBackend(undefined);
+  });
+
+  after(async () => {
+    delete process.env.AMADEUS_BASE_URL;
+    await mock.close();
+  });
+
+  it("retrieves and cancels an order after confirmation", async () => {
+    const order = await bookOrder();
+    const orderId = order.data.id;
+
+    const retrieved = await callTool("get_flight_order", { orderId });
+    assert.equal(retrieved.data.id, orderId);
+
+    const confirmation = await callTool("cancel_flight_order", { orderId });
+    assert.equal(confirmation.status, "confirmation_required");
+    assert.deepEqual(confirmation.summary.travelers, ["JORGE GONZALES"]);
+
+    const cancelled = await callTool("cancel_flight_order", {
+      confirmationToken: confirmation.confirmationToken,
+    });
+    assert.deepEqual(cancelled, { status: "cancelled", orderId });
+    await assert.rejects(callTool("get_flight_order", { orderId }), { status: 404 });
+  });
+
+  it("only accepts cancellation tokens issued by cancel_flight_order", async () => {
+    const search = await callTool("search_flight_offers", { ...SEARCH_ARGS, adults: 1 });
+    const pricing = await callTool("get_flight_offers_pricing", {
+      offerIds: [search.data[0].offerId],
+    });
+    const booking = await callTool("create_flight_order", {
+      pricedOfferIds: [pricing.data.flightOffers[0].offerId],
+      travelers: TRAVELERS,
+      contacts: CONTACTS,
+    });
+
+    await assert.rejects(
+      callTool("cancel_flight_order", { confirmationToken: booking.confirmationToken }),
+      /confirmationToken is unknown, already used or expired/
+    );
+    // The booking token is still usable by the tool that issued it
+    const order = await callTool("create_flight_order", {
+      confirmationToken: booking.confirmationToken,
+    });
+    assert.equal(order.data.type, "flight-order");
+  });
+
+  it("does not cancel in dry-run mode", async () => {
+    const order = await bookOrder();
+    process.env.AMADEUS_DRY_RUN = "true";
+    const confirmation = await callTool("cancel_flight_order", { orderId: order.data.id });
+    const result = await callTool("cancel_flight_order", {
+      confirmationToken: confirmation.confirmationToken,
+    });
+    assert.equal(result.status, "dry_run");
+    assert.equal((await callTool("get_flight_order", { orderId: order.data.id })).data.id, order.data.id);
+  });
+
+  it("summarizes seat maps for offers and for orders", async () => {
+    const search = await callTool("search_flight_offers", SEARCH_ARGS);
+    const byOffer = await callTool("get_seatmaps", {
+      offerIds: [search.data[0].offerId],
+      format: "summary",
+    });
+    assert.equal(byOffer.segments.length, 1);
+    assert.equal(byOffer.segments[0].flight, "IB3150");
+    assert.ok(byOffer.segments[0].availableSeats.length < byOffer.segments[0].totalSeats);
+    assert.ok(byOffer.segments[0].availableSeats.some((seat) => seat.price === "15.00 EUR"));
+
+    const order = await bookOrder();
+    const byOrder = await callTool("get_seatmaps", { flightOrderId: order.data.id });
+    assert.equal(byOrder.data[0].type, "seatmap");
+
+    await assert.rejects(callTool("get_seatmaps", {}), /offerIds or flightOrderId is required/);
+  });
+
+  it("filters the POST search by carrier and connections", async () => {
+    const nonStop = await callTool("search_flight_offers_advanced", {
+      ...SEARCH_ARGS,
+      nonStop: true,
+      excludedCarrierCodes: ["UX"],
+      cabin: "ECONOMY",
+      format: "summary",
+    });
+    assert.deepEqual(
+      nonStop.offers.map((offer) => offer.carriers),
+      [["IBERIA"]]
+    );
+    assert.equal(nonStop.meta.cache.status, "miss");
+
+    const included = await callTool("search_flight_offers_advanced", {
+      ...SEARCH_ARGS,
+      includedCarrierCodes: ["AZ"],
+    });
+    assert.equal(included.data.length, 1);
+    assert.match(included.data[0].offerId, /^off_/);
+
+    await assert.rejects(
+      callTool("search_flight_offers_advanced", {
+        ...SEARCH_ARGS,
+        includedCarrierCodes: ["AZ"],
+        excludedCarrierCodes: ["IB"],
+      }),
+      /excludedCarrierCodes cannot be combined with includedCarrierCodes/
+    );
+  });
+
+  it("finds cheapest dates and destinations, served from the cache when repeated", async () => {
+    const datesArgs = {
+      origin: "MAD",
+      destination: "MUC",
+      departureDate: `${tripDate(-1)},${tripDate(10)}`,
+      maxPrice: 110,
+    };
+    const dates = await callTool("search_flight_dates", datesArgs);
+    assert.deepEqual(dates.data.map((entry) => entry.departureDate), [tripDate(), tripDate(1)]);
+    assert.equal(dates.meta.cache.status, "miss");
+    assert.equal((await callTool("search_flight_dates", datesArgs)).meta.cache.status, "hit");
+    const later = await callTool("search_flight_dates", {
+      origin: "MAD",
+      destination: "MUC",
+      departureDate: `${tripDate(2)},${tripDate(10)}`,
+    });
+    assert.deepEqual(later.data.map((entry) => entry.departureDate), [tripDate(4), tripDate(8)]);
+
+    const destinations = await callTool("search_flight_destinations", {
+      origin: "MAD",
+      departureDate: `${tripDate(5)},${tripDate(10)}`,
+    });
+    assert.deepEqual(destinations.data.map((entry) => [entry.destination, entry.departureDate]), [["LIS", tripDate(9)]]);
+
+    await assert.rejects(
+      callTool("search_flight_destinations", { origin: "MAD", maxPrice: 10 }),
+      { status: 404 }
+    );
+  });
+
+  it("searches several dates at once, de-duplicates and ranks the offers", async () => {
+    const batch = await callTool("search_flight_offers_batch", {
+      queries: [
+        { originLocationCode: "Madrid", destinationLocationCode: "ATH", departureDate: tripDate(1) },
+        // Same day again: the search is sent once
+        { originLocationCode: "MAD", destinationLocationCode: "ATH", departureDate: tripDate() },
+        // Same flights as a round trip in the mock, so the itineraries are duplicates
+        { originLocationCode: "MAD", destinationLocationCode: "ATH", departureDate: tripDate(1), returnDate: tripDate(8) },
+      ],
+      flexibleDays: 1,
+      limit: 4,
+    });
+    assert.deepEqual(
+      batch.searches.map(({ query, departureDate, returnDate }) => [query, departureDate, returnDate]),
+      [
+        [0, tripDate(), undefined],
+        [0, tripDate(1), undefined],
+        [0, tripDate(2), undefined],
+        [1, tripDate(-1), undefined],
+        [2, tripDate(), tripDate(7)],
+        [2, tripDate(1), tripDate(8)],
+        [2, tripDate(2), tripDate(9)],
+      ]
+    );
+    assert.equal(batch.meta.offersFound, 21);
+    assert.equal(batch.meta.duplicatesRemoved, 9);
+    assert.equal(batch.meta.resolvedLocations["queries.0.originLocationCode"].iataCode, "MAD");
+
+    // Mock fares rise 5% per day away from the fixture date; equal fares keep the search order
+    assert.deepEqual(
+      batch.offers.map(({ rank, price, itineraries }) => [rank, price, itineraries[0].departure]),
+      [
+        [1, 154.2, `${tripDate()}T06:00:00`],
+        [2, 161.91, `${tripDate(1)}T06:00:00`],
+        [3, 161.91, `${tripDate(-1)}T06:00:00`],
+        [4, 169.62, `${tripDate(2)}T06:00:00`],
+      ]
+    );
+    const pricing = await callTool("get_flight_offers_pricing", { offerIds: [batch.offers[1].offerId] });
+    assert.equal(pricing.data.flightOffers[0].itineraries[0].segments[0].departure.at, `${tripDate(1)}T06:00:00`);
+
+    await assert.rejects(
+      callTool("search_flight_offers_batch", {
+        queries: Array.from({ length: 3 }, (_, index) => ({ ...SEARCH_ARGS, departureDate: tripDate(index * 10) })),
+        flexibleDays: 3,
+      }),
+      /flexibleDays expands to 21 searches; at most 20 are allowed/
+    );
+  });
+
+  it("ranks offers by duration, stops or a weighted score", () => {
+    const offers = [
+      { offerId: "cheap", price: 100, totalMinutes: 400, stops: 2 },
+      { offerId: "fast", price: 300, totalMinutes: 120, stops: 0 },
+      { offerId: "middle", price: 150, totalMinutes: 200, stops: 1 },
+    ];
+    const order = (options) => rankOffers(offers, options).map((offer) => offer.offerId);
+    assert.deepEqual(order({ rankBy: "price" }), ["cheap", "middle", "fast"]);
+    assert.deepEqual(order({ rankBy: "duration" }), ["fast", "middle", "cheap"]);
+    assert.deepEqual(order({ rankBy: "stops" }), ["fast", "middle", "cheap"]);
+    assert.deepEqual(order({ rankBy: "score" }), ["middle", "cheap", "fast"]);
+    assert.deepEqual(order({ rankBy: "score", weights: { duration: 1 } }), ["fast", "middle", "cheap"]);
+    assert.equal(rankOffers(offers, { rankBy: "score" })[0].score, 0.286);
+  });
+});
@@ -0,0 +1,118 @@
+import { spawn } from "child_process";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+import { shiftDate } from "../lib/flightSearch.js";
+import { FIXTURE_DEPARTURE_DATE } from "../lib/mockAmadeus.js";
+
+export const ROOT_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  ".."
+);
+export const SERVER_PATH = path.join(ROOT_DIR, "mcpServer.js");
+
+/**
+ * Environment for a server under test: no inherited Amadeus or auth settings,
+ * and no booking ledger on disk unless a test asks for one
+ */
+export function serverEnv(overrides = {}) {
+  const env = { ...process.env };
+  for (const key of Object.keys(env)) {
+    if (/^(AMADEUS_|MCP_|CORS_|LEDGER_|PROFILE_)/.test(key)) delete env[key];
+  }
+  return { ...env, LEDGER_BACKEND: "off", ...overrides };
+}
+
+export function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on("error", reject);
+  });
+}
+
+/**
+ * Spawns `mcpServer.js` in HTTP mode and resolves once it is listening
+ */
+export async function startHttpServer(args, env = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_PATH, ...args], {
+    env: serverEnv({ PORT: String(port), ...env }),
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`Server did not start:\n${output}`)),
+      10000
+    );
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes(`running on port ${port}`)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: () =>
+      new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.once("exit", () => resolve());
+        child.kill();
+      }),
+  };
+}
+
+/**
+ * A date `days` after the mock's fixture departure date, which moves with
+ * today, so tests never search the past
+ */
+export function tripDate(days = 0) {
+  return shiftDate(FIXTURE_DEPARTURE_DATE, days);
+}
+
+export const SEARCH_ARGS = {
+  originLocationCode: "MAD",
+  destinationLocationCode: "ATH",
+  departureDate: tripDate(),
+  adults: 1,
+};
+
+export const TRAVELERS = [
+  {
+    id: "1",
+    dateOfBirth: "1982-01-16",
+    name: { firstName: "JORGE", lastName: "GONZALES" },
+    gender: "MALE",
+    contact: {
+      emailAddress: "jorge.gonzales833@telefonica.es",
+      phones: [
+        { deviceType: "MOBILE", countryCallingCode: "34", number: "480080076" },
+      ],
+    },
+  },
+];
+
+export const CONTACTS = [
+  {
+    addresseeName: { firstName: "PABLO", lastName: "RODRIGUEZ" },
+    purpose: "STANDARD",
+    emailAddress: "support@increibleviajes.es",
+    phones: [
+      { deviceType: "LANDLINE", countryCallingCode: "34", number: "480080071" },
+    ],
+  },
+];
@@ -0,0 +1,164 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+import { setCacheBackend } from "../lib/responseCache.js";
+import { discoverTools } from "../lib/tools.js";
+import { validateToolArguments } from "../lib/validation.js";
+import { tripDate } from "./helpers.js";
+
+const GUESTS = [
+  {
+    title: "MR",
+    firstName: "BOB",
+    lastName: "SMITH",
+    phone: "+33679278416",
+    email: "bob.smith@email.com",
+  },
+];
+
+const PAYMENT = {
+  vendorCode: "VI",
+  cardNumber: "4151289722471370",
+  expiryDate: "2030-08",
+  holderName: "BOB SMITH",
+};
+
+describe("hotel tools", () => {
+  let mock;
+  let tools;
+
+  const callTool = (name, args) =>
+    tools.find((tool) => tool.definition.function.name === name).function(args);
+
+  const searchOffers = (args = {}) =>
+    callTool("search_hotel_offers", {
+      hotelIds: ["HLPAR266", "MCPARRGH", "ADPARMON"],
+      checkInDate: tripDate(),
+      checkOutDate: tripDate(2),
+      ...args,
+    });
+
+  before(async () => {
+    mock = await startMockAmadeus();
+    process.env.AMADEUS_BASE_URL = mock.url;
+    process.env.AMADEUS_CLIENT_ID = "test-client";
+    process.env.AMADEUS_CLIENT_SECRET = "test-secret";
+    process.env.LEDGER_BACKEND = "off";
+    tools = await discoverTools();
+  });
+
+  beforeEach(() => {
+    delete process.env.AMADEUS_DRY_RUN;
+    process.env.AMADEUS_TRAVEL_AGENT_EMAIL = "agent@increibleviajes.es";
+    setCacheBackend(undefined);
+  });
+
+  after(async () => {
+    delete process.env.AMADEUS_BASE_URL;
+    delete process.env.AMADEUS_TRAVEL_AGENT_EMAIL;
+    await mock.close();
+  });
+
+  it("lists hotels by city name and around a point", async () => {
+    const byCity = await callTool("list_hotels", { cityCode: "Paris", ratings: [4, 5] });
+    assert.deepEqual(byCity.data.map((hotel) => hotel.hotelId), ["HLPAR266", "MCPARRGH"]);
+    assert.equal(byCity.meta.resolvedLocations.cityCode.iataCode, "PAR");
+    assert.equal(byCity.meta.cache.status, "miss");
+
+    // Around the Opéra Garnier
+    const byGeocode = await callTool("list_hotels", { latitude: 48.8719, longitude: 2.3316, radius: 2 });
+    assert.equal(byGeocode.data[0].hotelId, "HLPAR266");
+    assert.ok(byGeocode.data.every((hotel) => hotel.distance.value <= 2));
+
+    await assert.rejects(
+      callTool("list_hotels", { cityCode: "PAR", latitude: 48.87 }),
+      /cityCode or both latitude and longitude are required/
+    );
+  });
+
+  it("searches offers and re-checks one", async () => {
+    const search = await searchOffers({ adults: 2 });
+    assert.deepEqual(search.data.map((entry) => entry.hotel.hotelId), ["HLPAR266", "MCPARRGH"]);
+    const [offer] = search.data[0].offers;
+    assert.equal(offer.guests.adults, 2);
+    assert.equal(offer.checkInDate, tripDate());
+
+    const recheck = await callTool("get_hotel_offer", { hotelOfferId: offer.id });
+    assert.equal(recheck.data.offers[0].price.total, offer.price.total);
+    await assert.rejects(callTool("get_hotel_offer", { hotelOfferId: "XXXXXXXXXX" }), { status: 400 });
+
+    // Offer ids vary in length and case between providers
+    const getHotelOffer = tools.find((tool) => tool.definition.function.name === "get_hotel_offer");
+    assert.deepEqual(validateToolArguments(getHotelOffer, { hotelOfferId: "4L8PRJRO4Nx9k2" }), { hotelOfferId: "4L8PRJRO4Nx9k2" });
+    assert.throws(() => validateToolArguments(getHotelOffer, { hotelOfferId: "" }), /hotelOfferId/);
+  });
+
+  it("books a room after confirmation, once", async () => {
+    const search = await searchOffers();
+    const hotelOfferId = search.data[0].offers[0].id;
+
+    const confirmation = await callTool("create_hotel_order", {
+      hotelOfferId,
+      guests: GUESTS,
+      payment: PAYMENT,
+    });
+    assert.equal(confirmation.status, "confirmation_required");
+    assert.equal(confirmation.summary.hotel.hotelId, "HLPAR266");
+    assert.equal(confirmation.summary.payment, "VI card ending 1370");
+    assert.deepEqual(confirmation.summary.cancellation, [
+      { deadline: `${tripDate(-2)}T18:00:00+01:00`, amount: "231.00" },
+    ]);
+
+    const order = await callTool("create_hotel_order", {
+      confirmationToken: confirmation.confirmationToken,
+    });
+    assert.equal(order.data.type, "hotel-order");
+    assert.equal(order.data.hotelBookings[0].bookingStatus, "CONFIRMED");
+
+    // The booked offer is gone, so a second booking fails at the re-check
+    await assert.rejects(
+      callTool("create_hotel_order", { hotelOfferId, guests: GUESTS, payment: PAYMENT }),
+      { status: 400 }
+    );
+  });
+
+  it("validates guests, payment and the travel agent before confirming", async () => {
+    const search = await searchOffers({ boardType: "BREAKFAST" });
+    const hotelOfferId = search.data[0].offers[0].id;
+    delete process.env.AMADEUS_TRAVEL_AGENT_EMAIL;
+
+    await assert.rejects(
+      callTool("create_hotel_order", {
+        hotelOfferId,
+        guests: [{ firstName: "BOB", lastName: "SMITH" }, ...GUESTS],
+        payment: { ...PAYMENT, vendorCode: "DC", expiryDate: "2020-01" },
+      }),
+      (error) => {
+        assert.deepEqual(
+          error.errors.map(({ field }) => field),
+          ["guests", "guests.0", "travelAgentEmail", "payment.expiryDate", "payment.vendorCode"]
+        );
+        return true;
+      }
+    );
+    await assert.rejects(callTool("create_hotel_order", { hotelOfferId }), /guests is required/);
+  });
+
+  it("does not book in dry-run mode", async () => {
+    process.env.AMADEUS_DRY_RUN = "true";
+    const search = await searchOffers();
+    const hotelOfferId = search.data[1].offers[0].id;
+    const confirmation = await callTool("create_hotel_order", {
+      hotelOfferId,
+      guests: GUESTS,
+      payment: PAYMENT,
+      travelAgentEmail: "desk@increibleviajes.es",
+    });
+    const result = await callTool("create_hotel_order", {
+      confirmationToken: confirmation.confirmationToken,
+    });
+    assert.equal(result.status, "dry_run");
+    assert.equal(result.summary.hotel.hotelId, "MCPARRGH");
+    assert.equal((await callTool("get_hotel_offer", { hotelOfferId })).data.offers[0].id, hotelOfferId);
+  });
+});
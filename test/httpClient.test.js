@@ -0,0 +1,143 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createHttpClient, parseRetryAfter } from "../lib/httpClient.js";
+import { createRateLimitMiddleware } from "../lib/rateLimit.js";
+import { UpstreamTimeoutError } from "../lib/errors.js";
+
+describe("outbound HTTP client", () => {
+  let server;
+  let baseUrl;
+  let hits;
+  let active = 0;
+  let maxActive = 0;
+
+  before(async () => {
+    hits = {};
+    server = http.createServer((req, res) => {
+      const path = req.url.split("?")[0];
+      hits[path] = (hits[path] || 0) + 1;
+      if (path === "/flaky" && hits[path] < 3) {
+        res.writeHead(429, { "Retry-After": "0" });
+        return res.end();
+      }
+      if (path === "/down") {
+        res.writeHead(503);
+        return res.end();
+      }
+      if (path === "/slow") {
+        active += 1;
+        maxActive = Math.max(maxActive, active);
+        return setTimeout(() => {
+          active -= 1;
+          res.end("ok");
+        }, 50);
+      }
+      if (path === "/hang") return;
+      res.end("ok");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it("retries idempotent requests on 429 and 5xx", async () => {
+    const client = createHttpClient({ baseDelayMs: 1 });
+    const response = await client.fetch(`${baseUrl}/flaky`);
+    assert.equal(response.status, 200);
+    assert.equal(hits["/flaky"], 3);
+
+    const down = await client.fetch(`${baseUrl}/down`);
+    assert.equal(down.status, 503);
+    assert.equal(hits["/down"], 4);
+  });
+
+  it("does not retry non-idempotent requests unless asked to", async () => {
+    const client = createHttpClient({ baseDelayMs: 1 });
+    hits["/down"] = 0;
+    await client.fetch(`${baseUrl}/down`, { method: "POST" });
+    assert.equal(hits["/down"], 1);
+
+    await client.fetch(`${baseUrl}/down`, { method: "POST", idempotent: true });
+    assert.equal(hits["/down"], 5);
+  });
+
+  it("times out requests", async () => {
+    const client = createHttpClient({ timeoutMs: 50, maxRetries: 1, baseDelayMs: 1 });
+    await assert.rejects(client.fetch(`${baseUrl}/hang`), (error) => {
+      assert.ok(error instanceof UpstreamTimeoutError);
+      assert.equal(error.message, "GET /hang timed out after 50ms");
+      return true;
+    });
+    assert.equal(hits["/hang"], 2);
+  });
+
+  it("gives up at once when the caller aborts", async () => {
+    const client = createHttpClient({ timeoutMs: 5000, baseDelayMs: 1 });
+    hits["/hang"] = 0;
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(client.fetch(`${baseUrl}/hang`, { signal: controller.signal }), { name: "AbortError" });
+    assert.equal(hits["/hang"], 1);
+  });
+
+  it("limits concurrency and request rate", async () => {
+    const client = createHttpClient({ maxConcurrency: 2, requestsPerSecond: 20 });
+    const started = Date.now();
+    await Promise.all(
+      Array.from({ length: 30 }, () => client.fetch(`${baseUrl}/slow`).then((r) => r.text()))
+    );
+    assert.equal(maxActive, 2);
+    // 20 requests fit in the initial burst, the other 10 need half a second
+    assert.ok(Date.now() - started >= 450);
+    assert.deepEqual(client.stats(), { active: 0, queued: 0 });
+  });
+
+  it("parses Retry-After in seconds and as a date", () => {
+    assert.equal(parseRetryAfter("2"), 2000);
+    assert.equal(parseRetryAfter(null), undefined);
+    const delay = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+    assert.ok(delay > 3000 && delay <= 5000);
+  });
+});
+
+describe("inbound rate limit", () => {
+  function call(middleware, principal) {
+    const req = { principal, ip: "127.0.0.1", method: "POST", path: "/api/call-tool" };
+    const res = {
+      headers: {},
+      set(name, value) {
+        this.headers[name] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+      },
+    };
+    let passed = false;
+    middleware(req, res, () => {
+      passed = true;
+    });
+    return { passed, res };
+  }
+
+  it("rejects clients over their limit with Retry-After", () => {
+    const middleware = createRateLimitMiddleware({ requestsPerMinute: 2 });
+    assert.ok(call(middleware, null).passed);
+    assert.ok(call(middleware, null).passed);
+    const { passed, res } = call(middleware, null);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers["Retry-After"], "30");
+
+    // Other API keys have their own budget
+    assert.ok(call(middleware, { name: "other" }).passed);
+  });
+});
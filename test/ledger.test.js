@@ -0,0 +1,186 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { bookingsToCsv, getLedgerDir, recordBooking, updateBookingStatus } from "../lib/ledger.js";
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+import { discoverTools } from "../lib/tools.js";
+import { CONTACTS, ROOT_DIR, SEARCH_ARGS, TRAVELERS } from "./helpers.js";
+
+describe("booking ledger and traveler profiles", () => {
+  let mock;
+  let tools;
+  let rootDir;
+  let dir;
+
+  const callTool = (name, args, context = { sessionId: "ledger", principal: "ops" }) =>
+    tools.find((tool) => tool.definition.function.name === name).function(args, context);
+
+  const priceOffer = async () => {
+    const search = await callTool("search_flight_offers", { ...SEARCH_ARGS, max: 1 });
+    const pricing = await callTool("get_flight_offers_pricing", { offerIds: [search.data[0].offerId] });
+    return pricing.data.flightOffers[0].offerId;
+  };
+
+  const bookFlight = async (args) => {
+    const confirmation = await callTool("create_flight_order", {
+      pricedOfferIds: [await priceOffer()],
+      ...args,
+    });
+    const order = await callTool("create_flight_order", {
+      confirmationToken: confirmation.confirmationToken,
+    });
+    return { confirmation, order: order.data };
+  };
+
+  before(async () => {
+    mock = await startMockAmadeus();
+    process.env.AMADEUS_BASE_URL = mock.url;
+    process.env.AMADEUS_CLIENT_ID = "test-client";
+    process.env.AMADEUS_CLIENT_SECRET = "test-secret";
+    tools = await discoverTools();
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-"));
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(rootDir, "run-"));
+    process.env.LEDGER_DIR = dir;
+    process.env.PROFILE_ENCRYPTION_KEY = "correct horse battery staple";
+    delete process.env.LEDGER_BACKEND;
+  });
+
+  after(async () => {
+    for (const key of ["AMADEUS_BASE_URL", "LEDGER_BACKEND", "LEDGER_DIR", "PROFILE_ENCRYPTION_KEY"]) {
+      delete process.env[key];
+    }
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    await mock.close();
+  });
+
+  const asOtherKey = { sessionId: "ledger-other", principal: "n8n" };
+
+  it("records bookings and their cancellation", async () => {
+    const { order } = await bookFlight({ travelers: TRAVELERS, contacts: CONTACTS });
+
+    const { data: [booking], meta } = await callTool("list_bookings", {});
+    assert.equal(meta.total, 1);
+    assert.equal(booking.orderId, order.id);
+    assert.equal(booking.reference, order.associatedRecords[0].reference);
+    assert.equal(booking.status, "active");
+    assert.equal(booking.bookedBy, "ops");
+    assert.deepEqual(booking.travelers, ["JORGE GONZALES"]);
+    assert.equal(booking.description, `MAD-ATH ${SEARCH_ARGS.departureDate}`);
+    assert.equal((await callTool("list_bookings", {}, asOtherKey)).meta.total, 0);
+
+    const cancellation = await callTool("cancel_flight_order", { orderId: order.id });
+    await callTool("cancel_flight_order", { confirmationToken: cancellation.confirmationToken });
+    assert.equal((await callTool("list_bookings", { status: "cancelled" })).meta.total, 1);
+    assert.equal((await callTool("list_bookings", { query: "gonzales", status: "active" })).meta.total, 0);
+
+    process.env.LEDGER_BACKEND = "off";
+    await assert.rejects(callTool("list_bookings", {}), /ledger is disabled/);
+
+    // The order exists at Amadeus by then, so a bad setting must not fail the booking
+    process.env.LEDGER_BACKEND = "sqlite";
+    assert.match(recordBooking({ kind: "flight-order", order, summary: {} }).error, /Invalid LEDGER_BACKEND/);
+    assert.doesNotThrow(() => updateBookingStatus(order.id, "cancelled"));
+  });
+
+  it("reports a booking the ledger could not record", async () => {
+    // A file where the ledger directory should be makes every write fail
+    process.env.LEDGER_DIR = path.join(dir, "bookings.json", "nested");
+    fs.writeFileSync(path.join(dir, "bookings.json"), "");
+    const confirmation = await callTool("create_flight_order", {
+      pricedOfferIds: [await priceOffer()],
+      travelers: TRAVELERS,
+      contacts: CONTACTS,
+    });
+    const result = await callTool("create_flight_order", { confirmationToken: confirmation.confirmationToken });
+    assert.equal(result.data.type, "flight-order");
+    assert.equal(result.ledger.recorded, false);
+    assert.match(result.ledger.error, /placed but could not be recorded in the booking ledger/);
+  });
+
+  it("books saved travelers by profile ID and keeps profiles encrypted", async () => {
+    const { contact, ...traveler } = TRAVELERS[0];
+    const { profileId, created } = await callTool("save_traveler_profile", {
+      traveler: { ...traveler, contact },
+      contact: CONTACTS[0],
+    });
+    assert.match(profileId, /^tp_/);
+    assert.equal(created, true);
+
+    const stored = fs.readFileSync(path.join(dir, "profiles.json"), "utf8");
+    assert.doesNotMatch(stored, /GONZALES|1982-01-16|telefonica/);
+    assert.deepEqual(
+      (await callTool("list_traveler_profiles", { name: "jorge" })).data.map((profile) => profile.name),
+      ["JORGE GONZALES"]
+    );
+
+    // Other API keys can neither see nor use nor delete the profile
+    assert.deepEqual((await callTool("list_traveler_profiles", {}, asOtherKey)).data, []);
+    await assert.rejects(
+      callTool("create_flight_order", { pricedOfferIds: ["prc_x"], travelerProfileIds: [profileId] }, asOtherKey),
+      /travelerProfileIds.0 refers to unknown traveler profile/
+    );
+    await assert.rejects(
+      callTool("save_traveler_profile", { profileId, traveler: { ...traveler, contact } }, asOtherKey),
+      /profileId refers to unknown traveler profile/
+    );
+    await assert.rejects(callTool("delete_traveler_profile", { profileId }, asOtherKey), /unknown traveler profile/);
+
+    const { confirmation, order } = await bookFlight({ travelerProfileIds: [profileId] });
+    assert.deepEqual(confirmation.summary.travelers, ["JORGE GONZALES"]);
+    assert.equal(order.travelers[0].id, "1");
+    assert.equal(order.contacts[0].emailAddress, "support@increibleviajes.es");
+
+    await assert.rejects(
+      callTool("create_flight_order", { pricedOfferIds: ["prc_x"], travelerProfileIds: ["tp_unknown"] }),
+      /travelerProfileIds.0 refers to unknown traveler profile/
+    );
+
+    process.env.PROFILE_ENCRYPTION_KEY = "wrong key";
+    await assert.rejects(callTool("list_traveler_profiles", {}), /PROFILE_ENCRYPTION_KEY differs/);
+    delete process.env.PROFILE_ENCRYPTION_KEY;
+    await assert.rejects(callTool("list_traveler_profiles", {}), /Traveler profiles are disabled/);
+
+    process.env.PROFILE_ENCRYPTION_KEY = "correct horse battery staple";
+    assert.deepEqual(await callTool("delete_traveler_profile", { profileId }), { status: "deleted", profileId });
+    assert.deepEqual((await callTool("list_traveler_profiles", {})).data, []);
+  });
+
+  it("resolves a relative LEDGER_DIR from the repository root", () => {
+    const cwd = process.cwd();
+    process.env.LEDGER_DIR = ".data-test";
+    try {
+      process.chdir(os.tmpdir());
+      assert.equal(getLedgerDir(), path.join(ROOT_DIR, ".data-test"));
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+
+  it("exports bookings as CSV", () => {
+    const csv = bookingsToCsv([
+      {
+        createdAt: "2026-10-19T09:00:00.000Z",
+        orderId: "ORDER1",
+        kind: "flight-order",
+        reference: "ABC123",
+        status: "active",
+        travelers: ["ANA DE \"LA\" CRUZ", "=HYPERLINK(1)"],
+        description: "MAD-ATH 2026-12-01, ATH-MAD 2026-12-08",
+        total: "512.40",
+        currency: "EUR",
+        bookedBy: "=cmd|' /C calc'!A0",
+      },
+    ]);
+    const [header, row] = csv.trimEnd().split("\r\n");
+    assert.equal(header, "createdAt,updatedAt,orderId,kind,reference,status,travelers,description,total,currency,bookedBy");
+    assert.equal(
+      row,
+      `2026-10-19T09:00:00.000Z,,ORDER1,flight-order,ABC123,active,"ANA DE ""LA"" CRUZ; =HYPERLINK(1)","MAD-ATH 2026-12-01, ATH-MAD 2026-12-08",512.40,EUR,'=cmd|' /C calc'!A0`
+    );
+  });
+});
@@ -0,0 +1,130 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { invalidateAccessToken } from "../lib/auth.js";
+import { ToolArgumentsError } from "../lib/errors.js";
+import {
+  getOfflineLocations,
+  rankLocations,
+  resolveLocationCode,
+} from "../lib/locations.js";
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+import { setCacheBackend } from "../lib/responseCache.js";
+import { discoverTools } from "../lib/tools.js";
+import { SEARCH_ARGS } from "./helpers.js";
+
+describe("offline location dataset", () => {
+  beforeEach(() => {
+    delete process.env.LOCATION_RESOLUTION;
+  });
+
+  it("ranks codes, names and qualified names", () => {
+    const locations = getOfflineLocations();
+    assert.equal(rankLocations(locations, "cdg")[0].iataCode, "CDG");
+    assert.equal(rankLocations(locations, "munchen")[0].iataCode, "MUC");
+    assert.equal(rankLocations(locations, "Paris", { subType: "CITY" })[0].iataCode, "PAR");
+    assert.equal(rankLocations(locations, "Portland, ME")[0].iataCode, "PWM");
+    assert.deepEqual(rankLocations(locations, "zzzz"), []);
+  });
+
+  it("resolves unambiguous names and passes codes through", async () => {
+    assert.deepEqual(await resolveLocationCode("tool", "origin", "MAD"), { iataCode: "MAD" });
+
+    const paris = await resolveLocationCode("tool", "origin", "Paris");
+    assert.equal(paris.iataCode, "PAR");
+    assert.equal(paris.resolved.query, "Paris");
+    assert.equal((await resolveLocationCode("tool", "origin", "paris orly")).iataCode, "ORY");
+  });
+
+  it("rejects ambiguous names with the candidates", async () => {
+    await assert.rejects(resolveLocationCode("tool", "origin", "Portland"), (error) => {
+      assert.ok(error instanceof ToolArgumentsError);
+      assert.match(error.message, /matches several places/);
+      assert.deepEqual(
+        error.errors[0].candidates.map((candidate) => candidate.iataCode).sort(),
+        ["PDX", "PWM"]
+      );
+      return true;
+    });
+    await assert.rejects(resolveLocationCode("tool", "origin", "Atlantis"), /does not match a known city or airport/);
+  });
+
+  it("requires codes when resolution is off", async () => {
+    process.env.LOCATION_RESOLUTION = "off";
+    await assert.rejects(resolveLocationCode("tool", "origin", "Paris"), /must be a 3-letter IATA code/);
+    assert.equal((await resolveLocationCode("tool", "origin", "PAR")).iataCode, "PAR");
+  });
+});
+
+describe("location lookup tools", () => {
+  let mock;
+  let tools;
+
+  const callTool = (name, args) =>
+    tools.find((tool) => tool.definition.function.name === name).function(args);
+
+  before(async () => {
+    mock = await startMockAmadeus();
+    process.env.AMADEUS_BASE_URL = mock.url;
+    tools = await discoverTools();
+  });
+
+  beforeEach(() => {
+    process.env.AMADEUS_CLIENT_ID = "test-client";
+    process.env.AMADEUS_CLIENT_SECRET = "test-secret";
+    delete process.env.LOCATION_RESOLUTION;
+    setCacheBackend(undefined);
+  });
+
+  after(async () => {
+    delete process.env.AMADEUS_BASE_URL;
+    delete process.env.AMADEUS_CLIENT_ID;
+    delete process.env.AMADEUS_CLIENT_SECRET;
+    await mock.close();
+  });
+
+  it("searches Amadeus and the offline dataset", async () => {
+    const amadeus = await callTool("search_locations", { keyword: "London", subType: "AIRPORT", max: 3 });
+    assert.equal(amadeus.source, "amadeus");
+    assert.equal(amadeus.locations.length, 3);
+    assert.ok(amadeus.locations.every((location) => location.cityCode === "LON"));
+
+    const offline = await callTool("search_locations", { keyword: "San Jose", source: "offline" });
+    assert.equal(offline.source, "offline");
+    assert.ok(["SJC", "SJO"].every((code) => offline.locations.some((location) => location.iataCode === code)));
+  });
+
+  it("falls back to the offline dataset when Amadeus is unavailable", async () => {
+    delete process.env.AMADEUS_CLIENT_ID;
+    invalidateAccessToken();
+    const result = await callTool("search_locations", { keyword: "Madrid" });
+    assert.equal(result.source, "offline");
+    assert.match(result.fallbackReason, /Missing Amadeus credentials/);
+    assert.equal(result.locations[0].iataCode, "MAD");
+  });
+
+  it("lets the search tools take city names", async () => {
+    const offers = await callTool("search_flight_offers", {
+      ...SEARCH_ARGS,
+      originLocationCode: "Madrid",
+      destinationLocationCode: "athens",
+      format: "summary",
+    });
+    assert.ok(offers.offers.length > 0);
+    assert.deepEqual(
+      [
+        offers.meta.resolvedLocations.originLocationCode.iataCode,
+        offers.meta.resolvedLocations.destinationLocationCode.iataCode,
+      ],
+      ["MAD", "ATH"]
+    );
+
+    process.env.LOCATION_RESOLUTION = "auto";
+    const destinations = await callTool("search_flight_destinations", { origin: "Madrid" });
+    assert.equal(destinations.meta.resolvedLocations.origin.iataCode, "MAD");
+
+    await assert.rejects(
+      callTool("search_flight_dates", { origin: "Portland", destination: "MUC" }),
+      (error) => error.errors[0].field === "origin" && error.errors[0].candidates.length === 2
+    );
+  });
+});
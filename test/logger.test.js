@@ -0,0 +1,93 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createLogger, getCorrelationId, redact, runWithContext } from "../lib/logger.js";
+import { createHttpClient } from "../lib/httpClient.js";
+import { TRAVELERS } from "./helpers.js";
+
+function captureStderr(fn) {
+  const lines = [];
+  const write = process.stderr.write;
+  process.stderr.write = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  try {
+    fn();
+  } finally {
+    process.stderr.write = write;
+  }
+  return lines;
+}
+
+describe("logger", () => {
+  afterEach(() => {
+    delete process.env.LOG_REDACT_KEYS;
+    delete process.env.LOG_REDACT_PII;
+    delete process.env.LOG_LEVEL;
+  });
+
+  it("redacts traveler PII and secrets", () => {
+    const redacted = redact({
+      travelers: TRAVELERS,
+      client_secret: "s3cret",
+      headers: { Authorization: "Bearer abc.def" },
+      note: "sent Bearer abc.def upstream",
+    });
+    const [traveler] = redacted.travelers;
+    assert.equal(traveler.name.firstName, "[REDACTED]");
+    assert.equal(traveler.dateOfBirth, "[REDACTED]");
+    assert.equal(traveler.contact.emailAddress, "[REDACTED]");
+    assert.equal(traveler.contact.phones, "[REDACTED]");
+    assert.equal(traveler.gender, "MALE");
+    assert.equal(redacted.client_secret, "[REDACTED]");
+    assert.equal(redacted.headers.Authorization, "[REDACTED]");
+    assert.equal(redacted.note, "sent Bearer [REDACTED] upstream");
+  });
+
+  it("honours LOG_REDACT_KEYS and LOG_REDACT_PII", () => {
+    process.env.LOG_REDACT_KEYS = "gender";
+    process.env.LOG_REDACT_PII = "false";
+    const redacted = redact({ ...TRAVELERS[0], client_secret: "s3cret" });
+    assert.equal(redacted.gender, "[REDACTED]");
+    assert.equal(redacted.dateOfBirth, "1982-01-16");
+    assert.equal(redacted.client_secret, "[REDACTED]");
+  });
+
+  it("writes leveled JSON lines to stderr with the correlation context", () => {
+    process.env.LOG_LEVEL = "info";
+    const log = createLogger({ component: "test" });
+    const lines = captureStderr(() => {
+      log.debug("hidden");
+      runWithContext({ correlationId: "abc-123" }, () =>
+        log.info("Tool call", { args: { lastName: "GONZALES" } })
+      );
+    });
+    assert.equal(lines.length, 1);
+    const record = JSON.parse(lines[0]);
+    assert.equal(record.level, "info");
+    assert.equal(record.msg, "Tool call");
+    assert.equal(record.component, "test");
+    assert.equal(record.correlationId, "abc-123");
+    assert.deepEqual(record.args, { lastName: "[REDACTED]" });
+  });
+
+  it("sends the correlation ID with outbound requests", async () => {
+    let received;
+    const server = http.createServer((req, res) => {
+      received = req.headers["x-correlation-id"];
+      res.end("ok");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    try {
+      const client = createHttpClient();
+      await runWithContext({}, async () => {
+        await client.fetch(`http://127.0.0.1:${server.address().port}/`);
+        assert.equal(received, getCorrelationId());
+      });
+      assert.match(received, /^[0-9a-f-]{36}$/);
+    } finally {
+      server.close();
+    }
+  });
+});
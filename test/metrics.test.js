@@ -0,0 +1,88 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { counter, gauge, histogram, renderMetrics } from "../lib/metrics.js";
+import { checkReadiness } from "../lib/health.js";
+import { invalidateAccessToken } from "../lib/auth.js";
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+
+describe("metrics registry", () => {
+  it("renders counters, gauges and histograms in Prometheus text format", () => {
+    const calls = counter("test_calls_total", "Test calls");
+    calls.inc({ tool: "a", outcome: "success" });
+    calls.inc({ outcome: "success", tool: "a" });
+    calls.inc({ tool: 'quote"d' });
+    gauge("test_sessions", "Test sessions", () => [{ labels: { transport: "sse" }, value: 2 }]);
+    const latency = histogram("test_duration_seconds", "Test latency", [0.1, 1]);
+    latency.observe({ tool: "a" }, 0.05);
+    latency.observe({ tool: "a" }, 0.5);
+
+    const text = renderMetrics();
+    assert.match(text, /# TYPE test_calls_total counter\n/);
+    assert.match(text, /^test_calls_total\{tool="a",outcome="success"\} 2$/m);
+    assert.match(text, /^test_calls_total\{tool="quote\\"d"\} 1$/m);
+    assert.match(text, /^test_sessions\{transport="sse"\} 2$/m);
+    assert.match(text, /^test_duration_seconds_bucket\{tool="a",le="0.1"\} 1$/m);
+    assert.match(text, /^test_duration_seconds_bucket\{tool="a",le="1"\} 2$/m);
+    assert.match(text, /^test_duration_seconds_bucket\{tool="a",le="\+Inf"\} 2$/m);
+    assert.match(text, /^test_duration_seconds_count\{tool="a"\} 2$/m);
+  });
+
+  it("returns the existing metric when a name is registered again", () => {
+    counter("test_shared_total", "Shared").inc();
+    counter("test_shared_total", "Shared").inc();
+    assert.match(renderMetrics(), /^test_shared_total 2$/m);
+  });
+});
+
+describe("readiness check", () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockAmadeus();
+  });
+
+  after(async () => {
+    delete process.env.AMADEUS_BASE_URL;
+    delete process.env.AMADEUS_CLIENT_ID;
+    delete process.env.AMADEUS_CLIENT_SECRET;
+    await mock.close();
+  });
+
+  it("is not ready without credentials", async () => {
+    delete process.env.AMADEUS_CLIENT_ID;
+    delete process.env.AMADEUS_CLIENT_SECRET;
+    const { ready, checks } = await checkReadiness();
+    assert.equal(ready, false);
+    assert.equal(checks.credentials.ok, false);
+    assert.equal(checks.token.ok, false);
+  });
+
+  it("is ready once a token is issued by the configured base URL", async () => {
+    process.env.AMADEUS_BASE_URL = mock.url;
+    process.env.AMADEUS_CLIENT_ID = "test-client";
+    process.env.AMADEUS_CLIENT_SECRET = "test-secret";
+    const { ready, checks } = await checkReadiness();
+    assert.equal(ready, true);
+    assert.equal(checks.token.baseUrl, mock.url);
+  });
+
+  it("is not ready when the token endpoint rejects the credentials", async () => {
+    const rejecting = http.createServer((req, res) => {
+      res.writeHead(401, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "invalid_client", error_description: "Client credentials are invalid" }));
+    });
+    await new Promise((resolve) => rejecting.listen(0, "127.0.0.1", resolve));
+    process.env.AMADEUS_BASE_URL = `http://127.0.0.1:${rejecting.address().port}`;
+    invalidateAccessToken();
+    try {
+      const { ready, checks } = await checkReadiness();
+      assert.equal(ready, false);
+      assert.equal(checks.credentials.ok, true);
+      assert.equal(checks.token.status, 401);
+      assert.match(checks.token.error, /invalid_client/);
+    } finally {
+      await new Promise((resolve) => rejecting.close(resolve));
+    }
+  });
+});
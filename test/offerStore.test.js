@@ -0,0 +1,60 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  clearSession,
+  findOffer,
+  resolveOffers,
+  storeOffer,
+} from "../lib/offerStore.js";
+import { renderMetrics } from "../lib/metrics.js";
+
+describe("offer store", () => {
+  afterEach(() => {
+    delete process.env.OFFER_STORE_TTL_MS;
+    clearSession("a");
+    clearSession("b");
+  });
+
+  it("resolves offers only within their own session", () => {
+    const offerId = storeOffer("a", "flight-offer", { id: "1", offerId: "old" });
+    assert.deepEqual(resolveOffers("tool", "offerIds", "a", [offerId], "flight-offer"), [
+      { id: "1" },
+    ]);
+    assert.throws(
+      () => resolveOffers("tool", "offerIds", "b", [offerId], "flight-offer"),
+      /offerIds.0 refers to unknown offer/
+    );
+  });
+
+  it("reports expired offers and offers of the wrong kind", async () => {
+    process.env.OFFER_STORE_TTL_MS = "1";
+    const expired = storeOffer("a", "flight-offer", { id: "1" });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.equal(findOffer("a", expired), undefined);
+    assert.throws(
+      () => resolveOffers("tool", "offerIds", "a", [expired], "flight-offer"),
+      /has expired/
+    );
+
+    delete process.env.OFFER_STORE_TTL_MS;
+    const unpriced = storeOffer("a", "flight-offer", { id: "2" });
+    assert.throws(
+      () => resolveOffers("tool", "pricedOfferIds", "a", [unpriced], "priced-flight-offer"),
+      /call get_flight_offers_pricing first/
+    );
+  });
+
+  it("drops sessions whose offers have all expired", async () => {
+    const sessionCount = () => Number(/^mcp_offer_store_sessions (\d+)$/m.exec(renderMetrics())[1]);
+    process.env.OFFER_STORE_TTL_MS = "1";
+    for (let index = 0; index < 5; index++) {
+      storeOffer(`abandoned-${index}`, "flight-offer", { id: String(index) });
+    }
+    assert.ok(sessionCount() >= 5);
+
+    // Expired offers are kept for one more TTL, then swept with their sessions
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    storeOffer("a", "flight-offer", { id: "live" });
+    assert.equal(sessionCount(), 1);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildOpenApiDocument, renderDocsPage } from "../lib/openapi.js";
+
+const TOOL = {
+  path: "ws/my-collection/echo.js",
+  definition: {
+    type: "function",
+    function: {
+      name: "echo",
+      description: "Echo <things>",
+      parameters: {
+        type: "object",
+        properties: { text: { type: "string", description: "Text to echo" } },
+        required: ["text"],
+      },
+    },
+  },
+};
+
+describe("OpenAPI document", () => {
+  it("documents one operation per tool", () => {
+    const document = buildOpenApiDocument([TOOL], { serverUrl: "http://localhost:3001" });
+    const operation = document.paths["/api/tools/echo"].post;
+    assert.deepEqual(operation.tags, ["my-collection"]);
+    assert.equal(operation.requestBody.required, true);
+    assert.deepEqual(Object.keys(operation.responses), ["200", "400", "404", "429", "500", "502", "504"]);
+    assert.equal(document.security, undefined);
+  });
+
+  it("declares API key security when authentication is enabled", () => {
+    const document = buildOpenApiDocument([TOOL], {
+      serverUrl: "http://localhost:3001",
+      authEnabled: true,
+    });
+    assert.deepEqual(Object.keys(document.components.securitySchemes), [
+      "bearerAuth",
+      "apiKeyHeader",
+    ]);
+    assert.ok(document.paths["/api/tools/echo"].post.responses["401"]);
+  });
+
+  it("renders escaped HTML docs with example requests", () => {
+    const html = renderDocsPage(
+      buildOpenApiDocument([TOOL], { serverUrl: "http://localhost:3001" })
+    );
+    assert.match(html, /Echo &lt;things&gt;/);
+    assert.match(html, /-d '\{&quot;text&quot;:&quot;string&quot;\}'/);
+  });
+});
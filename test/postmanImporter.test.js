@@ -0,0 +1,161 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { importPostmanCollection } from "../lib/postmanImporter.js";
+import { startMockAmadeus } from "../lib/mockAmadeus.js";
+import { ROOT_DIR } from "./helpers.js";
+
+const FIXTURES_DIR = path.join(ROOT_DIR, "test", "fixtures");
+
+describe("Postman collection importer", () => {
+  let toolsDir;
+  let importOptions;
+
+  before(() => {
+    // Generated modules import lib/ by relative path, so keep them in the repo
+    toolsDir = fs.mkdtempSync(path.join(ROOT_DIR, "test", "tmp-tools-"));
+    importOptions = {
+      collectionFile: path.join(FIXTURES_DIR, "amadeus-extra.postman_collection.json"),
+      environmentFiles: [path.join(FIXTURES_DIR, "amadeus-test.postman_environment.json")],
+      workspace: "amadeus-workspace",
+      toolsDir,
+    };
+  });
+
+  after(() => {
+    fs.rmSync(toolsDir, { recursive: true, force: true });
+  });
+
+  it("generates one tool module per request", async () => {
+    const result = importPostmanCollection(importOptions);
+    assert.deepEqual(result.created, [
+      "amadeus-workspace/amadeus-extra/hotels-hotel-list-by-city.js",
+      "amadeus-workspace/amadeus-extra/flight-order-retrieve.js",
+      "amadeus-workspace/amadeus-extra/seatmap-display.js",
+    ]);
+
+    const { apiTool } = await import(
+      pathToFileURL(path.join(toolsDir, result.created[0])).href
+    );
+    assert.deepEqual(apiTool.definition.function.parameters, {
+      type: "object",
+      properties: {
+        cityCode: { type: "string", description: "IATA city code" },
+        radius: { type: "integer", description: "The radius parameter." },
+      },
+      required: ["cityCode"],
+    });
+  });
+
+  it("generates working Amadeus requests with path variables", async () => {
+    const mock = await startMockAmadeus();
+    process.env.AMADEUS_BASE_URL = mock.url;
+    process.env.AMADEUS_CLIENT_ID = "test-client";
+    process.env.AMADEUS_CLIENT_SECRET = "test-secret";
+    try {
+      const { apiTool } = await import(
+        pathToFileURL(
+          path.join(toolsDir, "amadeus-workspace/amadeus-extra/flight-order-retrieve.js")
+        ).href
+      );
+      assert.deepEqual(apiTool.definition.function.parameters.required, ["flightOrderId"]);
+      // An encoded "/" keeps the id in one path segment, so the order route answers
+      await assert.rejects(
+        apiTool.function({ flightOrderId: "a/b" }),
+        (error) => error.name === "AmadeusApiError" && error.errors[0].detail === "Flight order not found"
+      );
+    } finally {
+      delete process.env.AMADEUS_BASE_URL;
+      await mock.close();
+    }
+  });
+
+  it("keeps modules that were edited by hand on re-import", () => {
+    const edited = path.join(toolsDir, "amadeus-workspace/amadeus-extra/seatmap-display.js");
+    fs.appendFileSync(edited, "// manual change\n");
+
+    const result = importPostmanCollection(importOptions);
+    assert.deepEqual(result.skipped, ["amadeus-workspace/amadeus-extra/seatmap-display.js"]);
+    assert.equal(result.unchanged.length, 2);
+    assert.match(fs.readFileSync(edited, "utf8"), /manual change/);
+
+    const forced = importPostmanCollection({ ...importOptions, force: true });
+    assert.deepEqual(forced.updated, ["amadeus-workspace/amadeus-extra/seatmap-display.js"]);
+  });
+
+  it("generates valid modules from hostile names and URLs", async () => {
+    const collectionFile = path.join(toolsDir, "partner.postman_collection.json");
+    fs.writeFileSync(
+      collectionFile,
+      JSON.stringify({
+        info: { name: "2024 Partner API", schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json" },
+        item: [
+          {
+            name: "Get */ item",
+            request: {
+              method: "GET",
+              url: { raw: "https://partner.example.com/v1/it`em${globalThis.injected = 1}/:id", variable: [{ key: "id" }] },
+            },
+          },
+        ],
+      })
+    );
+    const { created } = importPostmanCollection({ collectionFile, workspace: "partner", toolsDir });
+    const { apiTool } = await import(pathToFileURL(path.join(toolsDir, created[0])).href);
+    assert.equal(globalThis.injected, undefined);
+
+    const originalFetch = globalThis.fetch;
+    const requested = [];
+    globalThis.fetch = async (url) => {
+      requested.push(String(url));
+      return new Response("{}", { status: 200 });
+    };
+    process.env._2024_PARTNER_API_BASE_URL = "http://partner.test";
+    try {
+      await apiTool.function({ id: "a/b" });
+    } finally {
+      globalThis.fetch = originalFetch;
+      delete process.env._2024_PARTNER_API_BASE_URL;
+    }
+    assert.deepEqual(requested, ["http://partner.test/v1/it%60em$%7BglobalThis.injected%20=%201%7D/a%2Fb"]);
+    assert.equal(globalThis.injected, undefined);
+  });
+
+  it("keeps query keys that are not identifiers and requires an unresolved base URL", async () => {
+    const collectionFile = path.join(toolsDir, "paged.postman_collection.json");
+    fs.writeFileSync(
+      collectionFile,
+      JSON.stringify({
+        info: { name: "Paged API", schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json" },
+        item: [
+          {
+            name: "List items",
+            request: { method: "GET", url: { raw: "{{baseUrl}}/items?page[size]=10&x-id=abc&__proto__=1" } },
+          },
+        ],
+      })
+    );
+    const { created } = importPostmanCollection({ collectionFile, workspace: "paged", toolsDir });
+    const { apiTool } = await import(pathToFileURL(path.join(toolsDir, created[0])).href);
+    assert.deepEqual(Object.keys(apiTool.definition.function.parameters.properties), ["page[size]", "x-id"]);
+
+    await assert.rejects(apiTool.function({}), /PAGED_API_BASE_URL is not set, and the collection gives no base URL \({{baseUrl}}\)/);
+
+    const originalFetch = globalThis.fetch;
+    const requested = [];
+    globalThis.fetch = async (url) => {
+      requested.push(String(url));
+      return new Response("{}", { status: 200 });
+    };
+    process.env.PAGED_API_BASE_URL = "http://paged.test";
+    try {
+      await apiTool.function({ "page[size]": 5, "x-id": "a b" });
+    } finally {
+      globalThis.fetch = originalFetch;
+      delete process.env.PAGED_API_BASE_URL;
+    }
+    assert.deepEqual(requested, ["http://paged.test/items?page%5Bsize%5D=5&x-id=a+b"]);
+  });
+});
@@ -0,0 +1,90 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ToolArgumentsError } from "../lib/errors.js";
+import {
+  loadPrompts,
+  parsePromptTemplate,
+  renderPrompt,
+  validatePrompt,
+} from "../lib/prompts.js";
+import { discoverTools } from "../lib/tools.js";
+
+const TEMPLATE = `---
+name: greet
+description: "Say hello"
+arguments:
+  - name: who
+    description: Who to greet
+    required: true
+  - name: mood
+---
+Hello {{who}}!{{#mood}} You seem {{mood}}.{{/mood}}{{^mood}} How are you?{{/mood}}
+`;
+
+describe("prompt templates", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "prompts-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("parses front matter and renders sections", () => {
+    const prompt = parsePromptTemplate(TEMPLATE);
+    assert.equal(prompt.description, "Say hello");
+    assert.deepEqual(prompt.arguments, [
+      { name: "who", description: "Who to greet", required: true },
+      { name: "mood" },
+    ]);
+    assert.deepEqual(validatePrompt(prompt), []);
+
+    assert.equal(renderPrompt(prompt, { who: "Ana" }), "Hello Ana! How are you?");
+    assert.equal(renderPrompt(prompt, { who: "Ana", mood: "happy" }), "Hello Ana! You seem happy.");
+    assert.throws(() => renderPrompt(prompt, { who: " " }), (error) => {
+      assert.ok(error instanceof ToolArgumentsError);
+      assert.deepEqual(error.errors, [{ field: "who", message: "is required" }]);
+      return true;
+    });
+  });
+
+  it("skips templates that are malformed or use undeclared arguments", () => {
+    fs.writeFileSync(path.join(dir, "greet.md"), TEMPLATE);
+    fs.writeFileSync(path.join(dir, "copy.md"), TEMPLATE);
+    fs.writeFileSync(path.join(dir, "bare.md"), "Hello {{who}}");
+    fs.writeFileSync(
+      path.join(dir, "broken.md"),
+      "---\nname: broken\n---\n{{#who}}Hi {{name}}\n"
+    );
+
+    const { prompts, skipped } = loadPrompts({ dir });
+    assert.deepEqual(prompts.map((prompt) => prompt.path), ["copy.md"]);
+    assert.deepEqual(skipped, [
+      { path: "bare.md", errors: ["must start with a front matter block between --- lines"] },
+      {
+        path: "broken.md",
+        errors: [
+          "uses {{name}} but declares no such argument",
+          "has an unclosed or unopened {{#…}}/{{^…}} section",
+        ],
+      },
+      { path: "greet.md", errors: ['prompt name "greet" is already used by copy.md'] },
+    ]);
+  });
+
+  it("only mentions tools that exist in the bundled prompts", async () => {
+    const { prompts, skipped } = loadPrompts();
+    assert.deepEqual(skipped, []);
+    const toolNames = new Set((await discoverTools()).map((tool) => tool.definition.function.name));
+    for (const prompt of prompts) {
+      for (const [, name] of prompt.template.matchAll(/`([a-z]+(?:_[a-z]+)+)`/g)) {
+        assert.ok(toolNames.has(name), `${prompt.path} mentions unknown tool ${name}`);
+      }
+    }
+  });
+});
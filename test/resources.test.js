@@ -0,0 +1,81 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { clearSession, storeOffer } from "../lib/offerStore.js";
+import {
+  clearOrders,
+  listOrders,
+  markOrderCancelled,
+  onOrderChange,
+  recordOrder,
+} from "../lib/orderStore.js";
+import { listResources, readResource } from "../lib/resources.js";
+import { discoverTools } from "../lib/tools.js";
+
+describe("MCP resources", () => {
+  afterEach(() => {
+    for (const sessionId of ["a", "b"]) {
+      clearSession(sessionId);
+      clearOrders(sessionId);
+    }
+  });
+
+  it("reports order changes once per change", () => {
+    const changes = [];
+    const unsubscribe = onOrderChange((change) => changes.push(change));
+    try {
+      const order = { id: "eJzTd9f3NjIJdzUGAAp%2fAiY", type: "flight-order" };
+      recordOrder("a", "flight-order", order);
+      recordOrder("a", "flight-order", { ...order });
+      markOrderCancelled("a", order.id);
+      markOrderCancelled("b", order.id);
+      recordOrder("a", "flight-order", { type: "flight-order" });
+
+      assert.deepEqual(changes, [
+        { sessionId: "a", orderId: order.id, created: true },
+        { sessionId: "a", orderId: order.id, created: false },
+      ]);
+      assert.deepEqual(
+        listOrders("a").map(({ orderId, status }) => ({ orderId, status })),
+        [{ orderId: order.id, status: "cancelled" }]
+      );
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  it("only shows a session its own offers and orders", () => {
+    const offerId = storeOffer("a", "flight-offer", { id: "1", type: "flight-offer" });
+    recordOrder("a", "hotel-order", { id: "4L8PRJ", type: "hotel-order" });
+
+    const uris = listResources("a").map((resource) => resource.uri);
+    assert.ok(uris.includes(`amadeus://offers/${offerId}`));
+    assert.ok(uris.includes("amadeus://orders/4L8PRJ"));
+    assert.ok(uris.includes("amadeus://reference/airlines"));
+    assert.equal(listResources("b").length, uris.length - 2);
+
+    const offer = readResource(`amadeus://offers/${offerId}`, "a", { tools: [] });
+    assert.deepEqual(offer.offer, { id: "1", type: "flight-offer" });
+    assert.equal(offer.kind, "flight-offer");
+    assert.equal(readResource("amadeus://orders/4L8PRJ", "a", { tools: [] }).kind, "hotel-order");
+    assert.equal(readResource(`amadeus://offers/${offerId}`, "b", { tools: [] }), undefined);
+    assert.equal(readResource("amadeus://orders/4L8PRJ", "b", { tools: [] }), undefined);
+    assert.equal(readResource("amadeus://reference/unknown", "a", { tools: [] }), undefined);
+  });
+
+  it("serves reference data and the tools it is given", async () => {
+    const cities = readResource("amadeus://reference/cities", "a", { tools: [] });
+    assert.ok(cities.PAR.airports.includes("CDG"));
+    assert.equal(readResource("amadeus://reference/airports", "a", { tools: [] }).CDG.cityCode, "PAR");
+
+    const tools = (await discoverTools()).filter((tool) =>
+      ["list_hotels", "create_hotel_order"].includes(tool.definition.function.name)
+    );
+    const catalogue = readResource("amadeus://server/tools", "a", { tools });
+    assert.deepEqual(catalogue.map((tool) => tool.name).sort(), ["create_hotel_order", "list_hotels"]);
+
+    // Only cached tools have a TTL; no secrets are exposed
+    const config = readResource("amadeus://server/config", "a", { tools });
+    assert.deepEqual(Object.keys(config.cacheTtlSeconds), ["list_hotels"]);
+    assert.doesNotMatch(JSON.stringify(config), /secret|clientId/i);
+  });
+});
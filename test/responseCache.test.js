@@ -0,0 +1,111 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  cacheKey,
+  cachedCall,
+  clearCache,
+  createFileBackend,
+  createMemoryBackend,
+  getCacheTtl,
+  setCacheBackend,
+} from "../lib/responseCache.js";
+import { ROOT_DIR } from "./helpers.js";
+
+function countingLoader(value) {
+  const loader = async () => {
+    loader.calls += 1;
+    return structuredClone(value);
+  };
+  loader.calls = 0;
+  return loader;
+}
+
+describe("response cache", () => {
+  afterEach(() => {
+    setCacheBackend(undefined);
+    delete process.env.CACHE_TTLS;
+    delete process.env.CACHE_BACKEND;
+    delete process.env.CACHE_DIR;
+  });
+
+  it("serves repeated calls from memory until bypassed", async () => {
+    setCacheBackend(createMemoryBackend());
+    const loader = countingLoader({ data: [1, 2] });
+    const args = { originLocationCode: "MAD", max: "5" };
+
+    const first = await cachedCall("search_flight_offers", args, loader);
+    assert.equal(first.cache.status, "miss");
+    first.value.data.push(3);
+
+    const second = await cachedCall("search_flight_offers", { max: "5", originLocationCode: "MAD" }, loader);
+    assert.deepEqual(second.cache, { status: "hit", ttlSeconds: 300, ageSeconds: 0 });
+    assert.deepEqual(second.value, { data: [1, 2] });
+
+    const third = await cachedCall("search_flight_offers", args, loader, { bypass: true });
+    assert.equal(third.cache.status, "bypass");
+    assert.equal(loader.calls, 2);
+  });
+
+  it("never caches bookings or tokens and honours CACHE_TTLS", async () => {
+    setCacheBackend(createMemoryBackend());
+    process.env.CACHE_TTLS = JSON.stringify({ create_flight_order: 600, search_flight_offers: 0 });
+    assert.equal(getCacheTtl("create_flight_order"), 0);
+    assert.equal(getCacheTtl("request_access_token"), 0);
+
+    const loader = countingLoader({});
+    await cachedCall("create_flight_order", {}, loader);
+    const { cache } = await cachedCall("create_flight_order", {}, loader);
+    assert.equal(cache.status, "disabled");
+    assert.equal(loader.calls, 2);
+  });
+
+  it("does not cache failures", async () => {
+    setCacheBackend(createMemoryBackend());
+    await assert.rejects(
+      cachedCall("search_flight_offers", { a: 1 }, async () => {
+        throw new Error("upstream");
+      })
+    );
+    const { cache } = await cachedCall("search_flight_offers", { a: 1 }, async () => ({}));
+    assert.equal(cache.status, "miss");
+  });
+
+  it("persists entries in the file backend and clears them per tool", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-cache-"));
+    try {
+      process.env.CACHE_TTLS = JSON.stringify({ other_tool: 60 });
+      setCacheBackend(createFileBackend({ dir }));
+      await cachedCall("search_flight_offers", { a: 1 }, async () => ({ ok: true }));
+      await cachedCall("other_tool", { a: 1 }, async () => ({ ok: true }));
+      assert.ok(fs.existsSync(path.join(dir, `${cacheKey("search_flight_offers", { a: 1 })}.json`)));
+
+      // A fresh backend on the same directory sees the entry
+      setCacheBackend(createFileBackend({ dir }));
+      const { cache } = await cachedCall("search_flight_offers", { a: 1 }, async () => ({}));
+      assert.equal(cache.status, "hit");
+
+      assert.equal(await clearCache("search_flight_offers"), 1);
+      assert.equal(await clearCache(), 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("resolves a relative CACHE_DIR from the repository root", async () => {
+    const dir = fs.mkdtempSync(path.join(ROOT_DIR, "test", "tmp-cache-"));
+    const cwd = process.cwd();
+    process.env.CACHE_BACKEND = "file";
+    process.env.CACHE_DIR = path.relative(ROOT_DIR, dir);
+    try {
+      process.chdir(os.tmpdir());
+      await cachedCall("search_flight_offers", { a: 1 }, async () => ({ ok: true }));
+      assert.ok(fs.existsSync(path.join(dir, `${cacheKey("search_flight_offers", { a: 1 })}.json`)));
+    } finally {
+      process.chdir(cwd);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,157 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { ToolListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { loadTools, validateApiTool, watchTools } from "../lib/tools.js";
+import { startHttpServer } from "./helpers.js";
+
+function toolSource(name, { result = "ok", parameters = "{ type: 'object', properties: {} }" } = {}) {
+  return `export const apiTool = {
+  function: async () => (${JSON.stringify(result)}),
+  definition: {
+    type: 'function',
+    function: { name: '${name}', description: 'Test tool', parameters: ${parameters} }
+  }
+};
+`;
+}
+
+// Node versions without module syntax detection need the type to load ESM from a temp dir
+function makeToolsDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-tools-"));
+  fs.writeFileSync(path.join(dir, "package.json"), JSON.stringify({ type: "module" }));
+  return dir;
+}
+
+function writeTool(dir, file, source) {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), source);
+}
+
+describe("tool discovery", () => {
+  let dir;
+
+  before(() => {
+    dir = makeToolsDir();
+    writeTool(dir, "ws/col/good.js", toolSource("good_tool"));
+    writeTool(dir, "ws/col/syntax-error.js", "export const apiTool = {");
+    writeTool(dir, "ws/col/throws.js", "throw new Error('boom');");
+    writeTool(dir, "ws/col/no-export.js", "export const helper = 1;");
+    writeTool(dir, "ws/col/bad-schema.js", toolSource("bad_schema", { parameters: "{ type: 'object', properties: { a: { type: 'nope' } } }" }));
+    writeTool(dir, "ws/other/zz-duplicate.js", toolSource("good_tool"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("loads every valid module below the directory and reports broken ones", async () => {
+    const { tools, skipped } = await loadTools({ dir });
+    assert.deepEqual(
+      tools.map((tool) => [tool.path, tool.definition.function.name]),
+      [["ws/col/good.js", "good_tool"]]
+    );
+    assert.deepEqual(
+      skipped.map((entry) => entry.path),
+      [
+        "ws/col/bad-schema.js",
+        "ws/col/no-export.js",
+        "ws/col/syntax-error.js",
+        "ws/col/throws.js",
+        "ws/other/zz-duplicate.js",
+      ]
+    );
+    const reasons = Object.fromEntries(skipped.map((entry) => [entry.path, entry.errors[0]]));
+    assert.match(reasons["ws/col/throws.js"], /failed to import: boom/);
+    assert.match(reasons["ws/col/bad-schema.js"], /parameters is not a valid JSON Schema/);
+    assert.match(reasons["ws/other/zz-duplicate.js"], /already used by ws\/col\/good.js/);
+  });
+
+  it("describes malformed apiTool exports", () => {
+    assert.deepEqual(validateApiTool(undefined), ["does not export an apiTool object"]);
+    assert.deepEqual(
+      validateApiTool({
+        function: "nope",
+        definition: { type: "function", function: { name: "has space" } },
+      }),
+      [
+        "apiTool.function must be a function",
+        "name must be 1-64 letters, digits, underscores or hyphens",
+      ]
+    );
+  });
+
+  it("reloads the shared tools array when files change", async () => {
+    const { tools } = await loadTools({ dir });
+    const changes = [];
+    const watcher = watchTools(tools, {
+      dir,
+      debounceMs: 50,
+      onChange: (change) => changes.push(change),
+    });
+    try {
+      writeTool(dir, "ws/col/added.js", toolSource("added_tool"));
+      await waitFor(() => changes.length > 0);
+      assert.deepEqual(changes[0], { added: ["added_tool"], removed: [], updated: [] });
+      assert.ok(tools.some((tool) => tool.definition.function.name === "added_tool"));
+
+      fs.rmSync(path.join(dir, "ws/col/added.js"));
+      await waitFor(() => changes.length > 1);
+      assert.deepEqual(changes[1].removed, ["added_tool"]);
+    } finally {
+      watcher.close();
+    }
+  });
+});
+
+describe("hot reload over Streamable HTTP", () => {
+  let dir;
+  let server;
+
+  before(async () => {
+    dir = makeToolsDir();
+    writeTool(dir, "ws/col/first.js", toolSource("first_tool"));
+    server = await startHttpServer(["--http", "--mock"], { MCP_TOOLS_DIR: dir });
+  });
+
+  after(async () => {
+    await server?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("notifies connected sessions when a tool is added or changed", async () => {
+    const client = new Client({ name: "e2e-reload", version: "1.0.0" });
+    let notifications = 0;
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+      notifications += 1;
+    });
+    const transport = new StreamableHTTPClientTransport(new URL(`${server.url}/mcp`));
+    await client.connect(transport);
+    assert.deepEqual(client.getServerCapabilities().tools, { listChanged: true });
+
+    writeTool(dir, "ws/col/second.js", toolSource("second_tool"));
+    await waitFor(() => notifications >= 1);
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map((tool) => tool.name), ["first_tool", "second_tool"]);
+
+    writeTool(dir, "ws/col/second.js", toolSource("second_tool", { result: "v2" }));
+    await waitFor(() => notifications >= 2);
+    const result = await client.callTool({ name: "second_tool", arguments: {} });
+    assert.equal(result.content[0].text, '"v2"');
+
+    await transport.terminateSession();
+    await client.close();
+  });
+});
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+}
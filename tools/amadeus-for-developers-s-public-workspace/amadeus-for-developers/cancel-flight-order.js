@@ -0,0 +1,111 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError, ToolArgumentsError } from '../../../lib/errors.js';
+import {
+  consumeConfirmation,
+  createConfirmation,
+  isDryRun,
+  summarizeFlightOrder
+} from '../../../lib/booking.js';
+import { markOrderCancelled, recordOrder } from '../../../lib/orderStore.js';
+import { updateBookingStatus } from '../../../lib/ledger.js';
+
+const TOOL_NAME = 'cancel_flight_order';
+
+const orderUrl = (orderId) =>
+  amadeusUrl(`/v1/booking/flight-orders/${encodeURIComponent(orderId)}`);
+
+/**
+ * Function to cancel a flight order using the Amadeus API.
+ *
+ * Like create_flight_order, cancelling takes two calls: the first looks the
+ * order up and returns its summary with a short-lived confirmationToken; the
+ * second, with only that token, deletes the order (or simulates it in
+ * dry-run mode).
+ *
+ * @param {Object} args - Arguments for cancelling the order.
+ * @param {string} [args.orderId] - The order id returned by create_flight_order.
+ * @param {string} [args.confirmationToken] - Token from a previous call, to cancel the order.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.sessionId] - Session the order is recorded for.
+ * @returns {Promise<Object>} - The confirmation request, or the cancellation result.
+ */
+const executeFunction = async ({ orderId, confirmationToken }, context = {}) => {
+  if (!confirmationToken) {
+    if (!orderId) {
+      throw new ToolArgumentsError(TOOL_NAME, [
+        { field: 'orderId', message: 'is required unless confirmationToken is given' }
+      ]);
+    }
+
+    // Look the order up first so the user confirms what is being cancelled
+    const response = await fetchWithAuth(orderUrl(orderId), { method: 'GET' });
+    if (!response.ok) {
+      throw await AmadeusApiError.fromResponse(response);
+    }
+    const order = await response.json();
+    recordOrder(context.sessionId, 'flight-order', order.data);
+    return {
+      status: 'confirmation_required',
+      ...createConfirmation(TOOL_NAME, { orderId }, context),
+      dryRun: isDryRun(),
+      orderId,
+      summary: summarizeFlightOrder(order.data),
+      message: 'Nothing has been cancelled yet. Review the summary with the user, then call cancel_flight_order again with only the confirmationToken to cancel the order.'
+    };
+  }
+
+  const request = consumeConfirmation(TOOL_NAME, confirmationToken, context);
+  if (isDryRun()) {
+    return {
+      status: 'dry_run',
+      message: 'Dry-run mode is enabled; the order was not cancelled.',
+      orderId: request.orderId
+    };
+  }
+
+  // Amadeus answers 204 No Content once the order is deleted. Not retried:
+  // a retry after a lost response would report the cancelled order as missing.
+  const response = await fetchWithAuth(orderUrl(request.orderId), {
+    method: 'DELETE',
+    idempotent: false
+  });
+  if (!response.ok) {
+    throw await AmadeusApiError.fromResponse(response);
+  }
+  markOrderCancelled(context.sessionId, request.orderId);
+  updateBookingStatus(request.orderId, 'cancelled');
+  return { status: 'cancelled', orderId: request.orderId };
+};
+
+/**
+ * Tool configuration for cancelling flight orders using the Amadeus API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Cancel a flight order created with create_flight_order. Cancelling takes two calls: the first, with the orderId, returns a summary of the order and a confirmationToken; nothing is cancelled until cancel_flight_order is called again with only that confirmationToken.',
+      parameters: {
+        type: 'object',
+        properties: {
+          orderId: {
+            type: 'string',
+            minLength: 1,
+            description: 'The flight order id, i.e. data.id in the create_flight_order result.'
+          },
+          confirmationToken: {
+            type: 'string',
+            description: 'The confirmationToken returned by a previous call in the same session. When given, the order is cancelled and orderId is ignored.'
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
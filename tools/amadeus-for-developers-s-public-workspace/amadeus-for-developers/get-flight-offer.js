@@ -0,0 +1,46 @@
+import { findOffer, resolveOffers } from '../../../lib/offerStore.js';
+
+const TOOL_NAME = 'get_flight_offer';
+
+/**
+ * Function to return a flight offer kept by an earlier search or pricing call.
+ *
+ * @param {Object} args - Arguments for the lookup.
+ * @param {string} args.offerId - The offerId returned by search_flight_offers or get_flight_offers_pricing.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.sessionId] - Session whose offer store is used.
+ * @returns {Promise<Object>} - The full flight offer.
+ */
+const executeFunction = async ({ offerId }, context = {}) => {
+  const kind = findOffer(context.sessionId, offerId)?.kind || 'flight-offer';
+  const [offer] = resolveOffers(TOOL_NAME, 'offerId', context.sessionId, [offerId], kind);
+  return { ...offer, offerId };
+};
+
+/**
+ * Tool configuration for returning a stored flight offer.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Get the full details of a flight offer returned earlier in this session by search_flight_offers or get_flight_offers_pricing. Does not call Amadeus.',
+      parameters: {
+        type: 'object',
+        properties: {
+          offerId: {
+            type: 'string',
+            pattern: '^(off|prc)_',
+            description: 'The offerId of the flight offer.'
+          }
+        },
+        required: ['offerId']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,65 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError } from '../../../lib/errors.js';
+import { recordOrder } from '../../../lib/orderStore.js';
+
+const TOOL_NAME = 'get_flight_order';
+
+/**
+ * Function to retrieve a flight order created with create_flight_order.
+ *
+ * @param {Object} args - Arguments for the lookup.
+ * @param {string} args.orderId - The order id returned by create_flight_order (data.id).
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.sessionId] - Session the order is recorded for.
+ * @returns {Promise<Object>} - The flight order, as returned by Amadeus.
+ */
+const executeFunction = async ({ orderId }, context = {}) => {
+  const url = amadeusUrl(`/v1/booking/flight-orders/${encodeURIComponent(orderId)}`);
+
+  // Perform the fetch request with a cached access token
+  const response = await fetchWithAuth(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+
+  // Surface Amadeus's structured errors to the caller
+  if (!response.ok) {
+    throw await AmadeusApiError.fromResponse(response);
+  }
+
+  // Parse the response and keep the latest copy for the amadeus://orders resources
+  const data = await response.json();
+  recordOrder(context.sessionId, 'flight-order', data.data);
+  return data;
+};
+
+/**
+ * Tool configuration for retrieving flight orders using the Amadeus API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Retrieve a flight order (itineraries, travelers, contacts, ticketing status) by the id returned by create_flight_order.',
+      parameters: {
+        type: 'object',
+        properties: {
+          orderId: {
+            type: 'string',
+            minLength: 1,
+            description: 'The flight order id, i.e. data.id in the create_flight_order result.'
+          }
+        },
+        required: ['orderId']
+      }
+    }
+  }
+};
+
+export { apiTool };
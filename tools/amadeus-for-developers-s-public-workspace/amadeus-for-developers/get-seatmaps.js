@@ -0,0 +1,129 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError, ToolArgumentsError } from '../../../lib/errors.js';
+import { findOffer, resolveOffers } from '../../../lib/offerStore.js';
+
+const TOOL_NAME = 'get_seatmaps';
+
+/**
+ * Reduces a seat map to the seats a traveler can still pick, per segment.
+ */
+const summarizeSeatmap = (seatmap) => {
+  const seats = (seatmap.decks || []).flatMap((deck) => deck.seats || []);
+  const available = seats.filter((seat) =>
+    (seat.travelerPricing || []).some((pricing) => pricing.seatAvailabilityStatus === 'AVAILABLE')
+  );
+  return {
+    segmentId: seatmap.segmentId,
+    flightOfferId: seatmap.flightOfferId,
+    flight: `${seatmap.carrierCode}${seatmap.number}`,
+    from: seatmap.departure?.iataCode,
+    to: seatmap.arrival?.iataCode,
+    departure: seatmap.departure?.at,
+    aircraft: seatmap.aircraft?.code,
+    totalSeats: seats.length,
+    availableSeats: available.map((seat) => {
+      const price = seat.travelerPricing.find((pricing) => pricing.price)?.price;
+      return {
+        number: seat.number,
+        cabin: seat.cabin,
+        characteristics: seat.characteristicsCodes || [],
+        ...(price && { price: `${price.total} ${price.currency}` })
+      };
+    })
+  };
+};
+
+/**
+ * Function to get seat maps for flight offers or an existing flight order.
+ *
+ * @param {Object} args - Arguments for the seat map request.
+ * @param {Array<string>} [args.offerIds] - offerIds from search_flight_offers or get_flight_offers_pricing.
+ * @param {string} [args.flightOrderId] - The id of an order created with create_flight_order.
+ * @param {string} [args.format] - "full" for the Amadeus payload, "summary" for available seats per segment.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.sessionId] - Session whose offer store is used.
+ * @returns {Promise<Object>} - The seat maps.
+ */
+const executeFunction = async ({ offerIds, flightOrderId, format = 'full' }, context = {}) => {
+  if (!offerIds === !flightOrderId) {
+    throw new ToolArgumentsError(TOOL_NAME, [
+      { field: 'offerIds', message: 'or flightOrderId is required, but not both' }
+    ]);
+  }
+
+  let response;
+  if (flightOrderId) {
+    const queryParams = new URLSearchParams({ 'flight-orderId': flightOrderId });
+    response = await fetchWithAuth(`${amadeusUrl('/v1/shopping/seatmaps')}?${queryParams}`, {
+      method: 'GET'
+    });
+  } else {
+    // Seat maps work for searched and priced offers alike, one kind per call
+    const kind = findOffer(context.sessionId, offerIds[0])?.kind || 'flight-offer';
+    const flightOffers = resolveOffers(TOOL_NAME, 'offerIds', context.sessionId, offerIds, kind);
+    response = await fetchWithAuth(amadeusUrl('/v1/shopping/seatmaps'), {
+      method: 'POST',
+      idempotent: true,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-HTTP-Method-Override': 'GET'
+      },
+      body: JSON.stringify({ data: flightOffers })
+    });
+  }
+
+  // Surface Amadeus's structured errors to the caller
+  if (!response.ok) {
+    throw await AmadeusApiError.fromResponse(response);
+  }
+
+  const data = await response.json();
+  if (format === 'summary') {
+    return { segments: (data.data || []).map(summarizeSeatmap) };
+  }
+  return data;
+};
+
+/**
+ * Tool configuration for getting seat maps using the Amadeus API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Get the seat maps of the flights in flight offers (offerIds from search_flight_offers or get_flight_offers_pricing) or in an existing flight order. Use format "summary" to list only the available seats per segment.',
+      parameters: {
+        type: 'object',
+        properties: {
+          offerIds: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 6,
+            items: {
+              type: 'string',
+              pattern: '^(off|prc)_'
+            },
+            description: 'offerIds of flight offers returned in this session. Give either offerIds or flightOrderId.'
+          },
+          flightOrderId: {
+            type: 'string',
+            minLength: 1,
+            description: 'The id of a flight order created with create_flight_order.'
+          },
+          format: {
+            type: 'string',
+            enum: ['full', 'summary'],
+            description: 'Response format. "summary" returns the available seats, with prices, per flight segment. Defaults to "full".'
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
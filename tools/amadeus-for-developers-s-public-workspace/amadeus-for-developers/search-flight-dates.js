@@ -0,0 +1,134 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError } from '../../../lib/errors.js';
+import { cachedCall } from '../../../lib/responseCache.js';
+import { resolveLocationArgs } from '../../../lib/locations.js';
+
+const TOOL_NAME = 'search_flight_dates';
+
+/**
+ * Function to find the cheapest dates to fly between two cities using the
+ * Amadeus Flight Cheapest Date Search API. Prices come from Amadeus's own
+ * cache, so they are indicative; search_flight_offers gives bookable offers.
+ * Identical searches are served from the response cache.
+ *
+ * @param {Object} args - Arguments for the search.
+ * @param {string} args.origin - IATA code or name of the origin city.
+ * @param {string} args.destination - IATA code or name of the destination city.
+ * @param {string} [args.departureDate] - A date or a "from,to" date range.
+ * @param {boolean} [args.oneWay] - Search one-way instead of round trips.
+ * @param {string} [args.duration] - Trip length in days, or a "min,max" range.
+ * @param {boolean} [args.nonStop] - Only direct flights.
+ * @param {number} [args.maxPrice] - Maximum price.
+ * @param {string} [args.viewBy] - How results are grouped.
+ * @param {boolean} [args.bypassCache] - Skip the response cache.
+ * @returns {Promise<Object>} - The cheapest dates, with `meta.cache`.
+ */
+const executeFunction = async (args) => {
+  const { args: located, resolved } = await resolveLocationArgs(TOOL_NAME, args, ['origin', 'destination']);
+  const { origin, destination, departureDate, oneWay, duration, nonStop, maxPrice, viewBy, bypassCache = false } = located;
+  const url = amadeusUrl('/v1/shopping/flight-dates');
+
+  const queryParams = new URLSearchParams({ origin, destination });
+  if (departureDate) {
+    queryParams.append('departureDate', departureDate);
+  }
+  if (oneWay !== undefined) {
+    queryParams.append('oneWay', String(oneWay));
+  }
+  if (duration) {
+    queryParams.append('duration', duration);
+  }
+  if (nonStop !== undefined) {
+    queryParams.append('nonStop', String(nonStop));
+  }
+  if (maxPrice !== undefined) {
+    queryParams.append('maxPrice', String(maxPrice));
+  }
+  if (viewBy) {
+    queryParams.append('viewBy', viewBy);
+  }
+
+  const { value: data, cache } = await cachedCall(TOOL_NAME, Object.fromEntries(queryParams), async () => {
+    // Perform the fetch request with a cached access token
+    const response = await fetchWithAuth(`${url}?${queryParams.toString()}`, {
+      method: 'GET'
+    });
+
+    // Surface Amadeus's structured errors to the caller
+    if (!response.ok) {
+      throw await AmadeusApiError.fromResponse(response);
+    }
+    return response.json();
+  }, { bypass: bypassCache });
+
+  data.meta = { ...data.meta, cache, ...(Object.keys(resolved).length > 0 && { resolvedLocations: resolved }) };
+  return data;
+};
+
+/**
+ * Tool configuration for the cheapest date search.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Find the cheapest dates to fly between two cities, for flexible travelers. Prices are indicative and come from cached fares; use search_flight_offers on a chosen date to get bookable offers. Not every route is covered.',
+      parameters: {
+        type: 'object',
+        properties: {
+          origin: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 64,
+            description: 'The 3-letter IATA code of the origin city, e.g. MAD, or a city name such as "Madrid", which is resolved to a code.'
+          },
+          destination: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 64,
+            description: 'The 3-letter IATA code of the destination city, e.g. MUC, or a city name such as "Munich", which is resolved to a code.'
+          },
+          departureDate: {
+            type: 'string',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}(,\\d{4}-\\d{2}-\\d{2})?$',
+            description: 'A departure date, or a range as "YYYY-MM-DD,YYYY-MM-DD". Defaults to the coming months.'
+          },
+          oneWay: {
+            type: 'boolean',
+            description: 'Search one-way flights instead of round trips. Defaults to false.'
+          },
+          duration: {
+            type: 'string',
+            pattern: '^\\d+(,\\d+)?$',
+            description: 'Round-trip length in days, or a range as "min,max", e.g. "2,5". Ignored for one-way searches.'
+          },
+          nonStop: {
+            type: 'boolean',
+            description: 'Only return direct flights.'
+          },
+          maxPrice: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Maximum price per traveler, in the currency of the origin.'
+          },
+          viewBy: {
+            type: 'string',
+            enum: ['DATE', 'DURATION', 'WEEK'],
+            description: 'How results are grouped: the cheapest flight per date, per trip length or per week.'
+          },
+          bypassCache: {
+            type: 'boolean',
+            description: 'Skip the response cache and ask Amadeus again. Defaults to false.'
+          }
+        },
+        required: ['origin', 'destination']
+      }
+    }
+  }
+};
+
+export { apiTool };
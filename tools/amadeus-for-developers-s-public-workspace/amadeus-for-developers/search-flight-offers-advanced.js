@@ -0,0 +1,246 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError, ToolArgumentsError } from '../../../lib/errors.js';
+import { storeOffer } from '../../../lib/offerStore.js';
+import { FLIGHT_OFFER_SUMMARY_SCHEMA, summarizeFlightOffers } from '../../../lib/flightSummary.js';
+import { cachedCall } from '../../../lib/responseCache.js';
+import { resolveLocationArgs } from '../../../lib/locations.js';
+
+const TOOL_NAME = 'search_flight_offers_advanced';
+
+/**
+ * Builds the body of the POST flight offers search from the tool arguments.
+ */
+const buildRequestBody = ({ originLocationCode, destinationLocationCode, departureDate, returnDate, adults, children, cabin, includedCarrierCodes, excludedCarrierCodes, nonStop, maxConnections, currencyCode, max }) => {
+  const originDestinations = [
+    { id: '1', originLocationCode, destinationLocationCode, departureDateTimeRange: { date: departureDate } }
+  ];
+  if (returnDate) {
+    originDestinations.push({
+      id: '2',
+      originLocationCode: destinationLocationCode,
+      destinationLocationCode: originLocationCode,
+      departureDateTimeRange: { date: returnDate }
+    });
+  }
+
+  const travelers = [
+    ...Array.from({ length: adults }, () => 'ADULT'),
+    ...Array.from({ length: children }, () => 'CHILD')
+  ].map((travelerType, index) => ({ id: String(index + 1), travelerType }));
+
+  const flightFilters = {};
+  if (cabin) {
+    flightFilters.cabinRestrictions = [{
+      cabin,
+      coverage: 'MOST_SEGMENTS',
+      originDestinationIds: originDestinations.map(({ id }) => id)
+    }];
+  }
+  if (includedCarrierCodes) {
+    flightFilters.carrierRestrictions = { includedCarrierCodes };
+  } else if (excludedCarrierCodes) {
+    flightFilters.carrierRestrictions = { excludedCarrierCodes };
+  }
+  const connections = nonStop ? 0 : maxConnections;
+  if (connections !== undefined) {
+    flightFilters.connectionRestriction = { maxNumberOfConnections: connections };
+  }
+
+  return {
+    ...(currencyCode && { currencyCode }),
+    originDestinations,
+    travelers,
+    sources: ['GDS'],
+    searchCriteria: {
+      maxFlightOffers: max,
+      ...(Object.keys(flightFilters).length > 0 && { flightFilters })
+    }
+  };
+};
+
+/**
+ * Function to search for flight offers with the POST variant of the Amadeus
+ * Flight Offers Search API, which supports cabin, carrier and connection
+ * filters. Offers are stored and summarized exactly like search_flight_offers
+ * results, so the rest of the booking flow accepts their offerIds. City or
+ * airport names are resolved to IATA codes like in search_flight_offers.
+ *
+ * @param {Object} args - Arguments for the search, see the parameters schema.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.sessionId] - Session whose offer store is used.
+ * @returns {Promise<Object>} - The flight offers, with `meta.cache`.
+ */
+const executeFunction = async (args, context = {}) => {
+  const { adults = 1, children = 0, max = 5, format = 'full', bypassCache = false } = args;
+  if (args.includedCarrierCodes && args.excludedCarrierCodes) {
+    throw new ToolArgumentsError(TOOL_NAME, [
+      { field: 'excludedCarrierCodes', message: 'cannot be combined with includedCarrierCodes' }
+    ]);
+  }
+  const { args: located, resolved } = await resolveLocationArgs(TOOL_NAME, args, ['originLocationCode', 'destinationLocationCode']);
+  const requestBody = buildRequestBody({ ...located, adults, children, max });
+
+  const { value: data, cache } = await cachedCall(TOOL_NAME, requestBody, async () => {
+    // Searching has no side effects, so the POST may be retried
+    const response = await fetchWithAuth(amadeusUrl('/v2/shopping/flight-offers'), {
+      method: 'POST',
+      idempotent: true,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-HTTP-Method-Override': 'GET'
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    // Surface Amadeus's structured errors to the caller
+    if (!response.ok) {
+      throw await AmadeusApiError.fromResponse(response);
+    }
+    return response.json();
+  }, { bypass: bypassCache });
+
+  // Remember each offer for later steps
+  for (const offer of data.data || []) {
+    offer.offerId = storeOffer(context.sessionId, 'flight-offer', offer);
+  }
+  const result = format === 'summary' ? summarizeFlightOffers(data) : data;
+  result.meta = { ...result.meta, cache, ...(Object.keys(resolved).length > 0 && { resolvedLocations: resolved }) };
+  return result;
+};
+
+/**
+ * Tool configuration for the filtered flight offers search.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Search for flight offers with filters that search_flight_offers does not support: cabin, included or excluded airlines, maximum connections and children. Every offer carries an offerId that get_flight_offers_pricing and get_seatmaps accept.',
+      parameters: {
+        type: 'object',
+        properties: {
+          originLocationCode: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 64,
+            description: 'The 3-letter IATA code of the origin city or airport, e.g. MAD, or a name such as "Madrid". Names are resolved to a code; an ambiguous name fails with a list of candidates.'
+          },
+          destinationLocationCode: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 64,
+            description: 'The 3-letter IATA code of the destination city or airport, e.g. PAR, or a name such as "Paris". Names are resolved to a code; an ambiguous name fails with a list of candidates.'
+          },
+          departureDate: {
+            type: 'string',
+            format: 'date',
+            description: 'The departure date in YYYY-MM-DD format.'
+          },
+          returnDate: {
+            type: 'string',
+            format: 'date',
+            description: 'The return date in YYYY-MM-DD format, for a round trip.'
+          },
+          adults: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 9,
+            description: 'The number of adults traveling. Defaults to 1.'
+          },
+          children: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 8,
+            description: 'The number of children (2 to 11 years old) traveling. Defaults to 0.'
+          },
+          cabin: {
+            type: 'string',
+            enum: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'],
+            description: 'The cabin most segments must be flown in.'
+          },
+          includedCarrierCodes: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 99,
+            items: {
+              type: 'string',
+              pattern: '^[A-Z0-9]{2}$'
+            },
+            description: 'Only return offers from these airlines (2-letter IATA codes, e.g. IB).'
+          },
+          excludedCarrierCodes: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 99,
+            items: {
+              type: 'string',
+              pattern: '^[A-Z0-9]{2}$'
+            },
+            description: 'Never return offers from these airlines. Cannot be combined with includedCarrierCodes.'
+          },
+          nonStop: {
+            type: 'boolean',
+            description: 'Only return flights without stops. Overrides maxConnections.'
+          },
+          maxConnections: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 2,
+            description: 'The maximum number of connections per itinerary.'
+          },
+          currencyCode: {
+            type: 'string',
+            pattern: '^[A-Z]{3}$',
+            description: 'The ISO 4217 currency for prices, e.g. EUR.'
+          },
+          max: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 250,
+            description: 'The maximum number of flight offers to return. Defaults to 5.'
+          },
+          format: {
+            type: 'string',
+            enum: ['full', 'summary'],
+            description: 'Response format. "summary" returns one compact row per offer; fetch the full offer with get_flight_offer. Defaults to "full".'
+          },
+          bypassCache: {
+            type: 'boolean',
+            description: 'Skip the response cache and fetch fresh offers from Amadeus. Defaults to false.'
+          }
+        },
+        required: ['originLocationCode', 'destinationLocationCode', 'departureDate']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          meta: {
+            type: 'object',
+            description: 'Result metadata; meta.cache.status is "hit", "miss", "bypass" or "disabled".'
+          },
+          data: {
+            type: 'array',
+            description: 'Full Amadeus flight offers (format "full").',
+            items: {
+              type: 'object'
+            }
+          },
+          dictionaries: {
+            type: 'object'
+          },
+          offers: {
+            type: 'array',
+            description: 'Summarized flight offers (format "summary").',
+            items: FLIGHT_OFFER_SUMMARY_SCHEMA
+          }
+        }
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,295 @@
+import { ToolArgumentsError, serializeError } from '../../../lib/errors.js';
+import { DEFAULT_RANKING_WEIGHTS, fetchFlightOffers, itineraryKey, rankOffers, shiftDate } from '../../../lib/flightSearch.js';
+import { FLIGHT_OFFER_SUMMARY_SCHEMA, summarizeFlightOffer } from '../../../lib/flightSummary.js';
+import { resolveLocationCode } from '../../../lib/locations.js';
+import { storeOffer } from '../../../lib/offerStore.js';
+
+const TOOL_NAME = 'search_flight_offers_batch';
+
+// Amadeus searches one batch may send, after flexible dates are expanded
+const MAX_SEARCHES = 20;
+
+/**
+ * Resolves the queries' locations and expands each one to the dates within
+ * ±flexibleDays, dropping dates in the past and duplicate searches.
+ */
+const expandQueries = async (queries, { flexibleDays, adults, travelClass, nonStop, maxPerQuery }) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const searches = new Map();
+  const resolvedLocations = {};
+
+  for (const [index, query] of queries.entries()) {
+    const codes = {};
+    for (const field of ['originLocationCode', 'destinationLocationCode']) {
+      const result = await resolveLocationCode(TOOL_NAME, `queries.${index}.${field}`, query[field]);
+      codes[field] = result.iataCode;
+      if (result.resolved) resolvedLocations[`queries.${index}.${field}`] = result.resolved;
+    }
+
+    for (let offset = -flexibleDays; offset <= flexibleDays; offset++) {
+      const departureDate = shiftDate(query.departureDate, offset);
+      if (departureDate < today) continue;
+      const search = {
+        query: index,
+        ...codes,
+        departureDate,
+        ...(query.returnDate && { returnDate: shiftDate(query.returnDate, offset) }),
+        adults: query.adults ?? adults,
+        ...(travelClass && { travelClass }),
+        ...(nonStop !== undefined && { nonStop }),
+        max: maxPerQuery
+      };
+      const { query: _query, ...params } = search;
+      const key = JSON.stringify(params);
+      if (!searches.has(key)) searches.set(key, search);
+    }
+  }
+
+  if (searches.size === 0) {
+    throw new ToolArgumentsError(TOOL_NAME, [
+      { field: 'queries', message: 'only has departure dates in the past' }
+    ]);
+  }
+  if (searches.size > MAX_SEARCHES) {
+    throw new ToolArgumentsError(TOOL_NAME, [
+      {
+        field: flexibleDays > 0 ? 'flexibleDays' : 'queries',
+        message: `expands to ${searches.size} searches; at most ${MAX_SEARCHES} are allowed, so use fewer queries or flexible days`
+      }
+    ]);
+  }
+  return { searches: [...searches.values()], resolvedLocations };
+};
+
+/**
+ * Function to run several flight offer searches at once and return one
+ * ranked list. Each query is expanded to the dates within ±flexibleDays;
+ * the searches run concurrently through the shared Amadeus client, so its
+ * rate limit and concurrency cap apply, and are served from the response
+ * cache of search_flight_offers. Identical itineraries are kept once, at
+ * their lowest price. The returned offers are stored with offerIds that
+ * get_flight_offers_pricing accepts. Searches that fail are reported in
+ * `meta.failedSearches`; the call only fails when every search does.
+ *
+ * @param {Object} args - Arguments for the batch search.
+ * @param {Array<Object>} args.queries - Origin, destination and dates of each search.
+ * @param {number} [args.flexibleDays=0] - Also search this many days before and after each date.
+ * @param {string} [args.rankBy='price'] - price, duration, stops or score.
+ * @param {Object} [args.weights] - Weights of price, duration and stops for the score.
+ * @param {number} [args.limit=10] - Number of ranked offers to return.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.sessionId] - Session whose offer store is used.
+ * @returns {Promise<Object>} - The ranked, summarized offers and a line per search.
+ */
+const executeFunction = async (args, context = {}) => {
+  const {
+    queries,
+    flexibleDays = 0,
+    adults = 1,
+    travelClass,
+    nonStop,
+    maxPerQuery = 10,
+    rankBy = 'price',
+    weights = DEFAULT_RANKING_WEIGHTS,
+    limit = 10,
+    bypassCache = false
+  } = args;
+  const { searches, resolvedLocations } = await expandQueries(queries, {
+    flexibleDays,
+    adults,
+    travelClass,
+    nonStop,
+    maxPerQuery
+  });
+
+  const results = await Promise.allSettled(
+    searches.map(({ query: _query, ...params }) => fetchFlightOffers(params, { bypassCache }))
+  );
+  if (results.every((result) => result.status === 'rejected')) {
+    throw results[0].reason;
+  }
+
+  // Keep the cheapest offer of each itinerary
+  const candidates = new Map();
+  let offersFound = 0;
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') return;
+    const { data = [], dictionaries } = result.value.value;
+    offersFound += data.length;
+    for (const offer of data) {
+      const key = itineraryKey(offer);
+      const summary = { key, search: index, ...summarizeFlightOffer(offer, dictionaries) };
+      if (!candidates.has(key) || summary.price < candidates.get(key).summary.price) {
+        candidates.set(key, { offer, summary });
+      }
+    }
+  });
+
+  const ranked = rankOffers([...candidates.values()].map(({ summary }) => summary), { rankBy, weights });
+  const offers = ranked.slice(0, limit).map(({ key, ...summary }, index) => ({
+    rank: index + 1,
+    ...summary,
+    offerId: storeOffer(context.sessionId, 'flight-offer', candidates.get(key).offer)
+  }));
+
+  const failedSearches = [];
+  const searchResults = searches.map(({ query, ...params }, index) => {
+    const result = results[index];
+    if (result.status === 'rejected') {
+      failedSearches.push({ search: index, ...serializeError(result.reason) });
+      return { search: index, query, ...params, error: result.reason.message };
+    }
+    return { search: index, query, ...params, offers: result.value.value.data?.length ?? 0, cache: result.value.cache.status };
+  });
+
+  return {
+    meta: {
+      count: offers.length,
+      searches: searches.length,
+      offersFound,
+      duplicatesRemoved: offersFound - candidates.size,
+      rankBy,
+      ...(rankBy === 'score' && { weights }),
+      ...(Object.keys(resolvedLocations).length > 0 && { resolvedLocations }),
+      ...(failedSearches.length > 0 && { failedSearches })
+    },
+    searches: searchResults,
+    offers
+  };
+};
+
+/**
+ * Tool configuration for batch flight offer searches.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Compare flights across several routes, dates or passenger counts in one call instead of calling search_flight_offers repeatedly. Runs every query (optionally ±flexibleDays around its dates) concurrently, removes duplicate itineraries and returns one list of summarized offers ranked by price, duration, stops or a weighted score. Every offer carries an offerId that get_flight_offers_pricing accepts.',
+      parameters: {
+        type: 'object',
+        properties: {
+          queries: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 10,
+            items: {
+              type: 'object',
+              properties: {
+                originLocationCode: {
+                  type: 'string',
+                  minLength: 2,
+                  maxLength: 64,
+                  description: 'IATA code or name of the origin city or airport.'
+                },
+                destinationLocationCode: {
+                  type: 'string',
+                  minLength: 2,
+                  maxLength: 64,
+                  description: 'IATA code or name of the destination city or airport.'
+                },
+                departureDate: {
+                  type: 'string',
+                  format: 'date',
+                  description: 'The departure date in YYYY-MM-DD format.'
+                },
+                returnDate: {
+                  type: 'string',
+                  format: 'date',
+                  description: 'The return date in YYYY-MM-DD format, for a round trip.'
+                },
+                adults: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: 9,
+                  description: 'The number of adults for this query, overriding the shared adults.'
+                }
+              },
+              required: ['originLocationCode', 'destinationLocationCode', 'departureDate']
+            },
+            description: 'The searches to compare, e.g. the same route on several dates or from several airports.'
+          },
+          flexibleDays: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 3,
+            description: 'Also search up to this many days before and after each query\'s dates, keeping the trip length. Defaults to 0. A batch may send at most 20 searches in total.'
+          },
+          adults: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 9,
+            description: 'The number of adults traveling, for queries that do not set their own. Defaults to 1.'
+          },
+          travelClass: {
+            type: 'string',
+            enum: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'],
+            description: 'The minimum travel class of the offers.'
+          },
+          nonStop: {
+            type: 'boolean',
+            description: 'Only return flights without stops.'
+          },
+          maxPerQuery: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 50,
+            description: 'The maximum number of offers to fetch per search. Defaults to 10.'
+          },
+          rankBy: {
+            type: 'string',
+            enum: ['price', 'duration', 'stops', 'score'],
+            description: 'How to rank the offers: lowest price, shortest total duration, fewest stops, or a weighted score of all three. Defaults to "price".'
+          },
+          weights: {
+            type: 'object',
+            properties: {
+              price: { type: 'number', minimum: 0 },
+              duration: { type: 'number', minimum: 0 },
+              stops: { type: 'number', minimum: 0 }
+            },
+            description: 'Relative weights for rankBy "score". Defaults to { "price": 0.6, "duration": 0.3, "stops": 0.1 }.'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 50,
+            description: 'The number of ranked offers to return. Defaults to 10.'
+          },
+          bypassCache: {
+            type: 'boolean',
+            description: 'Skip the response cache and fetch fresh offers from Amadeus. Defaults to false.'
+          }
+        },
+        required: ['queries']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          meta: {
+            type: 'object',
+            description: 'Counts of searches, offers found and duplicates removed, the ranking used, and failedSearches when some searches failed.'
+          },
+          searches: {
+            type: 'array',
+            description: 'One entry per Amadeus search, with its parameters and offer count or error.',
+            items: {
+              type: 'object'
+            }
+          },
+          offers: {
+            type: 'array',
+            description: 'Summarized offers, best first. search is the index of the search that found the offer.',
+            items: FLIGHT_OFFER_SUMMARY_SCHEMA
+          }
+        },
+        required: ['meta', 'searches', 'offers']
+      }
+    }
+  }
+};
+
+export { apiTool };
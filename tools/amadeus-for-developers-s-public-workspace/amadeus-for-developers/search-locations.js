@@ -0,0 +1,115 @@
+import { searchLocations } from '../../../lib/locations.js';
+
+const TOOL_NAME = 'search_locations';
+
+/**
+ * Function to look up IATA codes of cities and airports by name, using the
+ * Amadeus Airport & City Search API or the bundled offline dataset
+ * (`data/locations.json`). With source "auto", the dataset answers when
+ * Amadeus cannot be reached.
+ *
+ * @param {Object} args - Arguments for the search.
+ * @param {string} args.keyword - City or airport name, or part of it, optionally followed by ", <country or state>".
+ * @param {string} [args.subType] - AIRPORT, CITY or ANY.
+ * @param {string} [args.countryCode] - ISO 3166-1 alpha-2 country code.
+ * @param {number} [args.max] - Maximum number of locations to return.
+ * @param {string} [args.source] - auto, amadeus or offline.
+ * @param {boolean} [args.bypassCache] - Skip the response cache.
+ * @returns {Promise<Object>} - The matching locations, best first, and where they came from.
+ */
+const executeFunction = async ({ keyword, subType = 'ANY', countryCode, max = 10, source = 'auto', bypassCache = false }) => {
+  const result = await searchLocations(keyword, { source, subType, countryCode, bypassCache });
+  return {
+    source: result.source,
+    ...(result.fallbackReason && { fallbackReason: result.fallbackReason }),
+    locations: result.locations
+      .slice(0, max)
+      .map(({ score: _score, aliases: _aliases, ...location }) => location)
+  };
+};
+
+/**
+ * Tool configuration for the airport and city search.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Find the IATA codes of cities and airports by name, e.g. "Paris" or "Portland, ME". Use it before the flight search tools whenever the user names a place instead of giving a code. A CITY code covers all of the city\'s airports. Works offline from a bundled dataset of major cities when Amadeus is unavailable.',
+      parameters: {
+        type: 'object',
+        properties: {
+          keyword: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 64,
+            description: 'City or airport name, or its beginning. Add ", <country or state>" to narrow it down, e.g. "Birmingham, GB".'
+          },
+          subType: {
+            type: 'string',
+            enum: ['AIRPORT', 'CITY', 'ANY'],
+            description: 'Only return airports or cities. Defaults to ANY.'
+          },
+          countryCode: {
+            type: 'string',
+            pattern: '^[A-Z]{2}$',
+            description: 'Only return locations in this country (ISO 3166-1 alpha-2 code, e.g. US).'
+          },
+          max: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 50,
+            description: 'The maximum number of locations to return. Defaults to 10.'
+          },
+          source: {
+            type: 'string',
+            enum: ['auto', 'amadeus', 'offline'],
+            description: 'Where to search. "auto" (default) asks Amadeus and falls back to the offline dataset.'
+          },
+          bypassCache: {
+            type: 'boolean',
+            description: 'Skip the response cache for Amadeus lookups. Defaults to false.'
+          }
+        },
+        required: ['keyword']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          source: {
+            type: 'string',
+            enum: ['amadeus', 'offline'],
+            description: 'Where the locations came from.'
+          },
+          fallbackReason: {
+            type: 'string',
+            description: 'Why the offline dataset was used in "auto" mode.'
+          },
+          locations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                iataCode: { type: 'string' },
+                subType: { type: 'string', enum: ['AIRPORT', 'CITY'] },
+                name: { type: 'string' },
+                cityName: { type: 'string' },
+                cityCode: { type: 'string' },
+                countryCode: { type: 'string' },
+                countryName: { type: 'string' },
+                stateCode: { type: 'string' }
+              },
+              required: ['iataCode', 'subType', 'name']
+            }
+          }
+        },
+        required: ['source', 'locations']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -1,3 +1,7 @@
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError } from '../../../lib/errors.js';
+import { httpFetch } from '../../../lib/httpClient.js';
+
 /**
  * Function to request an access token from the Amadeus API.
  *
@@ -7,7 +11,7 @@
  * @returns {Promise<Object>} - The response containing the access token.
  */
 const executeFunction = async ({ client_id, client_secret }) => {
-  const url = 'https://test.api.amadeus.com/v1/security/oauth2/token';
+  const url = amadeusUrl('/v1/security/oauth2/token');
   const accessToken = ''; // will be provided by the user
 
   const body = new URLSearchParams({
@@ -16,29 +20,24 @@ const executeFunction = async ({ client_id, client_secret }) => {
     grant_type: 'client_credentials'
   });
 
-  try {
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      body: body.toString()
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
+  // Perform the fetch request; requesting a token is safe to retry
+  const response = await httpFetch(url, {
+    method: 'POST',
+    idempotent: true,
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: body.toString()
+  });
 
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error requesting access token:', error);
-    return { error: 'An error occurred while requesting the access token.' };
+  // Surface Amadeus's structured errors to the caller
+  if (!response.ok) {
+    throw await AmadeusApiError.fromResponse(response);
   }
+
+  // Parse and return the response data
+  const data = await response.json();
+  return data;
 };
 
 /**
@@ -57,10 +56,12 @@ const apiTool = {
         properties: {
           client_id: {
             type: 'string',
+            minLength: 1,
             description: 'Your API Key.'
           },
           client_secret: {
             type: 'string',
+            minLength: 1,
             description: 'Your API Secret.'
           }
         },
@@ -1,99 +1,34 @@
-/**
- * Function to get access token from Amadeus
- */
-const getAccessToken = async () => {
-  const clientId = process.env.AMADEUS_CLIENT_ID || process.env.AMADEUS_API_KEY;
-  const clientSecret = process.env.AMADEUS_CLIENT_SECRET || process.env.AMADEUS_API_SECRET;
-  
-  if (!clientId || !clientSecret) {
-    throw new Error('Missing Amadeus credentials. Please set AMADEUS_CLIENT_ID and AMADEUS_CLIENT_SECRET');
-  }
-  
-  const tokenUrl = 'https://test.api.amadeus.com/v1/security/oauth2/token';
-  const body = new URLSearchParams({
-    client_id: clientId,
-    client_secret: clientSecret,
-    grant_type: 'client_credentials'
-  });
-  
-  const response = await fetch(tokenUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: body.toString()
-  });
-  
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Failed to get access token: ${error}`);
-  }
-  
-  const data = await response.json();
-  return data.access_token;
-};
+import { fetchFlightOffers } from '../../../lib/flightSearch.js';
+import { storeOffer } from '../../../lib/offerStore.js';
+import { FLIGHT_OFFER_SUMMARY_SCHEMA, summarizeFlightOffers } from '../../../lib/flightSummary.js';
+import { resolveLocationArgs } from '../../../lib/locations.js';
+
+const TOOL_NAME = 'search_flight_offers';
 
 /**
- * Function to search for flight offers using the Amadeus API.
+ * Function to search for flight offers using the Amadeus API. Each returned
+ * offer is kept in the session's offer store and annotated with an offerId
+ * that later steps accept instead of the full offer. With format "summary"
+ * a compact row per offer is returned instead of the raw payload.
+ * Identical searches are served from the response cache; `meta.cache`
+ * reports whether the result was a hit. City or airport names given instead
+ * of IATA codes are resolved first and echoed in `meta.resolvedLocations`.
  */
-const executeFunction = async ({ originLocationCode, destinationLocationCode, departureDate, returnDate, adults = 2, max = 5 }) => {
-  const url = 'https://test.api.amadeus.com/v2/shopping/flight-offers';
-  
-  try {
-    // Get a fresh access token
-    console.log('Getting access token...');
-    const accessToken = await getAccessToken();
-    console.log('Got access token, length:', accessToken.length);
-    
-    // Construct the URL with query parameters
-    const queryParams = new URLSearchParams({
-      originLocationCode,
-      destinationLocationCode,
-      departureDate,
-      adults: adults.toString(),
-      max: max.toString(),
-    });
-    
-    if (returnDate) {
-      queryParams.append('returnDate', returnDate);
-    }
-
-    // Set up headers with the access token
-    const headers = {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json'
-    };
-    
-    console.log('Searching flights...');
-    
-    // Perform the fetch request
-    const response = await fetch(`${url}?${queryParams.toString()}`, {
-      method: 'GET',
-      headers
-    });
+const executeFunction = async (args, context = {}) => {
+  const { args: located, resolved } = await resolveLocationArgs(TOOL_NAME, args, ['originLocationCode', 'destinationLocationCode']);
+  const { originLocationCode, destinationLocationCode, departureDate, returnDate, adults = 2, travelClass, nonStop, max = 5, format = 'full', bypassCache = false } = located;
+  const { value: data, cache } = await fetchFlightOffers(
+    { originLocationCode, destinationLocationCode, departureDate, returnDate, adults, travelClass, nonStop, max },
+    { bypassCache }
+  );
 
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('API Error:', JSON.stringify(errorData, null, 2));
-      
-      return { 
-        error: 'Flight search failed',
-        status: response.status,
-        details: errorData
-      };
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error:', error.message);
-    return { 
-      error: 'An error occurred while searching for flight offers.',
-      details: error.message
-    };
+  // Remember each offer for later steps
+  for (const offer of data.data || []) {
+    offer.offerId = storeOffer(context.sessionId, 'flight-offer', offer);
   }
+  const result = format === 'summary' ? summarizeFlightOffers(data) : data;
+  result.meta = { ...result.meta, cache, ...(Object.keys(resolved).length > 0 && { resolvedLocations: resolved }) };
+  return result;
 };
 
 // Rest of the file remains the same...
@@ -102,37 +37,89 @@ const apiTool = {
   definition: {
     type: 'function',
     function: {
-      name: 'search_flight_offers',
-      description: 'Search for flight offers using the Amadeus API.',
+      name: TOOL_NAME,
+      description: 'Search for flight offers using the Amadeus API. Every offer carries an offerId that get_flight_offers_pricing accepts instead of the full offer.',
       parameters: {
         type: 'object',
         properties: {
           originLocationCode: {
             type: 'string',
-            description: 'The IATA code of the origin location.'
+            minLength: 2,
+            maxLength: 64,
+            description: 'The 3-letter IATA code of the origin city or airport, e.g. MAD, or a name such as "Madrid". Names are resolved to a code; an ambiguous name fails with a list of candidates.'
           },
           destinationLocationCode: {
             type: 'string',
-            description: 'The IATA code of the destination location.'
+            minLength: 2,
+            maxLength: 64,
+            description: 'The 3-letter IATA code of the destination city or airport, e.g. PAR, or a name such as "Paris". Names are resolved to a code; an ambiguous name fails with a list of candidates.'
           },
           departureDate: {
             type: 'string',
+            format: 'date',
             description: 'The departure date in YYYY-MM-DD format.'
           },
           returnDate: {
             type: 'string',
+            format: 'date',
             description: 'The return date in YYYY-MM-DD format.'
           },
           adults: {
             type: 'integer',
+            minimum: 1,
+            maximum: 9,
             description: 'The number of adults traveling.'
           },
+          travelClass: {
+            type: 'string',
+            enum: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'],
+            description: 'The minimum travel class of the offers.'
+          },
+          nonStop: {
+            type: 'boolean',
+            description: 'Only return flights without stops.'
+          },
           max: {
             type: 'integer',
+            minimum: 1,
+            maximum: 250,
             description: 'The maximum number of flight offers to return.'
+          },
+          format: {
+            type: 'string',
+            enum: ['full', 'summary'],
+            description: 'Response format. "summary" returns one compact row per offer (price, duration, stops, times, carriers); fetch the full offer with get_flight_offer. Defaults to "full".'
+          },
+          bypassCache: {
+            type: 'boolean',
+            description: 'Skip the response cache and fetch fresh offers from Amadeus, e.g. right before booking. Defaults to false.'
           }
         },
         required: ['originLocationCode', 'destinationLocationCode', 'departureDate']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          meta: {
+            type: 'object',
+            description: 'Result metadata; meta.cache.status is "hit", "miss", "bypass" or "disabled".'
+          },
+          data: {
+            type: 'array',
+            description: 'Full Amadeus flight offers (format "full").',
+            items: {
+              type: 'object'
+            }
+          },
+          dictionaries: {
+            type: 'object'
+          },
+          offers: {
+            type: 'array',
+            description: 'Summarized flight offers (format "summary").',
+            items: FLIGHT_OFFER_SUMMARY_SCHEMA
+          }
+        }
       }
     }
   }
@@ -1,52 +1,64 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError, ToolArgumentsError } from '../../../lib/errors.js';
+import { resolveOffers, storeOffer, stripOfferId } from '../../../lib/offerStore.js';
+
+const TOOL_NAME = 'get_flight_offers_pricing';
+
 /**
  * Function to get flight offers pricing from Amadeus API.
  *
  * @param {Object} args - Arguments for the flight offers pricing.
- * @param {Array} args.flightOfferData - An array of flight offer objects to price.
+ * @param {Array} [args.flightOfferData] - An array of flight offer objects to price.
+ * @param {Array<string>} [args.offerIds] - offerIds returned by search_flight_offers, instead of flightOfferData.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.sessionId] - Session whose offer store is used.
  * @returns {Promise<Object>} - The result of the flight offers pricing request.
  */
-const executeFunction = async ({ flightOfferData }) => {
-  const url = 'https://test.api.amadeus.com/v1/shopping/flight-offers/pricing';
-  const token = process.env.AMADEUS_FOR_DEVELOPERS_S_PUBLIC_WORKSPACE_API_KEY;
+const executeFunction = async ({ flightOfferData, offerIds }, context = {}) => {
+  const url = amadeusUrl('/v1/shopping/flight-offers/pricing');
+  if (!flightOfferData && !offerIds) {
+    throw new ToolArgumentsError(TOOL_NAME, [
+      { field: 'offerIds', message: 'or flightOfferData is required' }
+    ]);
+  }
+  const flightOffers = offerIds
+    ? resolveOffers(TOOL_NAME, 'offerIds', context.sessionId, offerIds, 'flight-offer')
+    : flightOfferData.map(stripOfferId);
+
   const requestBody = {
     data: {
       type: "flight-offers-pricing",
-      flightOffers: flightOfferData
+      flightOffers
     }
   };
 
-  try {
-    // Set up headers for the request
-    const headers = {
-      'Content-Type': 'application/json',
-      'X-HTTP-Method-Override': 'GET'
-    };
-
-    // If a token is provided, add it to the Authorization header
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
+  // Set up headers for the request
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-HTTP-Method-Override': 'GET'
+  };
 
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(requestBody)
-    });
+  // Perform the fetch request with a cached access token. Pricing has no
+  // side effects on the Amadeus side, so it may be retried.
+  const response = await fetchWithAuth(url, {
+    method: 'POST',
+    idempotent: true,
+    headers,
+    body: JSON.stringify(requestBody)
+  });
 
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
+  // Surface Amadeus's structured errors to the caller
+  if (!response.ok) {
+    throw await AmadeusApiError.fromResponse(response);
+  }
 
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error fetching flight offers pricing:', error);
-    return { error: 'An error occurred while fetching flight offers pricing.' };
+  // Parse the response data and remember each priced offer for booking
+  const data = await response.json();
+  for (const offer of data.data?.flightOffers || []) {
+    offer.offerId = storeOffer(context.sessionId, 'priced-flight-offer', offer);
   }
+  return data;
 };
 
 /**
@@ -58,17 +70,31 @@ const apiTool = {
   definition: {
     type: 'function',
     function: {
-      name: 'get_flight_offers_pricing',
-      description: 'Get pricing for flight offers from Amadeus API.',
+      name: TOOL_NAME,
+      description: 'Get pricing for flight offers from Amadeus API. Pass the offerIds returned by search_flight_offers (preferred) or the full offers. Every priced offer carries an offerId that create_flight_order accepts.',
       parameters: {
         type: 'object',
         properties: {
+          offerIds: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 6,
+            items: {
+              type: 'string'
+            },
+            description: 'offerIds of flight offers returned by search_flight_offers in this session.'
+          },
           flightOfferData: {
             type: 'array',
-            description: 'An array of flight offer objects to price.'
+            minItems: 1,
+            maxItems: 6,
+            items: {
+              type: 'object'
+            },
+            description: 'An array of flight offer objects to price. Only needed when offerIds are not available.'
           }
         },
-        required: ['flightOfferData']
+        required: []
       }
     }
   }
@@ -1,68 +1,154 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError, ToolArgumentsError } from '../../../lib/errors.js';
+import {
+  consumeConfirmation,
+  createConfirmation,
+  getBookingDefaults,
+  isDryRun,
+  summarizeFlightOrder,
+  validateBookingRequest
+} from '../../../lib/booking.js';
+import { resolveOffers, stripOfferId } from '../../../lib/offerStore.js';
+import { recordOrder } from '../../../lib/orderStore.js';
+import { recordBooking } from '../../../lib/ledger.js';
+import { resolveTravelerProfiles } from '../../../lib/profileStore.js';
+
+const TOOL_NAME = 'create_flight_order';
+
 /**
- * Function to create flight orders using the Amadeus API.
- *
- * @param {Object} args - Arguments for creating flight orders.
- * @param {Array} args.flightOfferPriceData - The flight offer price data to be included in the order.
- * @param {Object} args.traveler - The traveler information including name, date of birth, gender, and contact details.
- * @param {Object} args.contact - The contact information for the booking.
- * @returns {Promise<Object>} - The result of the flight order creation.
+ * Builds the flight order request body, applying configured defaults for
+ * remarks and the ticketing agreement unless they are given as arguments.
  */
-const executeFunction = async ({ flightOfferPriceData, travelers, contacts }) => {
-  const url = 'https://test.api.amadeus.com/v1/booking/flight-orders';
-  const token = process.env.AMADEUS_FOR_DEVELOPERS_S_PUBLIC_WORKSPACE_API_KEY;
+const buildRequestBody = ({ flightOfferPriceData, travelers, contacts, remarks, ticketingAgreement }) => {
+  const defaults = getBookingDefaults();
+  const remarkTexts = remarks || (defaults.remark ? [defaults.remark] : []);
 
-  const requestBody = {
+  return {
     data: {
       type: "flight-order",
       flightOffers: flightOfferPriceData,
       travelers: travelers,
-      remarks: {
-        general: [
-          {
+      ...(remarkTexts.length > 0 && {
+        remarks: {
+          general: remarkTexts.map((text) => ({
             subType: "GENERAL_MISCELLANEOUS",
-            text: "ONLINE BOOKING FROM INCREIBLE VIAJES"
-          }
-        ]
-      },
-      ticketingAgreement: {
-        option: "DELAY_TO_CANCEL",
-        delay: "6D"
-      },
+            text
+          }))
+        }
+      }),
+      ticketingAgreement: ticketingAgreement || defaults.ticketingAgreement,
       contacts: contacts
     }
   };
+};
 
-  try {
-    // Set up headers for the request
-    const headers = {
-      'Content-Type': 'application/json'
-    };
-
-    // If a token is provided, add it to the Authorization header
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
+/**
+ * Function to create flight orders using the Amadeus API.
+ *
+ * Booking is two-phase: a call without a confirmation token only validates
+ * the request and returns a summary with a short-lived confirmationToken;
+ * a second call with that token places the order (or simulates it in
+ * dry-run mode).
+ *
+ * @param {Object} args - Arguments for creating flight orders.
+ * @param {string} [args.confirmationToken] - Token from a previous call, to place the order.
+ * @param {Array<string>} [args.pricedOfferIds] - offerIds returned by get_flight_offers_pricing, instead of flightOfferPriceData.
+ * @param {Array} [args.flightOfferPriceData] - The flight offer price data to be included in the order.
+ * @param {Array} [args.travelers] - The traveler information including name, date of birth, gender, and contact details.
+ * @param {Array<string>} [args.travelerProfileIds] - Saved traveler profiles to book, instead of travelers.
+ * @param {Array} [args.contacts] - The contact information for the booking.
+ * @param {Array<string>} [args.remarks] - General remarks to attach to the order.
+ * @param {Object} [args.ticketingAgreement] - Ticketing option and delay.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.sessionId] - Session whose offer store is used and that the order is recorded for.
+ * @param {string} [context.principal] - API key name recorded in the booking ledger; travelerProfileIds must belong to it.
+ * @returns {Promise<Object>} - The confirmation request, or the result of the flight order creation.
+ */
+const executeFunction = async (args, context = {}) => {
+  if (!args.confirmationToken) {
+    if (args.travelers && args.travelerProfileIds) {
+      throw new ToolArgumentsError(TOOL_NAME, [
+        { field: 'travelerProfileIds', message: 'cannot be combined with travelers' }
+      ]);
     }
 
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(requestBody)
-    });
+    // Saved profiles fill in the travelers and, unless given, the contacts
+    const profiles = args.travelerProfileIds
+      ? resolveTravelerProfiles(TOOL_NAME, 'travelerProfileIds', args.travelerProfileIds, context.principal)
+      : [];
+    const profileContacts = profiles.map((profile) => profile.contact).filter(Boolean);
+    const travelers = args.travelers ||
+      (profiles.length > 0 ? profiles.map((profile, index) => ({ ...profile.traveler, id: String(index + 1) })) : undefined);
+    const contacts = args.contacts || (profileContacts.length > 0 ? profileContacts : undefined);
 
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+    const missing = Object.entries({ travelers, contacts })
+      .filter(([, value]) => !value)
+      .map(([field]) => field);
+    if (!args.flightOfferPriceData && !args.pricedOfferIds) {
+      missing.unshift('pricedOfferIds');
+    }
+    if (missing.length > 0) {
+      throw new ToolArgumentsError(
+        TOOL_NAME,
+        missing.map((field) => ({ field, message: 'is required unless confirmationToken is given' }))
+      );
     }
 
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error creating flight order:', error);
-    return { error: 'An error occurred while creating the flight order.' };
+    const flightOfferPriceData = args.pricedOfferIds
+      ? resolveOffers(TOOL_NAME, 'pricedOfferIds', context.sessionId, args.pricedOfferIds, 'priced-flight-offer')
+      : args.flightOfferPriceData.map(stripOfferId);
+    const requestBody = buildRequestBody({ ...args, flightOfferPriceData, travelers, contacts });
+    validateBookingRequest(TOOL_NAME, requestBody.data);
+    return {
+      status: 'confirmation_required',
+      ...createConfirmation(TOOL_NAME, requestBody, context),
+      dryRun: isDryRun(),
+      summary: summarizeFlightOrder(requestBody.data),
+      message: 'Nothing has been booked yet. Review the summary with the user, then call create_flight_order again with only the confirmationToken to place the order.'
+    };
   }
+
+  const requestBody = consumeConfirmation(TOOL_NAME, args.confirmationToken, context);
+  if (isDryRun()) {
+    return {
+      status: 'dry_run',
+      message: 'Dry-run mode is enabled; the order was validated but not sent to Amadeus.',
+      summary: summarizeFlightOrder(requestBody.data),
+      request: requestBody
+    };
+  }
+
+  const url = amadeusUrl('/v1/booking/flight-orders');
+
+  // Set up headers for the request
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  // Perform the fetch request with a cached access token
+  const response = await fetchWithAuth(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(requestBody)
+  });
+
+  // Surface Amadeus's structured errors to the caller
+  if (!response.ok) {
+    throw await AmadeusApiError.fromResponse(response);
+  }
+
+  // Parse the response and keep the order for the amadeus://orders resources
+  const data = await response.json();
+  recordOrder(context.sessionId, 'flight-order', data.data);
+  const ledger = recordBooking({
+    kind: 'flight-order',
+    order: data.data,
+    summary: summarizeFlightOrder(requestBody.data),
+    bookedBy: context.principal
+  });
+  // A booking missing from the ledger must not go unnoticed
+  return ledger.error ? { ...data, ledger } : data;
 };
 
 /**
@@ -74,25 +160,105 @@ const apiTool = {
   definition: {
     type: 'function',
     function: {
-      name: 'create_flight_order',
-      description: 'Create a flight order using the Amadeus API.',
+      name: TOOL_NAME,
+      description: 'Create a flight order using the Amadeus API. Pass the pricedOfferIds returned by get_flight_offers_pricing (preferred) or the full priced offers, and the travelers or the travelerProfileIds of saved profiles. Booking takes two calls: the first validates the priced offer, travelers and contacts and returns a summary with a confirmationToken; nothing is booked until create_flight_order is called again with only that confirmationToken.',
       parameters: {
         type: 'object',
         properties: {
+          confirmationToken: {
+            type: 'string',
+            description: 'The confirmationToken returned by a previous call in the same session. When given, the confirmed order is placed and all other arguments are ignored.'
+          },
+          pricedOfferIds: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'string'
+            },
+            description: 'offerIds of priced offers returned by get_flight_offers_pricing in this session.'
+          },
           flightOfferPriceData: {
             type: 'array',
-            description: 'The flight offer price data to be included in the order.'
+            minItems: 1,
+            items: {
+              type: 'object'
+            },
+            description: 'The flight offer price data to be included in the order. Only needed when pricedOfferIds are not available.'
           },
           travelers: {
             type: 'array',
+            minItems: 1,
+            maxItems: 9,
+            items: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string'
+                },
+                dateOfBirth: {
+                  type: 'string',
+                  format: 'date'
+                },
+                gender: {
+                  type: 'string',
+                  enum: ['MALE', 'FEMALE']
+                },
+                name: {
+                  type: 'object',
+                  properties: {
+                    firstName: { type: 'string', minLength: 1 },
+                    lastName: { type: 'string', minLength: 1 }
+                  },
+                  required: ['firstName', 'lastName']
+                }
+              },
+              required: ['id', 'dateOfBirth', 'name']
+            },
             description: 'An array of traveler objects containing traveler information.'
           },
+          travelerProfileIds: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 9,
+            items: {
+              type: 'string'
+            },
+            description: 'profileIds from list_traveler_profiles, instead of travelers. Travelers are numbered in this order, and the profiles\' contacts are used when contacts is not given.'
+          },
           contacts: {
             type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object'
+            },
             description: 'An array of contact objects containing contact information for the booking.'
+          },
+          remarks: {
+            type: 'array',
+            items: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 127
+            },
+            description: 'General remarks to attach to the order. Defaults to AMADEUS_BOOKING_REMARK, if set.'
+          },
+          ticketingAgreement: {
+            type: 'object',
+            properties: {
+              option: {
+                type: 'string',
+                enum: ['CONFIRM', 'DELAY_TO_QUEUE', 'DELAY_TO_CANCEL']
+              },
+              delay: {
+                type: 'string',
+                pattern: '^[0-9]+D$'
+              }
+            },
+            required: ['option'],
+            description: 'Ticketing agreement, e.g. { "option": "DELAY_TO_CANCEL", "delay": "6D" }. Defaults to the server configuration.'
           }
         },
-        required: ['flightOfferPriceData', 'travelers', 'contacts']
+        required: []
       }
     }
   }
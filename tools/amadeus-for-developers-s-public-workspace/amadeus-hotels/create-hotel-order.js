@@ -0,0 +1,218 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError, ToolArgumentsError } from '../../../lib/errors.js';
+import {
+  consumeConfirmation,
+  createConfirmation,
+  getBookingDefaults,
+  isDryRun,
+  summarizeHotelOrder,
+  validateHotelBookingRequest
+} from '../../../lib/booking.js';
+import { recordOrder } from '../../../lib/orderStore.js';
+import { recordBooking } from '../../../lib/ledger.js';
+
+const TOOL_NAME = 'create_hotel_order';
+
+/**
+ * Builds the hotel order request body. All guests share the one room offer.
+ */
+const buildRequestBody = ({ hotelOfferId, guests, payment, travelAgentEmail }) => {
+  const email = travelAgentEmail || getBookingDefaults().travelAgentEmail;
+  return {
+    data: {
+      type: 'hotel-order',
+      guests: guests.map((guest, index) => ({ tid: index + 1, ...guest })),
+      ...(email && { travelAgent: { contact: { email } } }),
+      roomAssociations: [{
+        guestReferences: guests.map((guest, index) => ({ guestReference: String(index + 1) })),
+        hotelOfferId
+      }],
+      payment: {
+        method: 'CREDIT_CARD',
+        paymentCard: { paymentCardInfo: payment }
+      }
+    }
+  };
+};
+
+/**
+ * Function to book a hotel offer using the Amadeus Hotel Booking API.
+ *
+ * Like create_flight_order, booking takes two calls: the first re-checks the
+ * offer, validates the guests and payment card and returns a summary with a
+ * short-lived confirmationToken; the second, with only that token, places
+ * the order (or simulates it in dry-run mode).
+ *
+ * @param {Object} args - Arguments for the booking.
+ * @param {string} [args.confirmationToken] - Token from a previous call, to place the order.
+ * @param {string} [args.hotelOfferId] - The offer id from search_hotel_offers.
+ * @param {Array<Object>} [args.guests] - The guests; the first one is the main contact.
+ * @param {Object} [args.payment] - The payment card.
+ * @param {string} [args.travelAgentEmail] - Travel agent contact email.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.sessionId] - Session the order is recorded for.
+ * @param {string} [context.principal] - API key name recorded in the booking ledger.
+ * @returns {Promise<Object>} - The confirmation request, or the created hotel order.
+ */
+const executeFunction = async (args, context = {}) => {
+  if (!args.confirmationToken) {
+    const missing = ['hotelOfferId', 'guests', 'payment'].filter((field) => !args[field]);
+    if (missing.length > 0) {
+      throw new ToolArgumentsError(
+        TOOL_NAME,
+        missing.map((field) => ({ field, message: 'is required unless confirmationToken is given' }))
+      );
+    }
+
+    // Re-check the offer so the user confirms the current price and policies
+    const response = await fetchWithAuth(amadeusUrl(`/v3/shopping/hotel-offers/${encodeURIComponent(args.hotelOfferId)}`), {
+      method: 'GET'
+    });
+    if (!response.ok) {
+      throw await AmadeusApiError.fromResponse(response);
+    }
+    const { data: offer } = await response.json();
+
+    const requestBody = buildRequestBody(args);
+    validateHotelBookingRequest(TOOL_NAME, requestBody.data, offer);
+    const summary = summarizeHotelOrder(requestBody.data, offer);
+    return {
+      status: 'confirmation_required',
+      ...createConfirmation(TOOL_NAME, { requestBody, summary }, context),
+      dryRun: isDryRun(),
+      summary,
+      message: 'Nothing has been booked yet. Review the summary, including the cancellation policy, with the user, then call create_hotel_order again with only the confirmationToken to book the room.'
+    };
+  }
+
+  const { requestBody, summary } = consumeConfirmation(TOOL_NAME, args.confirmationToken, context);
+  if (isDryRun()) {
+    return {
+      status: 'dry_run',
+      message: 'Dry-run mode is enabled; the booking was validated but not sent to Amadeus.',
+      summary
+    };
+  }
+
+  // Not retried: a retry after a lost response could book the room twice
+  const response = await fetchWithAuth(amadeusUrl('/v2/booking/hotel-orders'), {
+    method: 'POST',
+    idempotent: false,
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(requestBody)
+  });
+
+  // Surface Amadeus's structured errors to the caller
+  if (!response.ok) {
+    throw await AmadeusApiError.fromResponse(response);
+  }
+  const data = await response.json();
+  recordOrder(context.sessionId, 'hotel-order', data.data);
+  const ledger = recordBooking({ kind: 'hotel-order', order: data.data, summary, bookedBy: context.principal });
+  // A booking missing from the ledger must not go unnoticed
+  return ledger.error ? { ...data, ledger } : data;
+};
+
+/**
+ * Tool configuration for booking hotel offers using the Amadeus API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Book a hotel offer from search_hotel_offers. Booking takes two calls: the first re-checks the offer, validates the guests and payment card and returns a summary with a confirmationToken; nothing is booked until create_hotel_order is called again with only that confirmationToken.',
+      parameters: {
+        type: 'object',
+        properties: {
+          confirmationToken: {
+            type: 'string',
+            description: 'The confirmationToken returned by a previous call in the same session. When given, the confirmed booking is placed and all other arguments are ignored.'
+          },
+          hotelOfferId: {
+            type: 'string',
+            pattern: '^[A-Za-z0-9]+$',
+            description: 'The offer id, i.e. data[].offers[].id in the search_hotel_offers result.'
+          },
+          guests: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 9,
+            description: 'The guests staying in the room. The first guest is the main contact and needs an email and a phone.',
+            items: {
+              type: 'object',
+              properties: {
+                title: {
+                  type: 'string',
+                  enum: ['MR', 'MRS', 'MS', 'MISS', 'DR'],
+                  description: 'The guest\'s title.'
+                },
+                firstName: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'The guest\'s first name.'
+                },
+                lastName: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'The guest\'s last name.'
+                },
+                phone: {
+                  type: 'string',
+                  pattern: '^\\+[0-9]{6,15}$',
+                  description: 'Phone number in international format, e.g. +33679278416.'
+                },
+                email: {
+                  type: 'string',
+                  format: 'email',
+                  description: 'Email address.'
+                }
+              },
+              required: ['firstName', 'lastName']
+            }
+          },
+          payment: {
+            type: 'object',
+            description: 'The payment card used to guarantee or pay for the stay.',
+            properties: {
+              vendorCode: {
+                type: 'string',
+                pattern: '^[A-Z]{2}$',
+                description: 'The card vendor, e.g. VI (Visa), CA (Mastercard) or AX (American Express).'
+              },
+              cardNumber: {
+                type: 'string',
+                pattern: '^[0-9]{12,19}$',
+                description: 'The card number, digits only.'
+              },
+              expiryDate: {
+                type: 'string',
+                pattern: '^[0-9]{4}-(0[1-9]|1[0-2])$',
+                description: 'The expiry month in YYYY-MM format.'
+              },
+              holderName: {
+                type: 'string',
+                minLength: 1,
+                description: 'The name on the card.'
+              }
+            },
+            required: ['vendorCode', 'cardNumber', 'expiryDate', 'holderName']
+          },
+          travelAgentEmail: {
+            type: 'string',
+            format: 'email',
+            description: 'Email of the travel agent making the booking. Defaults to AMADEUS_TRAVEL_AGENT_EMAIL.'
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,54 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError } from '../../../lib/errors.js';
+
+const TOOL_NAME = 'get_hotel_offer';
+
+/**
+ * Function to re-check the price, policies and availability of a hotel offer
+ * using the Amadeus Hotel Search API, before booking it.
+ *
+ * @param {Object} args - Arguments for the lookup.
+ * @param {string} args.hotelOfferId - The offer id from search_hotel_offers.
+ * @returns {Promise<Object>} - The offer with its current price and policies.
+ */
+const executeFunction = async ({ hotelOfferId }) => {
+  // Never cached: the point is to see the current price and availability
+  const response = await fetchWithAuth(amadeusUrl(`/v3/shopping/hotel-offers/${encodeURIComponent(hotelOfferId)}`), {
+    method: 'GET'
+  });
+
+  // Surface Amadeus's structured errors, e.g. a room that is no longer available
+  if (!response.ok) {
+    throw await AmadeusApiError.fromResponse(response);
+  }
+  return response.json();
+};
+
+/**
+ * Tool configuration for re-checking hotel offers using the Amadeus API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Re-check a hotel offer from search_hotel_offers: returns its current price, cancellation and payment policies, or an error when the room is no longer available. Call it before create_hotel_order.',
+      parameters: {
+        type: 'object',
+        properties: {
+          hotelOfferId: {
+            type: 'string',
+            pattern: '^[A-Za-z0-9]+$',
+            description: 'The offer id, i.e. data[].offers[].id in the search_hotel_offers result.'
+          }
+        },
+        required: ['hotelOfferId']
+      }
+    }
+  }
+};
+
+export { apiTool };
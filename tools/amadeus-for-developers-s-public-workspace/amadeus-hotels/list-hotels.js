@@ -0,0 +1,168 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError, ToolArgumentsError } from '../../../lib/errors.js';
+import { cachedCall } from '../../../lib/responseCache.js';
+import { resolveLocationArgs } from '../../../lib/locations.js';
+
+const TOOL_NAME = 'list_hotels';
+
+/**
+ * Function to list the hotels in a city or around a point using the Amadeus
+ * Hotel List API. Pass either cityCode (a code or a city name, resolved like
+ * in the flight searches) or latitude and longitude. Identical lookups are
+ * served from the response cache.
+ *
+ * @param {Object} args - Arguments for the lookup.
+ * @param {string} [args.cityCode] - IATA code or name of the city.
+ * @param {number} [args.latitude] - Latitude of the center of the search.
+ * @param {number} [args.longitude] - Longitude of the center of the search.
+ * @param {number} [args.radius] - Search radius around the city center or point.
+ * @param {string} [args.radiusUnit] - KM or MILE.
+ * @param {Array<string>} [args.chainCodes] - Only these hotel chains.
+ * @param {Array<string>} [args.amenities] - Only hotels with all of these amenities.
+ * @param {Array<number>} [args.ratings] - Only hotels with these star ratings.
+ * @param {number} [args.max] - Maximum number of hotels to return.
+ * @param {boolean} [args.bypassCache] - Skip the response cache.
+ * @returns {Promise<Object>} - The hotels, with `meta.cache`.
+ */
+const executeFunction = async (args) => {
+  const byGeocode = args.latitude !== undefined || args.longitude !== undefined;
+  if (byGeocode === Boolean(args.cityCode) || (byGeocode && (args.latitude === undefined || args.longitude === undefined))) {
+    throw new ToolArgumentsError(TOOL_NAME, [
+      { field: 'cityCode', message: 'or both latitude and longitude are required, but not both' }
+    ]);
+  }
+  const { args: located, resolved } = await resolveLocationArgs(TOOL_NAME, args, ['cityCode']);
+  const { cityCode, latitude, longitude, radius, radiusUnit, chainCodes, amenities, ratings, max = 20, bypassCache = false } = located;
+
+  const queryParams = new URLSearchParams(
+    byGeocode ? { latitude: String(latitude), longitude: String(longitude) } : { cityCode }
+  );
+  if (radius !== undefined) {
+    queryParams.append('radius', String(radius));
+  }
+  if (radiusUnit) {
+    queryParams.append('radiusUnit', radiusUnit);
+  }
+  if (chainCodes) {
+    queryParams.append('chainCodes', chainCodes.join(','));
+  }
+  if (amenities) {
+    queryParams.append('amenities', amenities.join(','));
+  }
+  if (ratings) {
+    queryParams.append('ratings', ratings.join(','));
+  }
+  const url = amadeusUrl(`/v1/reference-data/locations/hotels/${byGeocode ? 'by-geocode' : 'by-city'}`);
+
+  const { value: data, cache } = await cachedCall(TOOL_NAME, Object.fromEntries(queryParams), async () => {
+    // Perform the fetch request with a cached access token
+    const response = await fetchWithAuth(`${url}?${queryParams.toString()}`, {
+      method: 'GET'
+    });
+
+    // Surface Amadeus's structured errors to the caller
+    if (!response.ok) {
+      throw await AmadeusApiError.fromResponse(response);
+    }
+    return response.json();
+  }, { bypass: bypassCache });
+
+  // Cities can have hundreds of hotels; the cache keeps the full list
+  data.data = (data.data || []).slice(0, max);
+  data.meta = { ...data.meta, cache, ...(Object.keys(resolved).length > 0 && { resolvedLocations: resolved }) };
+  return data;
+};
+
+/**
+ * Tool configuration for listing hotels using the Amadeus API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'List hotels in a city (cityCode) or around a point (latitude and longitude), optionally filtered by chain, amenities and star rating. Returns hotelIds for search_hotel_offers.',
+      parameters: {
+        type: 'object',
+        properties: {
+          cityCode: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 64,
+            description: 'The 3-letter IATA code of the city, e.g. PAR, or a city name such as "Paris", which is resolved to a code. Cannot be combined with latitude and longitude.'
+          },
+          latitude: {
+            type: 'number',
+            minimum: -90,
+            maximum: 90,
+            description: 'Latitude of the point to search around, e.g. 48.8584.'
+          },
+          longitude: {
+            type: 'number',
+            minimum: -180,
+            maximum: 180,
+            description: 'Longitude of the point to search around, e.g. 2.2945.'
+          },
+          radius: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 300,
+            description: 'Search radius around the city center or point. Defaults to 5.'
+          },
+          radiusUnit: {
+            type: 'string',
+            enum: ['KM', 'MILE'],
+            description: 'Unit of the radius. Defaults to KM.'
+          },
+          chainCodes: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 99,
+            items: {
+              type: 'string',
+              pattern: '^[A-Z0-9]{2}$'
+            },
+            description: 'Only return hotels of these chains (2-letter codes, e.g. HL for Hilton).'
+          },
+          amenities: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 3,
+            items: {
+              type: 'string',
+              enum: ['SWIMMING_POOL', 'SPA', 'FITNESS_CENTER', 'AIR_CONDITIONING', 'RESTAURANT', 'PARKING', 'PETS_ALLOWED', 'AIRPORT_SHUTTLE', 'BUSINESS_CENTER', 'DISABLED_FACILITIES', 'WIFI', 'MEETING_ROOMS', 'NO_KID_ALLOWED', 'TENNIS', 'GOLF', 'KITCHEN', 'ANIMAL_WATCHING', 'BABY-SITTING', 'BEACH', 'CASINO', 'JACUZZI', 'SAUNA', 'SOLARIUM', 'MASSAGE', 'VALET_PARKING', 'BAR or LOUNGE', 'KIDS_WELCOME', 'NO_PORN_FILMS', 'MINIBAR', 'TELEVISION', 'WI-FI_IN_ROOM', 'ROOM_SERVICE', 'GUARDED_PARKG', 'SERV_SPEC_MENU']
+            },
+            description: 'Only return hotels that have all of these amenities.'
+          },
+          ratings: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 4,
+            items: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 5
+            },
+            description: 'Only return hotels with these star ratings.'
+          },
+          max: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            description: 'The maximum number of hotels to return. Defaults to 20.'
+          },
+          bypassCache: {
+            type: 'boolean',
+            description: 'Skip the response cache and fetch a fresh list from Amadeus. Defaults to false.'
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
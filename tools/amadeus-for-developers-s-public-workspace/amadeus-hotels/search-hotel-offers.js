@@ -0,0 +1,148 @@
+import { fetchWithAuth } from '../../../lib/auth.js';
+import { amadeusUrl } from '../../../lib/config.js';
+import { AmadeusApiError } from '../../../lib/errors.js';
+import { cachedCall } from '../../../lib/responseCache.js';
+
+const TOOL_NAME = 'search_hotel_offers';
+
+/**
+ * Function to search for room offers at given hotels using the Amadeus Hotel
+ * Search API. Offer ids are short, so unlike flight offers they are passed
+ * around as they are. Identical searches are served from the response cache.
+ *
+ * @param {Object} args - Arguments for the search.
+ * @param {Array<string>} args.hotelIds - Amadeus hotel ids, from list_hotels.
+ * @param {string} [args.checkInDate] - Check-in date, YYYY-MM-DD.
+ * @param {string} [args.checkOutDate] - Check-out date, YYYY-MM-DD.
+ * @param {number} [args.adults] - Adult guests per room.
+ * @param {number} [args.roomQuantity] - Number of rooms.
+ * @param {string} [args.currency] - Currency for prices.
+ * @param {string} [args.priceRange] - Price range per night, e.g. "100-300".
+ * @param {string} [args.boardType] - Meal plan.
+ * @param {boolean} [args.bestRateOnly] - Only the cheapest offer per hotel.
+ * @param {boolean} [args.bypassCache] - Skip the response cache.
+ * @returns {Promise<Object>} - Offers grouped by hotel, with `meta.cache`.
+ */
+const executeFunction = async ({ hotelIds, checkInDate, checkOutDate, adults = 1, roomQuantity, currency, priceRange, boardType, bestRateOnly, bypassCache = false }) => {
+  const url = amadeusUrl('/v3/shopping/hotel-offers');
+
+  const queryParams = new URLSearchParams({
+    hotelIds: hotelIds.join(','),
+    adults: String(adults)
+  });
+  if (checkInDate) {
+    queryParams.append('checkInDate', checkInDate);
+  }
+  if (checkOutDate) {
+    queryParams.append('checkOutDate', checkOutDate);
+  }
+  if (roomQuantity !== undefined) {
+    queryParams.append('roomQuantity', String(roomQuantity));
+  }
+  if (currency) {
+    queryParams.append('currency', currency);
+  }
+  if (priceRange) {
+    queryParams.append('priceRange', priceRange);
+  }
+  if (boardType) {
+    queryParams.append('boardType', boardType);
+  }
+  if (bestRateOnly !== undefined) {
+    queryParams.append('bestRateOnly', String(bestRateOnly));
+  }
+
+  const { value: data, cache } = await cachedCall(TOOL_NAME, Object.fromEntries(queryParams), async () => {
+    // Perform the fetch request with a cached access token
+    const response = await fetchWithAuth(`${url}?${queryParams.toString()}`, {
+      method: 'GET'
+    });
+
+    // Surface Amadeus's structured errors to the caller
+    if (!response.ok) {
+      throw await AmadeusApiError.fromResponse(response);
+    }
+    return response.json();
+  }, { bypass: bypassCache });
+
+  data.meta = { ...data.meta, cache };
+  return data;
+};
+
+/**
+ * Tool configuration for searching hotel offers using the Amadeus API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Search for room offers at up to 20 hotels (hotelIds from list_hotels) for given dates and guests. Each offer has an id that get_hotel_offer re-checks and create_hotel_order books.',
+      parameters: {
+        type: 'object',
+        properties: {
+          hotelIds: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 20,
+            items: {
+              type: 'string',
+              pattern: '^[A-Z0-9]{8}$'
+            },
+            description: 'Amadeus hotel ids, e.g. HLPAR266, as returned by list_hotels.'
+          },
+          checkInDate: {
+            type: 'string',
+            format: 'date',
+            description: 'The check-in date in YYYY-MM-DD format. Defaults to today.'
+          },
+          checkOutDate: {
+            type: 'string',
+            format: 'date',
+            description: 'The check-out date in YYYY-MM-DD format. Defaults to the day after check-in.'
+          },
+          adults: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 9,
+            description: 'The number of adult guests per room. Defaults to 1.'
+          },
+          roomQuantity: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 9,
+            description: 'The number of rooms. Defaults to 1.'
+          },
+          currency: {
+            type: 'string',
+            pattern: '^[A-Z]{3}$',
+            description: 'The ISO 4217 currency for prices, e.g. EUR. Defaults to the hotel\'s currency.'
+          },
+          priceRange: {
+            type: 'string',
+            pattern: '^(\\d+-\\d+|-\\d+|\\d+-)$',
+            description: 'Price range per night in the given currency, e.g. "100-300" or "-200". Requires currency.'
+          },
+          boardType: {
+            type: 'string',
+            enum: ['ROOM_ONLY', 'BREAKFAST', 'HALF_BOARD', 'FULL_BOARD', 'ALL_INCLUSIVE'],
+            description: 'Only return offers with this meal plan.'
+          },
+          bestRateOnly: {
+            type: 'boolean',
+            description: 'Only return the cheapest offer of each hotel. Defaults to true.'
+          },
+          bypassCache: {
+            type: 'boolean',
+            description: 'Skip the response cache and fetch fresh offers from Amadeus. Defaults to false.'
+          }
+        },
+        required: ['hotelIds']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,50 @@
+import { ToolArgumentsError } from '../../../lib/errors.js';
+import { deleteTravelerProfile } from '../../../lib/profileStore.js';
+
+const TOOL_NAME = 'delete_traveler_profile';
+
+/**
+ * Function to delete a saved traveler profile.
+ *
+ * @param {Object} args - Arguments for the deletion.
+ * @param {string} args.profileId - The profile to delete.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.principal] - API key that owns the profile.
+ * @returns {Promise<Object>} - The deletion result.
+ */
+const executeFunction = async ({ profileId }, context = {}) => {
+  if (!deleteTravelerProfile(profileId, context.principal)) {
+    throw new ToolArgumentsError(TOOL_NAME, [
+      { field: 'profileId', message: `refers to unknown traveler profile "${profileId}"` }
+    ]);
+  }
+  return { status: 'deleted', profileId };
+};
+
+/**
+ * Tool configuration for deleting traveler profiles.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Delete a saved traveler profile, e.g. when the traveler asks for their details to be removed. Past bookings in the ledger are kept.',
+      parameters: {
+        type: 'object',
+        properties: {
+          profileId: {
+            type: 'string',
+            pattern: '^tp_',
+            description: 'The profileId from list_traveler_profiles.'
+          }
+        },
+        required: ['profileId']
+      }
+    }
+  }
+};
+
+export { apiTool };
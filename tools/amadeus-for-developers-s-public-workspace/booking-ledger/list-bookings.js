@@ -0,0 +1,76 @@
+import { isLedgerEnabled, listBookings } from '../../../lib/ledger.js';
+
+const TOOL_NAME = 'list_bookings';
+
+/**
+ * Function to list the bookings recorded in the local booking ledger.
+ *
+ * @param {Object} args - Arguments for the listing.
+ * @param {string} [args.status] - Only bookings with this status.
+ * @param {string} [args.kind] - Only flight or hotel orders.
+ * @param {string} [args.since] - Only bookings made on or after this date.
+ * @param {string} [args.query] - Order ID, booking reference or traveler name to look for.
+ * @param {number} [args.limit=20] - Maximum number of bookings to return.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.principal] - API key whose bookings are listed.
+ * @returns {Promise<Object>} - The matching bookings, newest first.
+ */
+const executeFunction = async ({ status, kind, since, query, limit = 20 }, context = {}) => {
+  if (!isLedgerEnabled()) {
+    throw new Error('The booking ledger is disabled (LEDGER_BACKEND=off)');
+  }
+  const bookings = listBookings({ status, kind, since, query, bookedBy: context.principal ?? null });
+  return {
+    data: bookings.slice(0, limit),
+    meta: { count: Math.min(limit, bookings.length), total: bookings.length }
+  };
+};
+
+/**
+ * Tool configuration for listing past bookings.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'List the flight and hotel orders booked through this server with the caller\'s API key, newest first, with their booking reference (PNR), status, travelers, price and the summary that was confirmed. Reads the local booking ledger; does not call Amadeus.',
+      parameters: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            enum: ['active', 'cancelled'],
+            description: 'Only bookings with this status.'
+          },
+          kind: {
+            type: 'string',
+            enum: ['flight-order', 'hotel-order'],
+            description: 'Only flight orders or only hotel orders.'
+          },
+          since: {
+            type: 'string',
+            format: 'date',
+            description: 'Only bookings made on or after this date (YYYY-MM-DD).'
+          },
+          query: {
+            type: 'string',
+            minLength: 2,
+            description: 'Text to look for in the order ID, the booking reference or a traveler\'s name.'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 200,
+            description: 'Maximum number of bookings to return. Defaults to 20.'
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
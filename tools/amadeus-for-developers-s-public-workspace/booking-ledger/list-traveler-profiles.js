@@ -0,0 +1,55 @@
+import { listTravelerProfiles } from '../../../lib/profileStore.js';
+
+const TOOL_NAME = 'list_traveler_profiles';
+
+/**
+ * Function to list the saved traveler profiles.
+ *
+ * @param {Object} args - Arguments for the listing.
+ * @param {string} [args.name] - Part of a traveler's name to look for.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.principal] - API key whose profiles are listed.
+ * @returns {Promise<Object>} - The profiles, without contact details or documents.
+ */
+const executeFunction = async ({ name }, context = {}) => {
+  const text = name?.toUpperCase();
+  const profiles = listTravelerProfiles(context.principal)
+    .map(({ profileId, traveler, contact, updatedAt }) => ({
+      profileId,
+      name: [traveler.name.firstName, traveler.name.lastName].join(' '),
+      dateOfBirth: traveler.dateOfBirth,
+      hasDocuments: (traveler.documents || []).length > 0,
+      hasContact: Boolean(contact),
+      updatedAt
+    }))
+    .filter((profile) => !text || profile.name.toUpperCase().includes(text));
+  return { data: profiles };
+};
+
+/**
+ * Tool configuration for listing saved traveler profiles.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'List the traveler profiles saved with save_traveler_profile under the caller\'s API key: profileId, name and date of birth. Use the profileIds as travelerProfileIds in create_flight_order.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            minLength: 2,
+            description: 'Part of the traveler\'s first or last name.'
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
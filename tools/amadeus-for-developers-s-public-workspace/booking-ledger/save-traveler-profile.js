@@ -0,0 +1,84 @@
+import { saveTravelerProfile } from '../../../lib/profileStore.js';
+
+const TOOL_NAME = 'save_traveler_profile';
+
+/**
+ * Function to save a traveler so later bookings can refer to it by profile ID.
+ *
+ * @param {Object} args - Arguments for the profile.
+ * @param {string} [args.profileId] - ID of a saved profile to replace.
+ * @param {Object} args.traveler - Traveler name, date of birth, gender, contact and documents.
+ * @param {Object} [args.contact] - Booking contact used with this traveler.
+ * @param {Object} [context] - Call context.
+ * @param {string} [context.principal] - API key that owns the profile.
+ * @returns {Promise<Object>} - The profile ID.
+ */
+const executeFunction = async ({ profileId, traveler, contact }, context = {}) => {
+  return saveTravelerProfile(TOOL_NAME, { profileId, traveler, contact, owner: context.principal });
+};
+
+/**
+ * Tool configuration for saving traveler profiles.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: TOOL_NAME,
+      description: 'Save a traveler\'s details (name, date of birth, gender, contact, travel documents) as a reusable profile, encrypted on the server and only available to the caller\'s API key. Pass the returned profileId to create_flight_order as travelerProfileIds instead of typing the traveler again. Only save details the traveler agreed to keep.',
+      parameters: {
+        type: 'object',
+        properties: {
+          profileId: {
+            type: 'string',
+            pattern: '^tp_',
+            description: 'The profileId of a saved profile to replace. Omit to create a new profile.'
+          },
+          traveler: {
+            type: 'object',
+            properties: {
+              dateOfBirth: {
+                type: 'string',
+                format: 'date'
+              },
+              gender: {
+                type: 'string',
+                enum: ['MALE', 'FEMALE']
+              },
+              name: {
+                type: 'object',
+                properties: {
+                  firstName: { type: 'string', minLength: 1 },
+                  lastName: { type: 'string', minLength: 1 }
+                },
+                required: ['firstName', 'lastName']
+              },
+              contact: {
+                type: 'object',
+                description: 'The traveler\'s emailAddress and phones, as in a create_flight_order traveler.'
+              },
+              documents: {
+                type: 'array',
+                items: {
+                  type: 'object'
+                },
+                description: 'Passports or identity cards, as in a create_flight_order traveler.'
+              }
+            },
+            required: ['dateOfBirth', 'name'],
+            description: 'The traveler, in the create_flight_order traveler format without the id.'
+          },
+          contact: {
+            type: 'object',
+            description: 'A booking contact (addresseeName, emailAddress, phones, …) that create_flight_order uses when no contacts are given.'
+          }
+        },
+        required: ['traveler']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -1,6 +0,0 @@
-export const toolPaths = [
-  'amadeus-for-developers-s-public-workspace/amadeus-for-developers/step-0-authorization.js',
-  'amadeus-for-developers-s-public-workspace/amadeus-for-developers/step-2-flight-offers-price.js',
-  'amadeus-for-developers-s-public-workspace/amadeus-for-developers/step-3-flight-create-orders.js',
-  'amadeus-for-developers-s-public-workspace/amadeus-for-developers/step-1-flight-offers-search-get.js'
-];
\ No newline at end of file